@@ -0,0 +1,569 @@
+import { arenaInfo } from 'game';
+import { getObjectsByPrototype, getObjectById, getTicks, getRange } from 'game/utils';
+import { Creep, StructureTower } from 'game/prototypes';
+import { MOVE, ATTACK, RANGED_ATTACK, HEAL, TOUGH, RESOURCE_ENERGY, MAX_CREEP_SIZE, TOWER_ENERGY_COST } from 'game/constants';
+import { Flag, BodyPart } from 'arena/season_beta/capture_the_flag/basic';
+import { cleanupByIdSet, cleanupCreepState } from '../core/state.mjs';
+import { configureRoles, getCreepRole, setCreepRole, runCreepRole } from '../core/roles.mjs';
+import { STANCES, NATO_ALPHABET, configureSquads, assignToSquad, getSquadName, getLedSquadNames, setSquadLeader, getSquadLeaderId,
+    getSquadMembers, getSquadLeader, getSquadTarget, setSquadTarget, getSquadStance, commitSquadStance, chooseSquadLeader, chooseSquadStance,
+    replaceDeadSquadLeaders, cleanupSquadTargets } from '../core/squads.mjs';
+import { configureTraffic, clearMoveIntents, requestMove, holdPosition, resolveTraffic } from '../core/traffic.mjs';
+import { getAllEnemyCreeps, hasAttackCapability, findNearestEnemy, findMostDamagedCreep, getArmedEnemyTowers, getTowerDpsAt,
+    predictEngagement } from '../core/combat.mjs';
+import { configurePathing, cachedMoveTo } from '../core/pathing.mjs';
+import { healInRange, fleeWhileHealing, supportSquad, fireRangedParts, kiteMeleeThreats } from '../core/tactics.mjs';
+import { configureTowers, runTowerBehavior } from '../core/towers.mjs';
+import { configureDefense, updateDefense, isSquadRecalled, releaseRecalledSquad, getDefenseTarget } from '../core/defense.mjs';
+
+let rosterAssigned = false; // The fixed roster is split into guards and assault squads once, on the first tick
+let flagKeeperId = null; // Guard standing on our flag so no enemy can step onto it
+let bodyPartClaims = {}; // Map creep ID to the BodyPart ID it is walking over to collect
+
+const GUARD_SQUAD = 'Guard'; // Squad holding our flag
+
+/**
+ * Capture the Flag
+ * No spawning: the roster we start with is all we get, grown by BodyPart pickups.
+ * Guards hold our flag with the towers; assault squads push to the enemy flag.
+ */
+
+// ===========================
+// Configuration Constants
+// ===========================
+
+const ROSTER_CONFIG = {
+    GUARD_SHARE: 0.3, // Share of each role kept home as flag guards (at least one melee when we have any)
+    ASSAULT_SQUADS: 2 // The rest is split evenly into this many assault squads
+};
+
+const COMBAT_CONFIG = {
+    MEDIC_FOLLOW_RANGE: 2, // Max range before medic moves to follow its squad leader
+    SQUAD_COHESION_RANGE: 3, // Max distance followers can be from squad leader
+    ENGAGEMENT_ASSESS_RANGE: 10, // Enemy threats within this range of a squad leader are included in fight predictions
+    TARGET_RELEASE_RANGE: 14, // A designated target is kept until it gets this far from the leader
+    ENGAGEMENT_SIM_TICKS: 30, // Ticks simulated when predicting a fight
+    RANGED_ATTACK_RANGE: 3, // Ranged units hold this distance from their target
+    RANGED_KITE_RANGE: 2, // Ranged units back off from melee threats this close
+    FLAG_GUARD_RANGE: 3, // Idle guards stay this close to our flag
+    DEFENSE_THREAT_RANGE: 12, // Armed enemies this close to our flag are engaged by guards
+    DEFENSE_RECALL_RANGE: 6, // Outmatched guards recall an assault squad once a threat gets this close to our flag
+    FLAG_RUSH_RANGE: 6, // Assault creeps this close to the enemy flag run onto it when no armed enemy guards it
+    ALL_IN_TICKS_REMAINING: 300, // Assault squads stop retreating this many ticks before the tick limit
+    DEFAULT_TICKS_LIMIT: 2000 // Used when arenaInfo reports no tick limit
+};
+
+const PICKUP_CONFIG = {
+    DETOUR_RANGE: 8, // Assault creeps walk to body parts this close
+    GUARD_RANGE: 8, // Guards only collect body parts this close to our flag
+    THREAT_RANGE: 5, // Creeps with an armed enemy this close leave body parts alone
+    DECAY_MARGIN: 2 // A part must outlast the walk to it by this many ticks
+};
+
+// ===========================
+// Role Registry Module
+// ===========================
+
+const ROLES = {
+    ATTACKER: 'attacker',
+    RANGED: 'ranged',
+    MEDIC: 'medic'
+};
+
+/**
+ * Role definitions: the group the role counts in, and the behavior that runs it.
+ * Behaviors receive a context of { myFlag, enemyFlag, myCreeps }.
+ */
+const ROLE_REGISTRY = {
+    [ROLES.ATTACKER]: {
+        group: 'attackers',
+        run: (creep, ctx) => runAttackerBehavior(creep, ctx.myFlag, ctx.enemyFlag, ctx.myCreeps)
+    },
+    [ROLES.RANGED]: {
+        group: 'attackers',
+        run: (creep, ctx) => runRangedBehavior(creep, ctx.myFlag, ctx.enemyFlag, ctx.myCreeps)
+    },
+    [ROLES.MEDIC]: {
+        group: 'medics',
+        run: (creep, ctx) => runMedicBehavior(creep, ctx.myFlag, ctx.myCreeps)
+    }
+};
+
+/**
+ * Classify a roster creep by its body; the arena hands us the roster, so every role is inferred
+ * @param {Creep} creep - The creep to classify
+ * @returns {string} Role
+ */
+function inferRoleFromBody(creep) {
+    if (creep.body.some(p => p.type === HEAL)) return ROLES.MEDIC;
+    if (creep.body.some(p => p.type === RANGED_ATTACK)) return ROLES.RANGED;
+    return ROLES.ATTACKER;
+}
+
+configureRoles({ registry: ROLE_REGISTRY, inferRole: inferRoleFromBody });
+
+// Higher priority movers win contested tiles and may shove stationary creeps of equal or lower priority
+configureTraffic({
+    [ROLES.MEDIC]: 2,
+    [ROLES.RANGED]: 3,
+    [ROLES.ATTACKER]: 3
+});
+
+// Flags are where every squad is headed, so they share flow fields
+configurePathing({
+    config: COMBAT_CONFIG,
+    costProfiles: {
+        [ROLES.MEDIC]: { dangerCostPerDamage: 0.5 },
+        [ROLES.RANGED]: { dangerCostPerDamage: 0.5 },
+        [ROLES.ATTACKER]: { dangerCostPerDamage: 0.05 }
+    },
+    flowFieldTargets: [Flag]
+});
+
+configureSquads({ config: COMBAT_CONFIG, leaderRoles: [ROLES.ATTACKER, ROLES.RANGED] });
+configureTowers(COMBAT_CONFIG);
+configureDefense(COMBAT_CONFIG);
+
+// Value of each part type to a creep of each role; parts missing here are not worth a detour
+const PART_VALUES = {
+    [ROLES.ATTACKER]: { [ATTACK]: 3, [MOVE]: 2, [TOUGH]: 1, [HEAL]: 1 },
+    [ROLES.RANGED]: { [RANGED_ATTACK]: 3, [MOVE]: 2, [HEAL]: 1, [TOUGH]: 1 },
+    [ROLES.MEDIC]: { [HEAL]: 3, [MOVE]: 2, [TOUGH]: 1 }
+};
+
+// ===========================
+// Roster Module
+// ===========================
+
+/**
+ * Split the fixed roster once: the share of each role closest to our flag guards it, the rest is
+ * dealt into assault squads. Guards and squads are led by a melee attacker when they have one.
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {Flag} myFlag - Our flag
+ */
+function assignRoster(myCreeps, myFlag) {
+    if (rosterAssigned || !myFlag) {
+        return;
+    }
+    rosterAssigned = true;
+
+    const squadNames = NATO_ALPHABET.slice(0, ROSTER_CONFIG.ASSAULT_SQUADS);
+    const members = { [GUARD_SQUAD]: [] };
+    for (const squadName of squadNames) {
+        members[squadName] = [];
+    }
+
+    // Deal role by role, continuing the rotation so every squad gets a mix
+    let dealt = 0;
+    for (const role of Object.values(ROLES)) {
+        const creeps = myCreeps
+            .filter(c => getCreepRole(c) === role)
+            .sort((a, b) => getRange(a, myFlag) - getRange(b, myFlag));
+        let guardCount = Math.round(creeps.length * ROSTER_CONFIG.GUARD_SHARE);
+        if (role === ROLES.ATTACKER && creeps.length > 0) {
+            guardCount = Math.max(1, guardCount); // Someone has to stand on the flag
+        }
+
+        creeps.forEach((creep, i) => {
+            const squadName = i < guardCount ? GUARD_SQUAD : squadNames[dealt++ % squadNames.length];
+            members[squadName].push(creep);
+        });
+    }
+
+    for (const squadName in members) {
+        for (const creep of members[squadName]) {
+            // Record the inferred role now, so picked-up parts never change how a creep is run
+            setCreepRole(creep, getCreepRole(creep));
+            assignToSquad(creep, squadName);
+        }
+        const leader = chooseSquadLeader(members[squadName]);
+        if (leader) {
+            setSquadLeader(squadName, leader);
+        }
+    }
+
+    const keeper = members[GUARD_SQUAD].find(c => getCreepRole(c) === ROLES.ATTACKER);
+    flagKeeperId = keeper ? keeper.id : null;
+}
+
+/**
+ * Clean up state tracking for dead creeps, replacing dead squad leaders and the flag keeper
+ * @param {Creep[]} myCreeps - Array of currently alive friendly creeps
+ */
+function cleanupDeadCreepState(myCreeps) {
+    const aliveCreepIds = cleanupCreepState(myCreeps);
+    cleanupByIdSet(aliveCreepIds, [bodyPartClaims]);
+
+    const disbanded = replaceDeadSquadLeaders(aliveCreepIds, squadName =>
+        chooseSquadLeader(myCreeps.filter(c => getSquadName(c) === squadName))
+    );
+    for (const squadName of disbanded) {
+        releaseRecalledSquad(squadName);
+    }
+
+    if (flagKeeperId && !aliveCreepIds.has(flagKeeperId)) {
+        const guards = myCreeps.filter(c => getSquadName(c) === GUARD_SQUAD && getCreepRole(c) !== ROLES.MEDIC);
+        const keeper = chooseSquadLeader(guards);
+        flagKeeperId = keeper ? keeper.id : null;
+    }
+}
+
+/**
+ * Check whether a creep defends our flag this tick: guards always, assault squads while recalled
+ * @param {Creep} creep - The creep
+ * @returns {boolean} True if the creep defends
+ */
+function isDefending(creep) {
+    const squadName = getSquadName(creep);
+    return squadName === GUARD_SQUAD || isSquadRecalled(squadName);
+}
+
+// ===========================
+// Flag Defense Module
+// ===========================
+
+/**
+ * Defend our flag: the keeper stands on it, everyone else engages the threat closest to it
+ * and otherwise stays near it
+ * @param {Creep} creep - The defending creep
+ * @param {Flag} myFlag - Our flag
+ * @param {number} holdRange - Range to keep from the target (1 for melee)
+ */
+function defendFlag(creep, myFlag, holdRange) {
+    if (creep.id === flagKeeperId) {
+        if (creep.x === myFlag.x && creep.y === myFlag.y) {
+            holdPosition(creep);
+        } else {
+            moveOntoFlag(creep, myFlag);
+        }
+        return;
+    }
+
+    const target = getDefenseTarget(myFlag);
+    if (target) {
+        if (creep.getRangeTo(target) > holdRange) {
+            cachedMoveTo(creep, target, { ignoreCreeps: true });
+        }
+    } else if (collectBodyPart(creep)) {
+        return;
+    } else if (creep.getRangeTo(myFlag) > COMBAT_CONFIG.FLAG_GUARD_RANGE) {
+        cachedMoveTo(creep, myFlag);
+    }
+}
+
+// ===========================
+// Body Part Module
+// ===========================
+
+/**
+ * Check whether a creep is free to walk over to a body part
+ * @param {Creep} creep - The creep
+ * @param {Creep[]} armedEnemies - Enemy creeps with attack parts
+ * @returns {boolean} True if the creep may collect
+ */
+function canCollect(creep, armedEnemies) {
+    return creep.body.length < MAX_CREEP_SIZE &&
+        !armedEnemies.some(e => getRange(e, creep) <= PICKUP_CONFIG.THREAT_RANGE);
+}
+
+/**
+ * Assign each unclaimed body part to the free creep that values it most per tile walked.
+ * Guards only take parts near our flag; claims end when the part is gone or danger appears.
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {Flag} myFlag - Our flag
+ */
+function assignBodyParts(myCreeps, myFlag) {
+    const parts = getObjectsByPrototype(BodyPart);
+    const armedEnemies = getAllEnemyCreeps().filter(hasAttackCapability);
+
+    for (const creepId in bodyPartClaims) {
+        const creep = myCreeps.find(c => c.id === creepId);
+        if (!getObjectById(bodyPartClaims[creepId]) || !creep || !canCollect(creep, armedEnemies)) {
+            delete bodyPartClaims[creepId];
+        }
+    }
+
+    const claimed = new Set(Object.values(bodyPartClaims));
+    for (const part of parts) {
+        if (claimed.has(part.id)) continue;
+
+        let best = null;
+        let bestScore = 0;
+        for (const creep of myCreeps) {
+            if (bodyPartClaims[creep.id] || creep.id === flagKeeperId || !canCollect(creep, armedEnemies)) continue;
+
+            const range = getRange(creep, part);
+            const maxRange = isDefending(creep) ? PICKUP_CONFIG.GUARD_RANGE : PICKUP_CONFIG.DETOUR_RANGE;
+            if (range > maxRange || range + PICKUP_CONFIG.DECAY_MARGIN > part.ticksToDecay) continue;
+            if (isDefending(creep) && myFlag && getRange(part, myFlag) > PICKUP_CONFIG.GUARD_RANGE) continue;
+
+            const value = (PART_VALUES[getCreepRole(creep)] || {})[part.type] || 0;
+            const score = value / (range + 1);
+            if (score > bestScore) {
+                best = creep;
+                bestScore = score;
+            }
+        }
+
+        if (best) {
+            bodyPartClaims[best.id] = part.id;
+        }
+    }
+}
+
+/**
+ * Walk onto the claimed body part; stepping on it adds the part to the creep's body
+ * @param {Creep} creep - The creep
+ * @returns {boolean} True if the creep is collecting a part this tick
+ */
+function collectBodyPart(creep) {
+    const part = bodyPartClaims[creep.id] && getObjectById(bodyPartClaims[creep.id]);
+    if (!part) {
+        return false;
+    }
+    cachedMoveTo(creep, part);
+    return true;
+}
+
+// ===========================
+// Assault Module
+// ===========================
+
+/**
+ * Get the number of ticks left in the match
+ * @returns {number} Ticks remaining
+ */
+function getTicksRemaining() {
+    const ticksLimit = (arenaInfo && arenaInfo.ticksLimit) || COMBAT_CONFIG.DEFAULT_TICKS_LIMIT;
+    return ticksLimit - getTicks();
+}
+
+/**
+ * Predict a squad's fight near its leader with both sides' armed towers firing
+ * @param {Creep} leader - Squad leader
+ * @param {StructureTower[]} myTowers - Our towers
+ * @returns {function} (squadCreeps, threats) => predictEngagement result, for chooseSquadStance
+ */
+function predictSquadFight(leader, myTowers) {
+    return (squadCreeps, threats) => {
+        const armedTowers = myTowers.filter(t => t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST);
+        return predictEngagement(squadCreeps, threats, {
+            ticks: COMBAT_CONFIG.ENGAGEMENT_SIM_TICKS,
+            ourTowerDps: getTowerDpsAt(armedTowers, leader),
+            enemyTowerDps: getTowerDpsAt(getArmedEnemyTowers(), leader)
+        });
+    };
+}
+
+/**
+ * Let each assault squad leader set the squad's stance and designate the nearest armed enemy
+ * as the squad's target, keeping the current one until it gets away. A new stance is held for
+ * a few ticks before it may change again; recalled squads engage at once, and every squad
+ * engages once ALL_IN_TICKS_REMAINING is reached.
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureTower[]} myTowers - Our towers
+ */
+function directAssaultSquads(myCreeps, myTowers) {
+    const armedEnemies = getAllEnemyCreeps().filter(hasAttackCapability);
+
+    for (const squadName of getLedSquadNames()) {
+        if (squadName === GUARD_SQUAD) continue;
+        const leader = myCreeps.find(c => c.id === getSquadLeaderId(squadName));
+        if (!leader) continue;
+
+        const threats = armedEnemies.filter(e => getRange(e, leader) <= COMBAT_CONFIG.ENGAGEMENT_ASSESS_RANGE);
+        const squadCreeps = [leader, ...getSquadMembers(leader, myCreeps)];
+        const allIn = getTicksRemaining() <= COMBAT_CONFIG.ALL_IN_TICKS_REMAINING;
+        const stance = isSquadRecalled(squadName) || allIn
+            ? STANCES.ENGAGE
+            : chooseSquadStance(squadName, squadCreeps, threats, predictSquadFight(leader, myTowers));
+        commitSquadStance(squadName, stance, isSquadRecalled(squadName));
+
+        // Keep chasing the current target a little past assess range, so the squad does not
+        // flip between it and the flag at the edge of that range
+        const current = getSquadTarget(leader, armedEnemies);
+        if (current && getRange(current, leader) <= COMBAT_CONFIG.TARGET_RELEASE_RANGE) {
+            continue;
+        }
+        setSquadTarget(leader, threats.length > 0 ? leader.findClosestByRange(threats) : null);
+    }
+}
+
+/**
+ * Move a creep onto a flag tile. Flow fields stop creeps adjacent to their destination,
+ * so the last step is requested directly.
+ * @param {Creep} creep - The creep
+ * @param {Flag} flag - The flag to stand on
+ */
+function moveOntoFlag(creep, flag) {
+    if (creep.getRangeTo(flag) === 1) {
+        requestMove(creep, flag);
+    } else {
+        cachedMoveTo(creep, flag, { ignoreCreeps: true });
+    }
+}
+
+/**
+ * Check whether a creep can run onto the enemy flag: it is close and no armed enemy is near the flag
+ * @param {Creep} creep - The creep
+ * @param {Flag} enemyFlag - The enemy flag
+ * @param {Creep[]} allEnemies - All enemy creeps
+ * @returns {boolean} True if the flag is open to this creep
+ */
+function isFlagOpen(creep, enemyFlag, allEnemies) {
+    if (creep.getRangeTo(enemyFlag) > COMBAT_CONFIG.FLAG_RUSH_RANGE) {
+        return false;
+    }
+    return !allEnemies.some(e => hasAttackCapability(e) && getRange(e, enemyFlag) <= COMBAT_CONFIG.FLAG_RUSH_RANGE);
+}
+
+/**
+ * Advance an assault creep on the enemy flag following its squad's stance: take an open flag,
+ * close on the squad's target, otherwise keep with the leader on the way to the flag
+ * @param {Creep} creep - The assault creep
+ * @param {Flag} myFlag - Our flag, where retreating squads fall back to
+ * @param {Flag} enemyFlag - The enemy flag
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {Creep[]} allEnemies - All enemy creeps
+ * @param {number} holdRange - Range to keep from the target (1 for melee)
+ */
+function advanceOnFlag(creep, myFlag, enemyFlag, myCreeps, allEnemies, holdRange) {
+    if (isFlagOpen(creep, enemyFlag, allEnemies)) {
+        moveOntoFlag(creep, enemyFlag);
+        return;
+    }
+
+    const stance = getSquadStance(getSquadName(creep)) || STANCES.ENGAGE;
+    if (stance === STANCES.RETREAT) {
+        if (myFlag) {
+            cachedMoveTo(creep, myFlag);
+        }
+        return;
+    }
+    if (stance === STANCES.HOLD || collectBodyPart(creep)) {
+        return;
+    }
+
+    const target = getSquadTarget(creep, allEnemies);
+    const leader = getSquadLeader(creep, myCreeps);
+    if (target) {
+        if (creep.getRangeTo(target) > holdRange) {
+            cachedMoveTo(creep, target, { ignoreCreeps: true });
+        }
+    } else if (leader && leader.id !== creep.id && creep.getRangeTo(leader) > COMBAT_CONFIG.SQUAD_COHESION_RANGE) {
+        cachedMoveTo(creep, leader, { ignoreCreeps: true });
+    } else {
+        cachedMoveTo(creep, enemyFlag, { ignoreCreeps: true });
+    }
+}
+
+// ===========================
+// Role Behaviors
+// ===========================
+
+/**
+ * Melee attacker: hit the squad's target or the nearest adjacent enemy, then defend or advance
+ * @param {Creep} creep - The attacker
+ * @param {Flag} myFlag - Our flag
+ * @param {Flag} enemyFlag - The enemy flag
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runAttackerBehavior(creep, myFlag, enemyFlag, myCreeps) {
+    const allEnemies = getAllEnemyCreeps();
+    const designatedTarget = getSquadTarget(creep, allEnemies);
+    const adjacentEnemy = designatedTarget && creep.getRangeTo(designatedTarget) <= 1
+        ? designatedTarget
+        : findNearestEnemy(creep, 1);
+    if (adjacentEnemy) {
+        creep.attack(adjacentEnemy);
+    }
+
+    if (isDefending(creep) && myFlag) {
+        defendFlag(creep, myFlag, 1);
+    } else if (enemyFlag) {
+        advanceOnFlag(creep, myFlag, enemyFlag, myCreeps, allEnemies, 1);
+    }
+}
+
+/**
+ * Ranged creep: shoot every tick and kite melee threats, then defend or advance at attack range
+ * @param {Creep} creep - The ranged creep
+ * @param {Flag} myFlag - Our flag
+ * @param {Flag} enemyFlag - The enemy flag
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runRangedBehavior(creep, myFlag, enemyFlag, myCreeps) {
+    const allEnemies = getAllEnemyCreeps();
+    fireRangedParts(creep, allEnemies);
+
+    // Kiting takes priority over every other movement, except running onto an open flag
+    if (!(enemyFlag && isFlagOpen(creep, enemyFlag, allEnemies)) &&
+        kiteMeleeThreats(creep, allEnemies, COMBAT_CONFIG.RANGED_KITE_RANGE)) {
+        return;
+    }
+
+    if (isDefending(creep) && myFlag) {
+        defendFlag(creep, myFlag, COMBAT_CONFIG.RANGED_ATTACK_RANGE);
+    } else if (enemyFlag) {
+        advanceOnFlag(creep, myFlag, enemyFlag, myCreeps, allEnemies, COMBAT_CONFIG.RANGED_ATTACK_RANGE);
+    }
+}
+
+/**
+ * Medic: stay out of reach, heal and follow its squad; with no squad left, heal whoever needs it
+ * and otherwise wait at our flag
+ * @param {Creep} creep - The medic
+ * @param {Flag} myFlag - Our flag
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runMedicBehavior(creep, myFlag, myCreeps) {
+    if (fleeWhileHealing(creep, myCreeps)) {
+        return;
+    }
+
+    // Nobody in the squad hurt: a nearby body part is worth the detour
+    if (!findMostDamagedCreep(getSquadMembers(creep, myCreeps)) && collectBodyPart(creep)) {
+        return;
+    }
+
+    if (supportSquad(creep, myCreeps, COMBAT_CONFIG.MEDIC_FOLLOW_RANGE)) {
+        return;
+    }
+
+    const healTarget = findMostDamagedCreep(myCreeps.filter(c => c.id !== creep.id));
+    if (healTarget) {
+        if (healInRange(creep, healTarget) > 1) {
+            cachedMoveTo(creep, healTarget, { ignoreCreeps: true });
+        }
+    } else if (myFlag && creep.getRangeTo(myFlag) > COMBAT_CONFIG.FLAG_GUARD_RANGE) {
+        cachedMoveTo(creep, myFlag);
+    }
+}
+
+export function loop() {
+    clearMoveIntents();
+
+    const myFlag = getObjectsByPrototype(Flag).find(f => f.my);
+    const enemyFlag = getObjectsByPrototype(Flag).find(f => !f.my);
+    const myCreeps = getObjectsByPrototype(Creep).filter(c => c.my);
+    const myTowers = getObjectsByPrototype(StructureTower).filter(t => t.my);
+
+    cleanupDeadCreepState(myCreeps);
+    cleanupSquadTargets(getAllEnemyCreeps());
+    assignRoster(myCreeps, myFlag);
+
+    updateDefense(myFlag, myCreeps, myTowers, isDefending, squadName => squadName !== GUARD_SQUAD);
+    assignBodyParts(myCreeps, myFlag);
+    directAssaultSquads(myCreeps, myTowers);
+
+    // Execute creep behaviors through the role registry
+    const context = { myFlag, enemyFlag, myCreeps };
+    for (const creep of myCreeps) {
+        runCreepRole(creep, context);
+    }
+
+    // Issue the moves behaviors asked for, resolving collisions between them; there is no spawn exit to keep clear
+    resolveTraffic(myCreeps, null);
+
+    runTowerBehavior(myTowers, myFlag, myCreeps);
+}
@@ -0,0 +1,725 @@
+import { getObjectsByPrototype, getTicks, getRange } from 'game/utils';
+import { Creep, StructureSpawn, StructureContainer, StructureTower } from 'game/prototypes';
+import { ATTACK, RANGED_ATTACK, HEAL, WORK, CARRY, RESOURCE_ENERGY, TOWER_ENERGY_COST } from 'game/constants';
+import { ScoreCollector, AreaEffect, EFFECT_DAMAGE, EFFECT_FREEZE, EFFECT_HEAL,
+    RESOURCE_SCORE, RESOURCE_SCORE_X, RESOURCE_SCORE_Y, RESOURCE_SCORE_Z } from 'arena/season_beta/collect_and_control/basic';
+import { cleanupCreepState } from '../core/state.mjs';
+import { configureRoles, categorizeCreeps, spawnCreepWithRole, getCreepRole, runCreepRole } from '../core/roles.mjs';
+import { STANCES, NATO_ALPHABET, configureSquads, assignToSquad, getSquadName, getLedSquadNames, setSquadLeader, getSquadLeaderId,
+    getSquadMembers, getSquadLeader, getSquadTarget, setSquadTarget, getSquadStance, commitSquadStance, chooseSquadLeader, chooseSquadStance,
+    replaceDeadSquadLeaders, cleanupSquadTargets } from '../core/squads.mjs';
+import { configureTraffic, clearMoveIntents, resolveTraffic } from '../core/traffic.mjs';
+import { getAllEnemyCreeps, hasAttackCapability, findNearestEnemy, findMostDamagedCreep, getArmedEnemyTowers, getTowerDpsAt,
+    predictEngagement } from '../core/combat.mjs';
+import { configurePathing, cachedMoveTo, fleeFromThreats } from '../core/pathing.mjs';
+import { healInRange, fleeWhileHealing, supportSquad, fireRangedParts, kiteMeleeThreats } from '../core/tactics.mjs';
+import { configureTowers, runTowerBehavior } from '../core/towers.mjs';
+import { getBodyCost, buildBody } from '../core/bodies.mjs';
+import { configureLogistics, updateLogistics, runLogisticsTask } from '../core/logistics.mjs';
+
+let formingSquad = null; // Name of the squad new combat creeps join until it is complete
+let squadObjectives = {}; // Map deployed squad name to its objective: { type: 'escort' } or { type: 'contest', collectorId }
+let areaEffectCache = null; // This tick's area effect per tile: { tick, tiles: { 'x,y': effect } }
+
+/**
+ * Collect and Control
+ * Scorers carry score resources to the ScoreCollector that accepts them while harvesters keep the
+ * spawn in energy. Squads escort the scorers or contest collectors, reading area effects as
+ * path costs and as extra damage and healing in fight predictions.
+ */
+
+// ===========================
+// Configuration Constants
+// ===========================
+
+// Score resources in order of preference; a scorer only moves types some collector accepts
+const SCORE_RESOURCES = [RESOURCE_SCORE, RESOURCE_SCORE_X, RESOURCE_SCORE_Y, RESOURCE_SCORE_Z];
+
+const ECONOMY_CONFIG = {
+    TARGET_HARVESTER_COUNT: 2,
+    TARGET_SCORER_COUNT: 3,
+    HARVESTER_FLEE_RANGE: 10, // Range at which harvesters and scorers flee from armed enemies
+    CONTAINER_SITE_CAPACITY: 2, // Creeps assigned to one container at once
+    SOURCE_SITE_CAPACITY: 3, // Creeps assigned to one source at once
+    HARVEST_SITE_UNSAFE_RANGE: 6 // Supplies this close to an armed enemy are not assigned
+};
+
+const SQUAD_CONFIG = {
+    ESCORT_SQUADS: 1, // Squads guarding scorers; every other squad contests a collector
+    MAX_SQUADS: 4 // No more combat creeps are spawned while this many squads are deployed
+};
+
+const COMBAT_CONFIG = {
+    MEDIC_FOLLOW_RANGE: 2, // Max range before medic moves to follow its squad leader
+    SQUAD_COHESION_RANGE: 3, // Max distance followers can be from squad leader
+    ENGAGEMENT_ASSESS_RANGE: 10, // Enemy threats within this range of a squad leader are included in fight predictions
+    TARGET_RELEASE_RANGE: 14, // A designated target is kept until it gets this far from the leader
+    ENGAGEMENT_SIM_TICKS: 30, // Ticks simulated when predicting a fight
+    RANGED_ATTACK_RANGE: 3, // Ranged units hold this distance from their target
+    RANGED_KITE_RANGE: 2, // Ranged units back off from melee threats this close
+    OBJECTIVE_RANGE: 3, // Squads with no target hold this close to their collector or escorted scorer
+    CONTEST_RANGE: 6, // Contesting squads attack any enemy creep this close to their collector, scorers included
+    ESCORT_THREAT_RANGE: 8, // Escort squads engage armed enemies this close to any of our scorers
+    SPAWN_GUARD_RANGE: 8, // Squads still forming engage armed enemies this close to our spawn
+    HEAL_AREA_RANGE: 15 // Retreating creeps fall back to a heal area this close instead of the spawn
+};
+
+// The arena does not document area effect strength; these are working estimates
+const AREA_EFFECT_CONFIG = {
+    EFFECT_RADIUS: 0, // Tiles around each AreaEffect object that it covers
+    DAMAGE_PER_TICK: 100, // Damage a damage area deals each tick to a creep standing in it
+    HEAL_PER_TICK: 100, // Hits a heal area restores each tick to a creep standing in it
+    FREEZE_PATH_DAMAGE: 1000 // Freeze areas cost as much to path through as this much damage per tick
+};
+
+// ===========================
+// Role Registry Module
+// ===========================
+
+const ROLES = {
+    HARVESTER: 'harvester',
+    SCORER: 'scorer',
+    ATTACKER: 'attacker',
+    RANGED: 'ranged',
+    MEDIC: 'medic'
+};
+
+/**
+ * Role definitions: the group categorizeCreeps counts the role in, and the behavior that runs it.
+ * Behaviors receive a context of { mySpawn, myCreeps }.
+ */
+const ROLE_REGISTRY = {
+    [ROLES.HARVESTER]: {
+        group: 'harvesters',
+        run: (creep, ctx) => runHarvesterBehavior(creep, ctx.mySpawn)
+    },
+    [ROLES.SCORER]: {
+        group: 'scorers',
+        run: (creep, ctx) => runScorerBehavior(creep, ctx.mySpawn)
+    },
+    [ROLES.ATTACKER]: {
+        group: 'attackers',
+        run: (creep, ctx) => runAttackerBehavior(creep, ctx.mySpawn, ctx.myCreeps)
+    },
+    [ROLES.RANGED]: {
+        group: 'attackers',
+        run: (creep, ctx) => runRangedBehavior(creep, ctx.mySpawn, ctx.myCreeps)
+    },
+    [ROLES.MEDIC]: {
+        group: 'medics',
+        run: (creep, ctx) => runMedicBehavior(creep, ctx.mySpawn, ctx.myCreeps)
+    }
+};
+
+/**
+ * Fallback for creeps with no recorded role (e.g. present before our code started)
+ * @param {Creep} creep - The creep to classify
+ * @returns {string} Best-guess role
+ */
+function inferRoleFromBody(creep) {
+    if (creep.body.some(p => p.type === WORK)) return ROLES.HARVESTER;
+    if (creep.body.some(p => p.type === CARRY)) return ROLES.SCORER;
+    if (creep.body.some(p => p.type === HEAL)) return ROLES.MEDIC;
+    if (creep.body.some(p => p.type === RANGED_ATTACK)) return ROLES.RANGED;
+    return ROLES.ATTACKER;
+}
+
+configureRoles({ registry: ROLE_REGISTRY, inferRole: inferRoleFromBody });
+
+// Higher priority movers win contested tiles and may shove stationary creeps of equal or lower priority
+configureTraffic({
+    [ROLES.HARVESTER]: 1,
+    [ROLES.SCORER]: 1,
+    [ROLES.MEDIC]: 2,
+    [ROLES.RANGED]: 3,
+    [ROLES.ATTACKER]: 3
+});
+
+// Scorers all head for the same few collectors, so collectors share flow fields
+configurePathing({
+    config: COMBAT_CONFIG,
+    costProfiles: {
+        [ROLES.HARVESTER]: { dangerCostPerDamage: 2 },
+        [ROLES.SCORER]: { dangerCostPerDamage: 2 },
+        [ROLES.MEDIC]: { dangerCostPerDamage: 0.5 },
+        [ROLES.RANGED]: { dangerCostPerDamage: 0.5 },
+        [ROLES.ATTACKER]: { dangerCostPerDamage: 0.05 }
+    },
+    flowFieldTargets: [StructureSpawn, StructureContainer, ScoreCollector],
+    dangerZones: getAreaDangerZones
+});
+
+configureSquads({ config: COMBAT_CONFIG, leaderRoles: [ROLES.ATTACKER, ROLES.RANGED] });
+configureTowers(COMBAT_CONFIG);
+
+configureLogistics({
+    config: ECONOMY_CONFIG,
+    resourceTypes: [RESOURCE_ENERGY, ...SCORE_RESOURCES],
+    demandTiers: getDemandTiers
+});
+
+// ===========================
+// Area Effect Module
+// ===========================
+
+/**
+ * Map every tile covered by an area effect to its effect, once per tick
+ * @returns {object} 'x,y' -> effect
+ */
+function getAreaEffectTiles() {
+    const tick = getTicks();
+    if (!areaEffectCache || areaEffectCache.tick !== tick) {
+        const tiles = {};
+        const radius = AREA_EFFECT_CONFIG.EFFECT_RADIUS;
+        for (const area of getObjectsByPrototype(AreaEffect)) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                for (let dy = -radius; dy <= radius; dy++) {
+                    tiles[`${area.x + dx},${area.y + dy}`] = area.effect;
+                }
+            }
+        }
+        areaEffectCache = { tick, tiles };
+    }
+    return areaEffectCache.tiles;
+}
+
+/**
+ * Get the area effect on a tile
+ * @param {object} pos - Position {x, y}
+ * @returns {string|null} EFFECT_DAMAGE, EFFECT_FREEZE, EFFECT_HEAL, or null
+ */
+function getAreaEffectAt(pos) {
+    return getAreaEffectTiles()[`${pos.x},${pos.y}`] || null;
+}
+
+/**
+ * Damage and freeze areas as pathing danger zones; freezing counts as heavy damage so creeps
+ * only cross a freeze area when there is no way around
+ * @returns {object[]} [{ pos, radius, damage }]
+ */
+function getAreaDangerZones() {
+    const zones = [];
+    for (const area of getObjectsByPrototype(AreaEffect)) {
+        let damage = 0;
+        if (area.effect === EFFECT_DAMAGE) damage = AREA_EFFECT_CONFIG.DAMAGE_PER_TICK;
+        if (area.effect === EFFECT_FREEZE) damage = AREA_EFFECT_CONFIG.FREEZE_PATH_DAMAGE;
+        if (damage > 0) {
+            zones.push({ pos: area, radius: AREA_EFFECT_CONFIG.EFFECT_RADIUS, damage });
+        }
+    }
+    return zones;
+}
+
+/**
+ * Check whether a frozen creep is out of the fight: it cannot close in, so it only fights with
+ * ranged parts or when an opponent is already adjacent
+ * @param {Creep} creep - The creep
+ * @param {Creep[]} opponents - The other side
+ * @returns {boolean} True if the creep can take part
+ */
+function canJoinFight(creep, opponents) {
+    if (getAreaEffectAt(creep) !== EFFECT_FREEZE) return true;
+    return creep.body.some(p => (p.type === RANGED_ATTACK || p.type === HEAL) && p.hits > 0) ||
+        opponents.some(o => getRange(o, creep) <= 1);
+}
+
+/**
+ * Predict a fight with area effects folded in: damage areas hurt whoever stands in them, heal
+ * areas heal them, and frozen melee creeps drop out
+ * @param {Creep[]} ourCreeps - Our side
+ * @param {Creep[]} enemyCreeps - Their side
+ * @param {object} towerOptions - { ourTowerDps, enemyTowerDps } at the fight
+ * @returns {object} predictEngagement result
+ */
+function predictAreaEngagement(ourCreeps, enemyCreeps, towerOptions) {
+    const countIn = (creeps, effect) => creeps.filter(c => getAreaEffectAt(c) === effect).length;
+    const damage = AREA_EFFECT_CONFIG.DAMAGE_PER_TICK;
+    const healing = AREA_EFFECT_CONFIG.HEAL_PER_TICK;
+
+    return predictEngagement(
+        ourCreeps.filter(c => canJoinFight(c, enemyCreeps)),
+        enemyCreeps.filter(e => canJoinFight(e, ourCreeps)),
+        {
+            ticks: COMBAT_CONFIG.ENGAGEMENT_SIM_TICKS,
+            ourTowerDps: towerOptions.ourTowerDps + countIn(enemyCreeps, EFFECT_DAMAGE) * damage,
+            enemyTowerDps: towerOptions.enemyTowerDps + countIn(ourCreeps, EFFECT_DAMAGE) * damage,
+            ourExtraHealing: countIn(ourCreeps, EFFECT_HEAL) * healing,
+            enemyExtraHealing: countIn(enemyCreeps, EFFECT_HEAL) * healing
+        }
+    );
+}
+
+/**
+ * Find where a hurt creep falls back to: the nearest heal area close enough, otherwise our spawn
+ * @param {Creep} creep - The retreating creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object|null} Fallback position
+ */
+function findFallbackPoint(creep, mySpawn) {
+    const healAreas = getObjectsByPrototype(AreaEffect).filter(a =>
+        a.effect === EFFECT_HEAL && creep.getRangeTo(a) <= COMBAT_CONFIG.HEAL_AREA_RANGE
+    );
+    return creep.findClosestByRange(healAreas) || mySpawn || null;
+}
+
+// ===========================
+// Score Logistics Module
+// ===========================
+
+/**
+ * Collectors we may deliver to; a collector reporting my === false scores for the enemy
+ * @returns {ScoreCollector[]} Our and neutral collectors
+ */
+function getFriendlyCollectors() {
+    return getObjectsByPrototype(ScoreCollector).filter(c => c.my !== false);
+}
+
+/**
+ * Score resources some friendly collector accepts, in order of preference
+ * @returns {string[]} Deliverable score resource types
+ */
+function getDeliverableScoreTypes() {
+    const collectors = getFriendlyCollectors();
+    return SCORE_RESOURCES.filter(type => collectors.some(c => c.resourceType === type));
+}
+
+/**
+ * Demands for a carried resource, highest priority tier first: energy refills low towers and
+ * then the spawn, score goes to the collectors that accept its type
+ * @param {Creep} creep - The creep holding the resource
+ * @param {string} resourceType - The carried resource
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object[][]} Demand tiers
+ */
+function getDemandTiers(creep, resourceType, mySpawn) {
+    if (resourceType !== RESOURCE_ENERGY) {
+        return [getFriendlyCollectors().filter(c => c.resourceType === resourceType)];
+    }
+    const towers = getObjectsByPrototype(StructureTower).filter(t =>
+        t.my && t.store.getUsedCapacity(RESOURCE_ENERGY) < TOWER_ENERGY_COST
+    );
+    return [towers, mySpawn ? [mySpawn] : []];
+}
+
+/**
+ * Flee from armed enemies within an economy creep's flee range
+ * @param {Creep} creep - The economy creep
+ * @returns {boolean} True if the creep is fleeing this tick
+ */
+function fleeFromNearbyThreats(creep) {
+    const threats = getAllEnemyCreeps().filter(e =>
+        hasAttackCapability(e) && creep.getRangeTo(e) <= ECONOMY_CONFIG.HARVESTER_FLEE_RANGE
+    );
+    return threats.length > 0 && fleeFromThreats(creep, threats);
+}
+
+/**
+ * Run harvester creep behavior: keep the spawn and towers in energy
+ * @param {Creep} creep - The harvester creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function runHarvesterBehavior(creep, mySpawn) {
+    if (fleeFromNearbyThreats(creep)) {
+        return;
+    }
+
+    runLogisticsTask(creep, mySpawn);
+}
+
+/**
+ * Run scorer creep behavior: carry score resources to the collector that accepts them
+ * @param {Creep} creep - The scorer creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function runScorerBehavior(creep, mySpawn) {
+    if (fleeFromNearbyThreats(creep)) {
+        return;
+    }
+
+    const types = getDeliverableScoreTypes();
+    if (types.length > 0) {
+        runLogisticsTask(creep, mySpawn, types);
+    }
+}
+
+// ===========================
+// Spawn Module
+// ===========================
+
+// Body templates per role (format in core/bodies.mjs); the largest affordable body up to maxSize is spawned
+const BODY_TEMPLATES = {
+    [ROLES.HARVESTER]: { ratio: { [WORK]: 1, [CARRY]: 1 }, swampTicks: 10, minParts: 2, maxSize: 9 },
+    [ROLES.SCORER]: { ratio: { [CARRY]: 1 }, swampTicks: 5, minParts: 1, maxSize: 10 },
+    [ROLES.ATTACKER]: { ratio: { [ATTACK]: 1 }, swampTicks: 5, minParts: 1, maxSize: 10 },
+    [ROLES.RANGED]: { ratio: { [RANGED_ATTACK]: 1 }, swampTicks: 5, minParts: 1, maxSize: 8 },
+    [ROLES.MEDIC]: { ratio: { [HEAL]: 1 }, swampTicks: 5, minParts: 1, maxSize: 6 }
+};
+
+// Creeps of each role a squad waits for before it deploys
+const SQUAD_COMPOSITION = {
+    [ROLES.ATTACKER]: 2,
+    [ROLES.RANGED]: 1,
+    [ROLES.MEDIC]: 1
+};
+
+/**
+ * Full-size cost of a role's body
+ * @param {string} role - Role name
+ * @returns {number} Energy cost
+ */
+function getFullBodyCost(role) {
+    return getBodyCost(buildBody(BODY_TEMPLATES[role], Infinity));
+}
+
+/**
+ * Pick the next role to spawn: economy creeps up to target first, then the forming squad's
+ * missing roles while fewer than MAX_SQUADS squads are deployed
+ * @param {Creep[]} harvesters - Array of harvester creeps
+ * @param {Creep[]} scorers - Array of scorer creeps
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @returns {string|null} Role to spawn
+ */
+function getNextSpawnRole(harvesters, scorers, myCreeps) {
+    if (harvesters.length < ECONOMY_CONFIG.TARGET_HARVESTER_COUNT) return ROLES.HARVESTER;
+    if (scorers.length < ECONOMY_CONFIG.TARGET_SCORER_COUNT) return ROLES.SCORER;
+    if (Object.keys(squadObjectives).length >= SQUAD_CONFIG.MAX_SQUADS) return null;
+
+    const forming = myCreeps.filter(c => formingSquad && getSquadName(c) === formingSquad);
+    for (const role in SQUAD_COMPOSITION) {
+        if (forming.filter(c => getCreepRole(c) === role).length < SQUAD_COMPOSITION[role]) {
+            return role;
+        }
+    }
+    return null;
+}
+
+/**
+ * Spawn the next creep: economy creeps with whatever the energy buys, combat creeps once the
+ * spawn holds enough for a full-size body (or as much as it can hold)
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} harvesters - Array of harvester creeps
+ * @param {Creep[]} scorers - Array of scorer creeps
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function executeSpawnStrategy(mySpawn, harvesters, scorers, myCreeps) {
+    if (!mySpawn || mySpawn.spawning) {
+        return;
+    }
+
+    const role = getNextSpawnRole(harvesters, scorers, myCreeps);
+    if (!role) {
+        return;
+    }
+
+    const energy = mySpawn.store.getUsedCapacity(RESOURCE_ENERGY);
+    const isEconomy = role === ROLES.HARVESTER || role === ROLES.SCORER;
+    if (!isEconomy && energy < Math.min(getFullBodyCost(role), mySpawn.store.getCapacity(RESOURCE_ENERGY))) {
+        return;
+    }
+
+    const body = buildBody(BODY_TEMPLATES[role], energy);
+    if (body) {
+        spawnCreepWithRole(mySpawn, body, role);
+    }
+}
+
+// ===========================
+// Squad Management Module
+// ===========================
+
+/**
+ * Clean up state tracking for dead creeps and replace dead squad leaders
+ * @param {Creep[]} myCreeps - Array of currently alive friendly creeps
+ */
+function cleanupDeadCreepState(myCreeps) {
+    const aliveCreepIds = cleanupCreepState(myCreeps);
+
+    const disbanded = replaceDeadSquadLeaders(aliveCreepIds, squadName =>
+        chooseSquadLeader(myCreeps.filter(c => getSquadName(c) === squadName))
+    );
+    for (const squadName of disbanded) {
+        delete squadObjectives[squadName];
+    }
+}
+
+/**
+ * Choose a deploying squad's objective: escort the scorers until ESCORT_SQUADS squads do,
+ * then contest the collector the fewest squads are contesting, nearest our spawn first
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object} { type: 'escort' } or { type: 'contest', collectorId }
+ */
+function chooseSquadObjective(mySpawn) {
+    const objectives = Object.values(squadObjectives);
+    const collectors = getObjectsByPrototype(ScoreCollector);
+    if (collectors.length === 0 ||
+        objectives.filter(o => o.type === 'escort').length < SQUAD_CONFIG.ESCORT_SQUADS) {
+        return { type: 'escort' };
+    }
+
+    const contesting = id => objectives.filter(o => o.collectorId === id).length;
+    const fromSpawn = c => mySpawn ? getRange(mySpawn, c) : 0;
+    const collector = collectors.sort((a, b) => contesting(a.id) - contesting(b.id) || fromSpawn(a) - fromSpawn(b))[0];
+    return { type: 'contest', collectorId: collector.id };
+}
+
+/**
+ * Put new combat creeps in the forming squad, which guards our spawn under the first leader it
+ * gets, and deploy it with an objective once it holds the full composition
+ * @param {Creep[]} combatCreeps - Attackers, ranged creeps and medics
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function organizeSquads(combatCreeps, mySpawn) {
+    if (!formingSquad) {
+        // Names come free again once nobody alive belongs to the squad
+        const used = new Set(combatCreeps.map(getSquadName));
+        formingSquad = NATO_ALPHABET.find(name => !used.has(name)) || null;
+        if (!formingSquad) return;
+    }
+
+    for (const creep of combatCreeps) {
+        if (!getSquadName(creep)) {
+            assignToSquad(creep, formingSquad);
+        }
+    }
+
+    const members = combatCreeps.filter(c => getSquadName(c) === formingSquad);
+    const leader = chooseSquadLeader(members);
+    if (leader && !getSquadLeaderId(formingSquad)) {
+        setSquadLeader(formingSquad, leader);
+    }
+
+    const complete = Object.entries(SQUAD_COMPOSITION).every(([role, count]) =>
+        members.filter(c => getCreepRole(c) === role).length >= count
+    );
+    if (complete && leader) {
+        squadObjectives[formingSquad] = chooseSquadObjective(mySpawn);
+        formingSquad = null;
+    }
+}
+
+/**
+ * Find where a squad is headed when it has no target: the escorted scorer or the contested collector
+ * @param {string} squadName - The squad
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @returns {object|null} Objective position
+ */
+function getObjectivePosition(squadName, myCreeps) {
+    const objective = squadObjectives[squadName];
+    if (!objective) {
+        return null;
+    }
+    if (objective.type === 'contest') {
+        return getObjectsByPrototype(ScoreCollector).find(c => c.id === objective.collectorId) || null;
+    }
+
+    // Escort the scorer with an armed enemy closest to it
+    const scorers = myCreeps.filter(c => getCreepRole(c) === ROLES.SCORER);
+    const armedEnemies = getAllEnemyCreeps().filter(hasAttackCapability);
+    const exposure = scorer => Math.min(Infinity, ...armedEnemies.map(e => getRange(e, scorer)));
+    return scorers.sort((a, b) => exposure(a) - exposure(b))[0] || null;
+}
+
+/**
+ * Enemies a squad's objective tells it to fight: armed enemies near our scorers for an escort,
+ * any enemy near the collector for a contest (their scorers included), armed enemies near our
+ * spawn for a squad still forming
+ * @param {string} squadName - The squad
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {Creep[]} Enemies the squad may target
+ */
+function getObjectiveEnemies(squadName, myCreeps, mySpawn) {
+    const enemies = getAllEnemyCreeps();
+    const objective = squadObjectives[squadName];
+    if (!objective) {
+        return mySpawn
+            ? enemies.filter(e => hasAttackCapability(e) && getRange(e, mySpawn) <= COMBAT_CONFIG.SPAWN_GUARD_RANGE)
+            : [];
+    }
+    if (objective.type === 'contest') {
+        const collector = getObjectivePosition(squadName, myCreeps);
+        return collector ? enemies.filter(e => getRange(e, collector) <= COMBAT_CONFIG.CONTEST_RANGE) : [];
+    }
+
+    const scorers = myCreeps.filter(c => getCreepRole(c) === ROLES.SCORER);
+    return enemies.filter(e => hasAttackCapability(e) &&
+        scorers.some(s => getRange(e, s) <= COMBAT_CONFIG.ESCORT_THREAT_RANGE));
+}
+
+/**
+ * Predict a squad's fight near its leader with both sides' armed towers firing and area effects folded in
+ * @param {Creep} leader - Squad leader
+ * @param {StructureTower[]} myTowers - Our towers
+ * @returns {function} (squadCreeps, threats) => predictEngagement result, for chooseSquadStance
+ */
+function predictSquadFight(leader, myTowers) {
+    return (squadCreeps, threats) => {
+        const armedTowers = myTowers.filter(t => t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST);
+        return predictAreaEngagement(squadCreeps, threats, {
+            ourTowerDps: getTowerDpsAt(armedTowers, leader),
+            enemyTowerDps: getTowerDpsAt(getArmedEnemyTowers(), leader)
+        });
+    };
+}
+
+/**
+ * Let each squad leader set the squad's stance and designate the objective enemy closest to it
+ * as the squad's target, keeping the current one until it gets away. A new stance is held for
+ * a few ticks before it may change again.
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureTower[]} myTowers - Our towers
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function directSquads(myCreeps, myTowers, mySpawn) {
+    const allEnemies = getAllEnemyCreeps();
+    const armedEnemies = allEnemies.filter(hasAttackCapability);
+
+    for (const squadName of getLedSquadNames()) {
+        const leader = myCreeps.find(c => c.id === getSquadLeaderId(squadName));
+        if (!leader) continue;
+
+        const threats = armedEnemies.filter(e => getRange(e, leader) <= COMBAT_CONFIG.ENGAGEMENT_ASSESS_RANGE);
+        const squadCreeps = [leader, ...getSquadMembers(leader, myCreeps)];
+        commitSquadStance(squadName, chooseSquadStance(squadName, squadCreeps, threats, predictSquadFight(leader, myTowers)));
+
+        const current = getSquadTarget(leader, allEnemies);
+        if (current && getRange(current, leader) <= COMBAT_CONFIG.TARGET_RELEASE_RANGE) {
+            continue;
+        }
+        const candidates = getObjectiveEnemies(squadName, myCreeps, mySpawn);
+        setSquadTarget(leader, candidates.length > 0 ? leader.findClosestByRange(candidates) : null);
+    }
+}
+
+/**
+ * Move a combat creep by its squad's stance: fall back to heal when retreating, close on the
+ * squad's target, otherwise keep with the leader and hold at the objective (or our spawn while
+ * the squad is forming)
+ * @param {Creep} creep - The combat creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {Creep[]} allEnemies - All enemy creeps
+ * @param {number} holdRange - Range to keep from the target (1 for melee)
+ */
+function advanceWithSquad(creep, mySpawn, myCreeps, allEnemies, holdRange) {
+    const squadName = getSquadName(creep);
+    const stance = getSquadStance(squadName) || STANCES.ENGAGE;
+    if (stance === STANCES.RETREAT) {
+        const fallback = findFallbackPoint(creep, mySpawn);
+        if (fallback && creep.getRangeTo(fallback) > 0) {
+            cachedMoveTo(creep, fallback);
+        }
+        return;
+    }
+    if (stance === STANCES.HOLD) {
+        return;
+    }
+
+    const target = getSquadTarget(creep, allEnemies);
+    const leader = getSquadLeader(creep, myCreeps);
+    const objective = getObjectivePosition(squadName, myCreeps) || mySpawn;
+    if (target) {
+        if (creep.getRangeTo(target) > holdRange) {
+            cachedMoveTo(creep, target, { ignoreCreeps: true });
+        }
+    } else if (leader && leader.id !== creep.id && creep.getRangeTo(leader) > COMBAT_CONFIG.SQUAD_COHESION_RANGE) {
+        cachedMoveTo(creep, leader, { ignoreCreeps: true });
+    } else if (objective && creep.getRangeTo(objective) > COMBAT_CONFIG.OBJECTIVE_RANGE) {
+        cachedMoveTo(creep, objective);
+    }
+}
+
+// ===========================
+// Role Behaviors
+// ===========================
+
+/**
+ * Melee attacker: hit the squad's target or the nearest adjacent enemy, then move with the squad
+ * @param {Creep} creep - The attacker
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runAttackerBehavior(creep, mySpawn, myCreeps) {
+    const allEnemies = getAllEnemyCreeps();
+    const designatedTarget = getSquadTarget(creep, allEnemies);
+    const adjacentEnemy = designatedTarget && creep.getRangeTo(designatedTarget) <= 1
+        ? designatedTarget
+        : findNearestEnemy(creep, 1);
+    if (adjacentEnemy) {
+        creep.attack(adjacentEnemy);
+    }
+
+    advanceWithSquad(creep, mySpawn, myCreeps, allEnemies, 1);
+}
+
+/**
+ * Ranged creep: shoot every tick and kite melee threats, then move with the squad at attack range
+ * @param {Creep} creep - The ranged creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runRangedBehavior(creep, mySpawn, myCreeps) {
+    const allEnemies = getAllEnemyCreeps();
+    fireRangedParts(creep, allEnemies);
+
+    if (kiteMeleeThreats(creep, allEnemies, COMBAT_CONFIG.RANGED_KITE_RANGE)) {
+        return;
+    }
+
+    advanceWithSquad(creep, mySpawn, myCreeps, allEnemies, COMBAT_CONFIG.RANGED_ATTACK_RANGE);
+}
+
+/**
+ * Medic: stay out of reach, heal and follow its squad; with no squad left, heal whoever needs it
+ * and otherwise wait at the nearest fallback point
+ * @param {Creep} creep - The medic
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runMedicBehavior(creep, mySpawn, myCreeps) {
+    if (fleeWhileHealing(creep, myCreeps)) {
+        return;
+    }
+
+    if (supportSquad(creep, myCreeps, COMBAT_CONFIG.MEDIC_FOLLOW_RANGE)) {
+        return;
+    }
+
+    const healTarget = findMostDamagedCreep(myCreeps.filter(c => c.id !== creep.id));
+    const fallback = findFallbackPoint(creep, mySpawn);
+    if (healTarget) {
+        if (healInRange(creep, healTarget) > 1) {
+            cachedMoveTo(creep, healTarget, { ignoreCreeps: true });
+        }
+    } else if (fallback && creep.getRangeTo(fallback) > COMBAT_CONFIG.OBJECTIVE_RANGE) {
+        cachedMoveTo(creep, fallback);
+    }
+}
+
+export function loop() {
+    clearMoveIntents();
+
+    const mySpawn = getObjectsByPrototype(StructureSpawn).find(s => s.my);
+    const myCreeps = getObjectsByPrototype(Creep).filter(c => c.my);
+    const myTowers = getObjectsByPrototype(StructureTower).filter(t => t.my);
+
+    cleanupDeadCreepState(myCreeps);
+    cleanupSquadTargets(getAllEnemyCreeps());
+
+    const { harvesters, scorers, attackers, medics } = categorizeCreeps(myCreeps);
+    organizeSquads([...attackers, ...medics], mySpawn);
+    directSquads(myCreeps, myTowers, mySpawn);
+    executeSpawnStrategy(mySpawn, harvesters, scorers, myCreeps);
+    updateLogistics(myCreeps);
+
+    // Execute creep behaviors through the role registry
+    const context = { mySpawn, myCreeps };
+    for (const creep of myCreeps) {
+        runCreepRole(creep, context);
+    }
+
+    // Issue the moves behaviors asked for, resolving collisions between them
+    resolveTraffic(myCreeps, mySpawn);
+
+    runTowerBehavior(myTowers, mySpawn, myCreeps);
+}
@@ -1,26 +1,44 @@
-import { getObjectsByPrototype, createConstructionSite, getTicks, findPath, getDirection } from 'game/utils';
-import { Creep, StructureSpawn, Source, StructureContainer, StructureTower, ConstructionSite, StructureExtension, StructureWall } from 'game/prototypes';
-import { MOVE, ATTACK, RANGED_ATTACK, WORK, CARRY, RESOURCE_ENERGY, ERR_NOT_IN_RANGE, HEAL, TOUGH } from 'game/constants';
+import { arenaInfo } from 'game';
+import { getObjectsByPrototype, createConstructionSite, getTicks, getTerrainAt, getRange } from 'game/utils';
+import { Creep, Structure, StructureSpawn, Source, StructureContainer, StructureTower, ConstructionSite, StructureExtension, StructureWall, StructureRampart, StructureRoad } from 'game/prototypes';
+import { CostMatrix, searchPath } from 'game/path-finder';
+import { OK, MOVE, ATTACK, RANGED_ATTACK, WORK, CARRY, RESOURCE_ENERGY, ERR_NOT_IN_RANGE, HEAL, TOUGH, BODYPART_COST, TERRAIN_WALL, TERRAIN_SWAMP, TOWER_ENERGY_COST } from 'game/constants';
+import { cleanupByIdSet, cleanupCreepState } from '../core/state.mjs';
+import { configureRoles, categorizeCreeps, spawnCreepWithRole, getCreepRole, getRecordedRoles, runCreepRole } from '../core/roles.mjs';
+import { STANCES, NATO_ALPHABET, configureSquads, assignToSquad, getSquadName, getLedSquadNames, setSquadLeader, getSquadLeaderId,
+    getSquadMembers, getSquadLeader, isSquadLeader, getSquadTarget, setSquadTarget, getSquadStance, setSquadStance, chooseSquadStance,
+    replaceDeadSquadLeaders, cleanupSquadTargets, getSquadSnapshot } from '../core/squads.mjs';
+import { configureTraffic, clearMoveIntents, resolveTraffic } from '../core/traffic.mjs';
+import { getAllEnemyCreeps, hasAttackCapability, findNearestEnemy, findMostDamagedCreep, getTowerDamageAtRange,
+    getArmedEnemyTowers, getTowerDpsAt, predictEngagement, getThreatsInReach } from '../core/combat.mjs';
+import { MAP_SIZE, buildObstacleCostMatrix, penalizeArea } from '../core/map.mjs';
+import { configurePathing, cachedMoveTo, fleeFromThreats } from '../core/pathing.mjs';
+import { healInRange, fleeWhileHealing, supportSquad, fireRangedParts, kiteMeleeThreats } from '../core/tactics.mjs';
+import { configureTowers, runTowerBehavior } from '../core/towers.mjs';
+import { getBodyCost, buildBody, buildMinimumBody } from '../core/bodies.mjs';
+import { configureLogistics, updateLogistics, runLogisticsTask, getHarvestSiteSnapshot } from '../core/logistics.mjs';
+import { configureDefense, updateDefense, getDefense, isSquadRecalled, releaseRecalledSquad, getRecalledSquadNames,
+    getDefenseTarget } from '../core/defense.mjs';
 
-let creepPaths = {}; // Cache paths: { creepId: { target: targetId, tick: lastCalculatedTick } }
 let targetWalls = []; // Walls blocking access to containers
+let targetWallsInitialized = false; // Wall discovery runs once, on the first tick
 let deployedAttackers = new Set(); // Track which attackers are deployed to attack
 let deployedMedics = new Set(); // Track which medics are deployed for combat support
-let squadAssignments = {}; // Map creep ID to squad name (e.g., "Alpha", "Bravo", "Charlie")
-let squadLeaders = {}; // Map squad name to leader creep ID
-let squadTargets = {}; // Map squad name to designated target enemy ID
+let retreatingCreeps = new Set(); // Deployed creeps falling back to heal before rejoining their squad
 let nextSquadIndex = 0; // Track next squad to deploy
+let spawnRequests = []; // Spawn requests submitted by managers this tick
+let tileUsage = null; // Decaying count of our creeps' executed moves onto each tile (Float32Array by y * MAP_SIZE + x)
+let creepLastPositions = {}; // Map creep ID to its position last tick, to detect executed moves
+let basePlan = null; // Planned base layout: { extensions, towers, ramparts, exits } as [{x, y}] in build order
+let towerRefillRequests = []; // Towers asking the economy for energy this tick: [{ tower, amount }]
+let strategyProfile = null; // Name of the STRATEGY_PRESETS entry applied on the first tick
+let matchPhase = 'opening'; // Current PHASES value, advanced by updateMatchPhase
 let killSquadDeployed = false; // Track if kill squad has been sent
 let killSquadCreeps = new Set(); // Track kill squad member IDs
-let killSquadWaypoint = null; // Waypoint for kill squad (calculated once)
-let killSquadReachedWaypoint = new Set(); // Track which kill squad members reached waypoint
-
-// NATO alphabet for squad naming
-const NATO_ALPHABET = [
-    "Alpha", "Bravo", "Charlie", "Delta", "Echo", "Foxtrot", "Golf", "Hotel",
-    "India", "Juliet", "Kilo", "Lima", "Mike", "November", "Oscar", "Papa",
-    "Quebec", "Romeo", "Sierra", "Tango", "Uniform", "Victor", "Whiskey", "Xray", "Yankee", "Zulu"
-];
+let killSquadRoute = null; // Alternate route for kill squad: { waypoints: [{x, y}], tick: plannedTick }
+let killSquadProgress = {}; // Map kill squad creep ID to index of its next route waypoint
+let replayIntents = null; // Intents recorded this tick: [actorId, method, args, returnCode, createdId], null when not recording
+let replayInstrumented = false; // Whether intent methods have been wrapped for recording
 
 /**
  * Spawn and Swamp Dominator
@@ -30,397 +48,706 @@ const NATO_ALPHABET = [
 // Configuration Constants
 // ===========================
 
+// Strategy preset to play: a STRATEGY_PRESETS name, or 'auto' to pick one from arenaInfo.
+// The config objects below hold the 'balanced' defaults that presets override.
+export const STRATEGY_PROFILE = 'auto';
+
 const PATHFINDING_CONFIG = {
     PATH_REFRESH_INTERVAL: 3, // Recalculate path every 3 ticks
-    OFFPATH_DETECTION_THRESHOLD: 2 // Max tiles away from expected path position
+    OFFPATH_DETECTION_THRESHOLD: 2, // Max tiles away from expected path position
+    ALT_ROUTE_PATH_PENALTY: 40, // Extra cost on and around the shortest path when planning alternate routes
+    ALT_ROUTE_PATH_RADIUS: 3, // Tiles within this range of the shortest path are penalized
+    ALT_ROUTE_ENEMY_PENALTY: 60, // Extra cost near known enemy threats
+    ALT_ROUTE_ENEMY_RADIUS: 5, // Tiles within this range of an enemy threat are penalized
+    ALT_ROUTE_SPAWN_CLEARANCE: 6, // Path tiles this close to either end are left unpenalized so routes can leave and arrive
+    ALT_ROUTE_WAYPOINT_SPACING: 10, // Path tiles between consecutive waypoints
+    MAX_FLOW_FIELDS: 16 // Least recently used flow fields are dropped beyond this count
 };
 
 const ECONOMY_CONFIG = {
     MIN_HARVESTERS_FOR_EXTENSIONS: 1,
     MAX_EXTENSIONS: 5,
+    BASE_PLAN_RADIUS: 4, // Planned structures stay within this range of the spawn
     TARGET_HARVESTER_COUNT: 3,
-    HARVESTER_FLEE_RANGE: 10 // Range at which harvesters flee from enemies
+    TARGET_HAULER_COUNT: 1,
+    TARGET_BUILDER_COUNT: 1, // Builders spawned once the opening is over, while construction sites are waiting
+    HARVESTER_FLEE_RANGE: 10, // Range at which harvesters flee from enemies
+    CONTAINER_SITE_CAPACITY: 2, // Creeps assigned to one container at once
+    SOURCE_SITE_CAPACITY: 3, // Creeps assigned to one source at once
+    HARVEST_SITE_UNSAFE_RANGE: 6, // Supplies this close to an armed enemy are not assigned
+    WALL_CROSSING_COST: 50, // Path cost of a StructureWall tile when searching for walls worth demolishing
+    TOWER_REFILL_THRESHOLD: 40, // Towers holding less energy than this ask harvesters for a refill
+    ROAD_PLAN_INTERVAL: 25, // Ticks between road planning passes
+    ROAD_USAGE_DECAY_INTERVAL: 200, // Tile usage is halved this often so old routes cool down
+    ROAD_MIN_BENEFIT_RATIO: 0.5, // Fatigue saved by recent traffic per energy of build cost needed to justify a road
+    MAX_ROAD_SITES: 3 // Road construction sites open at once
 };
 
 const COMBAT_CONFIG = {
     ATTACKERS_PER_SQUAD: 3,
     MEDICS_PER_SQUAD: 1,
+    RANGED_PER_SQUAD: 1,
     INITIAL_WAVE_ATTACKERS: 4, // First two waves have 4 attackers
     FOLLOWUP_WAVE_ATTACKERS: 2, // Subsequent waves have 2 attackers
-    INITIAL_WAVE_COUNT: 2, // Number of initial waves with 4 attackers
+    INITIAL_WAVE_COUNT: 2, // Waves deployed during build-up before the assault phase can begin
     KILL_SQUAD_SIZE: 2, // Fast strike team
     BASE_THREAT_DETECTION_RANGE: 40, // Range to detect enemies near base
+    DEFENSE_SPAWN_TRIGGER_RANGE: 15, // Enemy threats this close to spawn trigger urgent defender spawns
     DEFENDER_IDLE_RANGE: 3, // Distance from spawn for idle defenders
     ATTACKER_ENEMY_DETECTION_RANGE: 8, // Range for attackers to detect threats
     ATTACKER_HARMLESS_DETECTION_RANGE: 4, // Range for attackers to detect harmless enemies
     MEDIC_FOLLOW_RANGE: 2, // Max range before medic moves to follow assault force
-    SQUAD_COHESION_RANGE: 3 // Max distance followers can be from squad leader
+    SQUAD_COHESION_RANGE: 3, // Max distance followers can be from squad leader
+    ENGAGEMENT_ASSESS_RANGE: 10, // Enemy threats within this range of a squad leader are included in fight predictions
+    ENGAGEMENT_SIM_TICKS: 30, // Ticks simulated when predicting a fight
+    ENGAGE_MARGIN: 0.1, // Engage when our predicted remaining HP fraction beats theirs by this much
+    RETREAT_MARGIN: 0.25, // Retreat when theirs beats ours by this much
+    CREEP_RETREAT_HP_RATIO: 0.4, // A squad attacker below this fraction of max hits falls back to heal
+    CREEP_REJOIN_HP_RATIO: 0.9, // ...and rejoins its squad once healed back above this fraction
+    RANGED_ATTACK_RANGE: 3, // Ranged units hold this distance from their target
+    RANGED_KITE_RANGE: 2, // Ranged units back off from melee threats this close
+    PLANNED_TOWERS: 2, // Tower spots reserved in the base plan
+    TOWER_APPROACH_DISTANCE: 10, // Tower spots favor covering the enemy approach this many path tiles out
+    KILL_SQUAD_WAYPOINT_RANGE: 3, // Range at which a kill squad member counts a waypoint as reached
+    KILL_SQUAD_CONTEST_RANGE: 5, // Enemy threats this close to the remaining route make it contested
+    KILL_SQUAD_REPLAN_INTERVAL: 10 // Min ticks between kill squad route replans
+};
+
+const PHASE_CONFIG = {
+    OPENING_MAX_TICKS: 300, // The opening ends here even if the economy has not reached its targets
+    ENDGAME_TICKS_REMAINING: 250, // All-in push starts this many ticks before the tick limit
+    DEFAULT_TICKS_LIMIT: 2000 // Used when arenaInfo reports no tick limit
+};
+
+const REPLAY_CONFIG = {
+    ENABLED: false, // Emit one JSONL replay frame per tick to the console
+    INCLUDE_NEUTRAL_STRUCTURES: true // Include walls and unowned containers in frames
+};
+
+// ===========================
+// Role Registry Module
+// ===========================
+
+const ROLES = {
+    HARVESTER: 'harvester',
+    HAULER: 'hauler',
+    BUILDER: 'builder',
+    ATTACKER: 'attacker',
+    RANGED: 'ranged',
+    KILL_SQUAD: 'killSquad',
+    MEDIC: 'medic'
 };
 
 /**
- * Get all enemy creeps
- * @returns {Creep[]} Array of enemy creeps
+ * Role definitions: the group categorizeCreeps counts the role in, and the behavior that runs it.
+ * A new role needs an entry here and a spawnCreepWithRole call that names it.
+ * Behaviors receive a context of { mySpawn, enemySpawn, myCreeps }.
  */
-function getAllEnemyCreeps() {
-    return getObjectsByPrototype(Creep).filter(c => !c.my);
+const ROLE_REGISTRY = {
+    [ROLES.HARVESTER]: {
+        group: 'harvesters',
+        run: (creep, ctx) => runHarvesterBehavior(creep, ctx.mySpawn)
+    },
+    [ROLES.HAULER]: {
+        group: 'haulers',
+        run: (creep, ctx) => runHaulerBehavior(creep, ctx.mySpawn)
+    },
+    [ROLES.BUILDER]: {
+        group: 'builders',
+        run: (creep, ctx) => runHaulerBehavior(creep, ctx.mySpawn)
+    },
+    [ROLES.ATTACKER]: {
+        group: 'attackers',
+        run: (creep, ctx) => runAttackerBehavior(creep, ctx.mySpawn, ctx.enemySpawn, ctx.myCreeps)
+    },
+    [ROLES.RANGED]: {
+        group: 'attackers',
+        run: (creep, ctx) => runRangedBehavior(creep, ctx.mySpawn, ctx.enemySpawn, ctx.myCreeps)
+    },
+    [ROLES.KILL_SQUAD]: {
+        group: 'attackers',
+        run: (creep, ctx) => runAttackerBehavior(creep, ctx.mySpawn, ctx.enemySpawn, ctx.myCreeps)
+    },
+    [ROLES.MEDIC]: {
+        group: 'medics',
+        run: (creep, ctx) => runMedicBehavior(creep, ctx.mySpawn, ctx.myCreeps, ctx.enemySpawn)
+    }
+};
+
+/**
+ * Fallback for creeps with no recorded role (e.g. present before our code started)
+ * @param {Creep} creep - The creep to classify
+ * @returns {string} Best-guess role
+ */
+function inferRoleFromBody(creep) {
+    if (creep.body.some(p => p.type === WORK)) return ROLES.HARVESTER;
+    if (creep.body.some(p => p.type === CARRY)) return ROLES.HAULER;
+    if (creep.body.some(p => p.type === HEAL)) return ROLES.MEDIC;
+    if (creep.body.some(p => p.type === RANGED_ATTACK)) return ROLES.RANGED;
+    return ROLES.ATTACKER;
 }
 
+configureRoles({ registry: ROLE_REGISTRY, inferRole: inferRoleFromBody });
+
+// ===========================
+// Squad Management Module
+// ===========================
+
 /**
- * Check if a creep has offensive capabilities
- * @param {Creep} creep - The creep to check
- * @returns {boolean} True if creep has attack or ranged attack parts
+ * Plan an approach route to the enemy spawn that avoids the shortest path and known enemy threats
+ * @param {object} fromPos - Route start position
+ * @param {StructureSpawn} enemySpawn - The enemy spawn
+ * @param {Creep[]} enemyCreeps - Known enemy creeps
+ * @returns {object|null} Route { waypoints: [{x, y}], tick } or null when no path exists
  */
-function hasAttackCapability(creep) {
-    return creep.body.some(p => p.type === ATTACK || p.type === RANGED_ATTACK);
+function planKillSquadRoute(fromPos, enemySpawn, enemyCreeps) {
+    if (!fromPos || !enemySpawn) return null;
+
+    const goal = { pos: enemySpawn, range: 1 };
+    const obstacles = buildObstacleCostMatrix();
+    const shortest = searchPath(fromPos, goal, { costMatrix: obstacles });
+    if (shortest.incomplete || shortest.path.length === 0) return null;
+
+    // Penalize the corridor around the shortest path, except where every route must start and finish
+    const costMatrix = obstacles.clone();
+    const clearance = PATHFINDING_CONFIG.ALT_ROUTE_SPAWN_CLEARANCE;
+    for (const step of shortest.path) {
+        if (getRange(step, fromPos) <= clearance || getRange(step, enemySpawn) <= clearance) continue;
+        penalizeArea(costMatrix, step, PATHFINDING_CONFIG.ALT_ROUTE_PATH_RADIUS, PATHFINDING_CONFIG.ALT_ROUTE_PATH_PENALTY);
+    }
+
+    for (const enemy of enemyCreeps.filter(hasAttackCapability)) {
+        penalizeArea(costMatrix, enemy, PATHFINDING_CONFIG.ALT_ROUTE_ENEMY_RADIUS, PATHFINDING_CONFIG.ALT_ROUTE_ENEMY_PENALTY);
+    }
+
+    const alternate = searchPath(fromPos, goal, { costMatrix });
+    const route = alternate.incomplete ? shortest.path : alternate.path;
+
+    // Sample waypoints along the route; the final leg to the spawn is left to normal movement
+    const waypoints = [];
+    for (let i = PATHFINDING_CONFIG.ALT_ROUTE_WAYPOINT_SPACING; i < route.length - clearance; i += PATHFINDING_CONFIG.ALT_ROUTE_WAYPOINT_SPACING) {
+        waypoints.push({ x: route[i].x, y: route[i].y });
+    }
+
+    return { waypoints, tick: getTicks() };
 }
 
 /**
- * Categorize creeps by role based on body parts
- * @param {Creep[]} myCreeps - Array of friendly creeps
- * @returns {object} Object with harvesters, attackers, and medics arrays
+ * Check whether enemy threats sit on the part of the route a kill squad member has yet to walk
+ * @param {Creep} creep - Kill squad member
+ * @param {Creep[]} enemyCreeps - Known enemy creeps
+ * @returns {boolean} True if the remaining route is contested
  */
-function categorizeCreeps(myCreeps) {
-    return {
-        harvesters: myCreeps.filter(c => c.body.some(p => p.type === CARRY)),
-        attackers: myCreeps.filter(c => c.body.some(p => p.type === ATTACK || p.type === RANGED_ATTACK)),
-        medics: myCreeps.filter(c => c.body.some(p => p.type === HEAL))
-    };
+function isKillSquadRouteContested(creep, enemyCreeps) {
+    const remaining = killSquadRoute.waypoints.slice(killSquadProgress[creep.id] || 0);
+    const threats = enemyCreeps.filter(hasAttackCapability);
+    return remaining.some(waypoint =>
+        threats.some(enemy => getRange(enemy, waypoint) <= COMBAT_CONFIG.KILL_SQUAD_CONTEST_RANGE)
+    );
 }
 
+// ===========================
+// Pathing Service Module
+// ===========================
+
 /**
- * Find nearest enemy creep within specified range, prioritizing threats
- * @param {Creep} creep - The creep searching for enemies
- * @param {number} maxRange - Maximum distance to search for threats
- * @param {number} maxHarmlessRange - Maximum distance to search for harmless enemies (defaults to maxRange)
- * @returns {Creep|null} Nearest enemy creep or null if none found
+ * Cost profiles per role. dangerCostPerDamage converts expected damage per tick on a tile
+ * into extra path cost: harvesters detour widely around danger, assault units barely notice it.
  */
-function findNearestEnemy(creep, maxRange, maxHarmlessRange = null) {
-    const enemyCreeps = getAllEnemyCreeps();
-    const harmlessRange = maxHarmlessRange !== null ? maxHarmlessRange : maxRange;
+const PATH_COST_PROFILES = {
+    [ROLES.HARVESTER]: { dangerCostPerDamage: 2 },
+    [ROLES.HAULER]: { dangerCostPerDamage: 2 },
+    [ROLES.BUILDER]: { dangerCostPerDamage: 2 },
+    [ROLES.MEDIC]: { dangerCostPerDamage: 0.5 },
+    [ROLES.RANGED]: { dangerCostPerDamage: 0.5 },
+    [ROLES.KILL_SQUAD]: { dangerCostPerDamage: 0.3 },
+    [ROLES.ATTACKER]: { dangerCostPerDamage: 0.05 }
+};
 
-    let nearestThreat = null;
-    let nearestHarmless = null;
-    let minThreatDistance = maxRange + 1;
-    let minHarmlessDistance = harmlessRange + 1;
+// ===========================
+// Traffic Manager Module
+// ===========================
 
-    for (const enemy of enemyCreeps) {
-        const distance = creep.getRangeTo(enemy);
+// Higher priority movers win contested tiles and may shove stationary creeps of equal or lower priority
+const TRAFFIC_PRIORITY = {
+    [ROLES.HARVESTER]: 1,
+    [ROLES.HAULER]: 1,
+    [ROLES.BUILDER]: 1,
+    [ROLES.MEDIC]: 2,
+    [ROLES.RANGED]: 3,
+    [ROLES.ATTACKER]: 3,
+    [ROLES.KILL_SQUAD]: 4
+};
 
-        if (hasAttackCapability(enemy)) {
-            // Check threats within their range
-            if (distance <= maxRange && distance < minThreatDistance) {
-                minThreatDistance = distance;
-                nearestThreat = enemy;
-            }
-        } else {
-            // Check harmless enemies within their (potentially shorter) range
-            if (distance <= harmlessRange && distance < minHarmlessDistance) {
-                minHarmlessDistance = distance;
-                nearestHarmless = enemy;
-            }
-        }
-    }
+configureTraffic(TRAFFIC_PRIORITY);
 
-    // Return nearest threat first, or harmless enemy if no threats
-    return nearestThreat || nearestHarmless;
-}
+// ===========================
+// Combat Model Module
+// ===========================
 
 /**
- * Find the most damaged creep from an array of creeps
- * @param {Creep[]} creeps - Array of creeps to search
- * @returns {Creep|null} Most damaged creep or null if none damaged
+ * Predict a squad's fight near its leader with both sides' armed towers firing
+ * @param {Creep} leader - Squad leader
+ * @returns {function} (squadCreeps, threats) => predictEngagement result, for chooseSquadStance
  */
-function findMostDamagedCreep(creeps) {
-    return creeps
-        .filter(c => c.hits < c.hitsMax)
-        .sort((a, b) => a.hits - b.hits)[0] || null;
+function predictSquadFight(leader) {
+    return (squadCreeps, threats) => {
+        const myTowers = getObjectsByPrototype(StructureTower).filter(t =>
+            t.my && t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST
+        );
+        return predictEngagement(squadCreeps, threats, {
+            ticks: COMBAT_CONFIG.ENGAGEMENT_SIM_TICKS,
+            ourTowerDps: getTowerDpsAt(myTowers, leader),
+            enemyTowerDps: getTowerDpsAt(getArmedEnemyTowers(), leader)
+        });
+    };
 }
 
 // ===========================
-// Squad Management Module
+// Match Phase Module
 // ===========================
 
+const PHASES = {
+    OPENING: 'opening', // Economy first; no squad spawns yet
+    BUILD_UP: 'buildUp', // Full-size waves, cautious engagements
+    ASSAULT: 'assault', // Army ahead: smaller reinforcing waves, riskier engagements
+    ENDGAME: 'endgame' // Tick limit close: all-in push, no economy or defense spending
+};
+
 /**
- * Get all squad members for a given creep
- * @param {Creep} creep - The creep whose squad to find
- * @param {Creep[]} allCreeps - All friendly creeps
- * @param {boolean} attackersOnly - If true, only return attackers
- * @returns {Creep[]} Array of squad member creeps
+ * Build the phase-dependent strategy settings: which spawn managers run, how many attackers
+ * a wave needs before it deploys, and the engagement margins squad leaders decide stances with.
+ * Rebuilt when a strategy profile changes the config values they derive from.
+ * @returns {object} Settings keyed by PHASES value
  */
-function getSquadMembers(creep, allCreeps, attackersOnly = false) {
-    const squad = squadAssignments[creep.id];
-    return allCreeps.filter(c =>
-        c.id !== creep.id &&
-        squadAssignments[c.id] === squad &&
-        !killSquadCreeps.has(c.id) &&
-        (!attackersOnly || deployedAttackers.has(c.id))
-    );
+function buildPhaseSettings() {
+    return {
+        [PHASES.OPENING]: {
+            economySpawns: true,
+            squadSpawns: false,
+            buildDefenses: false,
+            waveAttackers: COMBAT_CONFIG.INITIAL_WAVE_ATTACKERS,
+            engageMargin: COMBAT_CONFIG.ENGAGE_MARGIN,
+            retreatMargin: COMBAT_CONFIG.RETREAT_MARGIN,
+            allIn: false
+        },
+        [PHASES.BUILD_UP]: {
+            economySpawns: true,
+            squadSpawns: true,
+            buildDefenses: true,
+            waveAttackers: COMBAT_CONFIG.INITIAL_WAVE_ATTACKERS,
+            engageMargin: COMBAT_CONFIG.ENGAGE_MARGIN,
+            retreatMargin: COMBAT_CONFIG.RETREAT_MARGIN,
+            allIn: false
+        },
+        [PHASES.ASSAULT]: {
+            economySpawns: true,
+            squadSpawns: true,
+            buildDefenses: true,
+            waveAttackers: COMBAT_CONFIG.FOLLOWUP_WAVE_ATTACKERS,
+            engageMargin: 0,
+            retreatMargin: COMBAT_CONFIG.RETREAT_MARGIN + 0.15,
+            allIn: false
+        },
+        [PHASES.ENDGAME]: {
+            economySpawns: false,
+            squadSpawns: true,
+            buildDefenses: false,
+            waveAttackers: 1,
+            engageMargin: -Infinity,
+            retreatMargin: Infinity,
+            allIn: true
+        }
+    };
 }
 
+let phaseSettings = buildPhaseSettings();
+
 /**
- * Get the squad leader for a given creep
- * @param {Creep} creep - The creep whose squad leader to find
- * @param {Creep[]} allCreeps - All friendly creeps
- * @returns {Creep|null} Squad leader creep or null if not found
+ * Get the strategy settings for the current match phase
+ * @returns {object} Entry of the phase settings table
  */
-function getSquadLeader(creep, allCreeps) {
-    const squad = squadAssignments[creep.id];
-    if (!squad || !squadLeaders[squad]) {
-        return null;
-    }
+function getPhaseSettings() {
+    return phaseSettings[matchPhase];
+}
 
-    const leaderId = squadLeaders[squad];
-    return allCreeps.find(c => c.id === leaderId) || null;
+/**
+ * Ticks left before the arena's tick limit ends the match
+ * @returns {number} Remaining ticks
+ */
+function getTicksRemaining() {
+    return (arenaInfo.ticksLimit || PHASE_CONFIG.DEFAULT_TICKS_LIMIT) - getTicks();
 }
 
 /**
- * Check if a creep is the leader of their squad
- * @param {Creep} creep - The creep to check
- * @returns {boolean} True if creep is squad leader
+ * Predict our whole army against every armed enemy creep
+ * @param {Creep[]} attackers - Array of attacker creeps
+ * @param {Creep[]} medics - Array of medic creeps
+ * @returns {number} Our predicted remaining HP fraction minus theirs, from -1 to 1
  */
-function isSquadLeader(creep) {
-    const squad = squadAssignments[creep.id];
-    return squad && squadLeaders[squad] === creep.id;
+function getArmyBalance(attackers, medics) {
+    const army = [...attackers, ...medics].filter(c => !killSquadCreeps.has(c.id));
+    const enemyArmy = getAllEnemyCreeps().filter(hasAttackCapability);
+    const prediction = predictEngagement(army, enemyArmy, { ticks: COMBAT_CONFIG.ENGAGEMENT_SIM_TICKS });
+    return prediction.ourRemaining - prediction.theirRemaining;
 }
 
 /**
- * Get the designated target for a squad
- * @param {Creep} creep - The creep whose squad target to find
- * @param {Creep[]} allEnemyCreeps - All enemy creeps
- * @returns {Creep|null} Designated target creep or null if not found
+ * Advance the match phase state machine:
+ * opening -> build-up once the economy reaches its targets (or the opening runs long),
+ * build-up <-> assault on the initial waves being out and the army balance, and
+ * any phase -> endgame when the tick limit is close
+ * @param {Creep[]} harvesters - Array of harvester creeps
+ * @param {Creep[]} haulers - Array of hauler creeps
+ * @param {Creep[]} attackers - Array of attacker creeps
+ * @param {Creep[]} medics - Array of medic creeps
  */
-function getSquadTarget(creep, allEnemyCreeps) {
-    const squad = squadAssignments[creep.id];
-    if (!squad || !squadTargets[squad]) {
-        return null;
+function updateMatchPhase(harvesters, haulers, attackers, medics) {
+    if (getTicksRemaining() <= PHASE_CONFIG.ENDGAME_TICKS_REMAINING) {
+        matchPhase = PHASES.ENDGAME;
+        return;
     }
 
-    const targetId = squadTargets[squad];
-    return allEnemyCreeps.find(e => e.id === targetId) || null;
+    if (matchPhase === PHASES.OPENING) {
+        const economyReady = harvesters.length >= ECONOMY_CONFIG.TARGET_HARVESTER_COUNT &&
+            haulers.length >= ECONOMY_CONFIG.TARGET_HAULER_COUNT;
+        if (economyReady || getTicks() >= PHASE_CONFIG.OPENING_MAX_TICKS) {
+            matchPhase = PHASES.BUILD_UP;
+        }
+    } else if (matchPhase === PHASES.BUILD_UP) {
+        if (nextSquadIndex >= COMBAT_CONFIG.INITIAL_WAVE_COUNT &&
+            getArmyBalance(attackers, medics) >= COMBAT_CONFIG.ENGAGE_MARGIN) {
+            matchPhase = PHASES.ASSAULT;
+        }
+    } else if (matchPhase === PHASES.ASSAULT) {
+        if (getArmyBalance(attackers, medics) <= -COMBAT_CONFIG.RETREAT_MARGIN) {
+            matchPhase = PHASES.BUILD_UP;
+        }
+    }
+}
+
+// ===========================
+// Base Planner Module
+// ===========================
+// Structures sit on a checkerboard around the spawn: tiles with the spawn's (x + y) parity take
+// buildings, the rest stay open as walkable lanes. The spawn's orthogonal neighbours are always lanes.
+
+/**
+ * Numeric key for a map tile
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @returns {number} Tile key
+ */
+function positionKey(x, y) {
+    return y * MAP_SIZE + x;
 }
 
 /**
- * Set the designated target for a squad
- * @param {Creep} leaderCreep - The squad leader creep
- * @param {Creep} targetEnemy - The enemy to designate as target
+ * Flood-fill the walkable tiles of the planning area from a starting tile
+ * @param {object} start - Starting position {x, y}
+ * @param {StructureSpawn} mySpawn - The friendly spawn (planning center)
+ * @param {Set<number>} blocked - Tiles taken by planned or existing structures
+ * @returns {number} Number of tiles reached
  */
-function setSquadTarget(leaderCreep, targetEnemy) {
-    const squad = squadAssignments[leaderCreep.id];
-    if (squad) {
-        squadTargets[squad] = targetEnemy ? targetEnemy.id : null;
+function countReachableBaseTiles(start, mySpawn, blocked) {
+    const radius = ECONOMY_CONFIG.BASE_PLAN_RADIUS + 1;
+    const seen = new Set([positionKey(start.x, start.y)]);
+    const queue = [start];
+
+    while (queue.length > 0) {
+        const tile = queue.pop();
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = tile.x + dx;
+                const y = tile.y + dy;
+                const key = positionKey(x, y);
+                if (seen.has(key) || blocked.has(key) || getRange(mySpawn, { x, y }) > radius) continue;
+                if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE || getTerrainAt({ x, y }) === TERRAIN_WALL) continue;
+                seen.add(key);
+                queue.push({ x, y });
+            }
+        }
     }
+    return seen.size;
 }
 
 /**
- * Calculate the alternate path waypoint (called once at start)
- * Determines which side (north/south) the shortest path uses, then picks opposite
+ * Collect checkerboard tiles around the spawn that can take a building, nearest and plain-first
  * @param {StructureSpawn} mySpawn - The friendly spawn
- * @param {StructureSpawn} enemySpawn - The enemy spawn
- * @returns {object|null} Waypoint position {x, y} or null
+ * @param {Set<number>} blocked - Tiles already taken
+ * @returns {object[]} Candidate positions
  */
-function calculateKillSquadWaypoint(mySpawn, enemySpawn) {
-    if (!mySpawn || !enemySpawn) return null;
-
-    // Determine if enemy is on left or right
-    const enemyIsRight = enemySpawn.x > 50;
-
-    // Calculate shortest path to determine which side it uses
-    const shortestPath = findPath(mySpawn, enemySpawn);
-
-    if (!shortestPath || shortestPath.length === 0) return null;
-
-    // Find the midpoint of the path to determine if it goes north or south
-    const midIndex = Math.floor(shortestPath.length / 2);
-    const midPoint = shortestPath[midIndex];
+function getBaseBuildTiles(mySpawn, blocked) {
+    const radius = ECONOMY_CONFIG.BASE_PLAN_RADIUS;
+    const parity = (mySpawn.x + mySpawn.y) % 2;
+    const tiles = [];
+
+    for (let dx = -radius; dx <= radius; dx++) {
+        for (let dy = -radius; dy <= radius; dy++) {
+            const x = mySpawn.x + dx;
+            const y = mySpawn.y + dy;
+            if (x <= 0 || y <= 0 || x >= MAP_SIZE - 1 || y >= MAP_SIZE - 1) continue;
+            if ((x + y) % 2 !== parity || blocked.has(positionKey(x, y))) continue;
+            if (getTerrainAt({ x, y }) === TERRAIN_WALL) continue;
+            tiles.push({ x, y, swamp: getTerrainAt({ x, y }) === TERRAIN_SWAMP });
+        }
+    }
 
-    // Center line is around y=50
-    const shortestPathGoesNorth = midPoint.y < 50;
+    return tiles
+        .sort((a, b) => getRange(mySpawn, a) - getRange(mySpawn, b) || a.swamp - b.swamp)
+        .map(({ x, y }) => ({ x, y }));
+}
 
-    // Choose waypoint on opposite side based on enemy position
-    if (enemyIsRight) {
-        // Enemy spawn is right
-        if (shortestPathGoesNorth) {
-            // Shortest goes north, take south route
-            return { x: 87, y: 89 };
-        } else {
-            // Shortest goes south, take north route
-            return { x: 87, y: 10 };
-        }
-    } else {
-        // Enemy spawn is left
-        if (shortestPathGoesNorth) {
-            // Shortest goes north, take south route
-            return { x: 12, y: 89 };
+/**
+ * Take candidate tiles in order while every lane in the planning area stays reachable
+ * @param {object[]} candidates - Candidate positions, best first
+ * @param {number} count - Number of tiles wanted
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Set<number>} blocked - Tiles already taken (mutated with the chosen tiles)
+ * @param {object} start - A lane tile every other lane must stay connected to
+ * @returns {object[]} Chosen positions
+ */
+function claimBaseTiles(candidates, count, mySpawn, blocked, start) {
+    const chosen = [];
+    for (const tile of candidates) {
+        if (chosen.length >= count) break;
+
+        const key = positionKey(tile.x, tile.y);
+        if (blocked.has(key)) continue;
+
+        const before = countReachableBaseTiles(start, mySpawn, blocked);
+        blocked.add(key);
+        if (countReachableBaseTiles(start, mySpawn, blocked) === before - 1) {
+            chosen.push(tile);
         } else {
-            // Shortest goes south, take north route
-            return { x: 12, y: 10 };
+            blocked.delete(key);
         }
     }
+    return chosen;
 }
 
-// ===========================
-// Path Caching Module
-// ===========================
-
 /**
- * Move creep to target with path caching to avoid constant rerouting
- * @param {Creep} creep - The creep to move
- * @param {object} target - The target object or position
- * @param {object} opts - Optional pathfinding options (e.g., { ignoreCreeps: true })
+ * Score a tower spot by its damage over the spawn, the extensions and the enemy approach
+ * @param {object} tile - Candidate tower position
+ * @param {object[]} coverPoints - Positions the tower should cover
+ * @returns {number} Summed damage per shot
  */
-function cachedMoveTo(creep, target, opts = {}) {
-    const tick = getTicks();
-    const targetId = target.id || `${target.x},${target.y}`;
-    const pathCache = creepPaths[creep.id];
+function scoreTowerSpot(tile, coverPoints) {
+    return coverPoints.reduce((sum, point) => sum + getTowerDamageAtRange(getRange(tile, point)), 0);
+}
 
-    // Check if creep is significantly off-path
-    let isSignificantlyOffPath = false;
-    if (pathCache && pathCache.pathIndex > 0 && pathCache.pathIndex < pathCache.path.length) {
-        const expectedPos = pathCache.path[pathCache.pathIndex - 1];
-        const distance = Math.max(Math.abs(creep.x - expectedPos.x), Math.abs(creep.y - expectedPos.y));
-        isSignificantlyOffPath = distance > PATHFINDING_CONFIG.OFFPATH_DETECTION_THRESHOLD;
+/**
+ * Plan the full base layout from terrain on the first tick: spawn exits, an extension cluster,
+ * tower spots covering the base and the enemy approach, and a rampart ring
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {StructureSpawn} enemySpawn - The enemy spawn
+ */
+function planBaseLayout(mySpawn, enemySpawn) {
+    if (basePlan || !mySpawn) {
+        return;
     }
 
-    // Check if we need to recalculate path
-    const needsNewPath = !pathCache ||
-                         pathCache.target !== targetId ||
-                         tick - pathCache.tick >= PATHFINDING_CONFIG.PATH_REFRESH_INTERVAL ||
-                         pathCache.pathIndex >= pathCache.path.length ||
-                         isSignificantlyOffPath;
-
-    if (needsNewPath) {
-        // Calculate new path with options
-        const path = findPath(creep, target, opts);
-
-        if (!path || path.length === 0) {
-            return; // No valid path found
+    const blocked = new Set([positionKey(mySpawn.x, mySpawn.y)]);
+    for (const object of [...getObjectsByPrototype(Structure), ...getObjectsByPrototype(Source)]) {
+        if (object !== mySpawn && getRange(mySpawn, object) <= ECONOMY_CONFIG.BASE_PLAN_RADIUS + 1) {
+            blocked.add(positionKey(object.x, object.y));
         }
+    }
 
-        creepPaths[creep.id] = {
-            target: targetId,
-            tick: tick,
-            path: path,
-            pathIndex: 0
-        };
+    // Orthogonal neighbours of the spawn are off the checkerboard, so they always stay open
+    const exits = [[0, -1], [1, 0], [0, 1], [-1, 0]]
+        .map(([dx, dy]) => ({ x: mySpawn.x + dx, y: mySpawn.y + dy }))
+        .filter(pos => getTerrainAt(pos) !== TERRAIN_WALL && !blocked.has(positionKey(pos.x, pos.y)));
+    if (exits.length === 0) {
+        basePlan = { extensions: [], towers: [], ramparts: [], exits: [] };
+        return;
     }
 
-    // Follow cached path
-    const cache = creepPaths[creep.id];
-    if (cache.path && cache.pathIndex < cache.path.length) {
-        const nextStep = cache.path[cache.pathIndex];
-        const direction = getDirection(nextStep.x - creep.x, nextStep.y - creep.y);
-        creep.move(direction);
+    const extensions = claimBaseTiles(
+        getBaseBuildTiles(mySpawn, blocked), ECONOMY_CONFIG.MAX_EXTENSIONS, mySpawn, blocked, exits[0]
+    );
 
-        // Only increment path index if creep has reached the current step
-        if (creep.x === nextStep.x && creep.y === nextStep.y) {
-            cache.pathIndex++;
+    const coverPoints = [mySpawn, ...extensions];
+    if (enemySpawn) {
+        const approach = searchPath(mySpawn, { pos: enemySpawn, range: 1 }).path;
+        coverPoints.push(approach[Math.min(COMBAT_CONFIG.TOWER_APPROACH_DISTANCE, approach.length - 1)] || enemySpawn);
+    }
+    const towerCandidates = getBaseBuildTiles(mySpawn, blocked)
+        .map(tile => ({ tile, score: scoreTowerSpot(tile, coverPoints) }))
+        .sort((a, b) => b.score - a.score)
+        .map(c => c.tile);
+    const towers = claimBaseTiles(towerCandidates, COMBAT_CONFIG.PLANNED_TOWERS, mySpawn, blocked, exits[0]);
+
+    // Ramparts are walkable for us, so the ring may cover lanes: spawn and towers first, then the ring
+    const ring = [];
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            const pos = { x: mySpawn.x + dx, y: mySpawn.y + dy };
+            if ((dx || dy) && getTerrainAt(pos) !== TERRAIN_WALL) {
+                ring.push(pos);
+            }
         }
     }
+    const ramparts = [{ x: mySpawn.x, y: mySpawn.y }, ...towers, ...ring];
+
+    basePlan = { extensions, towers, ramparts, exits };
+}
+
+/**
+ * Find the first planned position that does not yet hold (or await) a structure of a type
+ * @param {object[]} positions - Planned positions in build order
+ * @param {function} prototype - Structure prototype to build there
+ * @returns {object|null} Position to build next, or null when all are done
+ */
+function getNextPlannedSite(positions, prototype) {
+    const taken = [
+        ...getObjectsByPrototype(prototype).filter(s => s.my),
+        ...getObjectsByPrototype(ConstructionSite).filter(s => s.my && s.structure instanceof prototype)
+    ];
+    return positions.find(pos => !taken.some(s => s.x === pos.x && s.y === pos.y)) || null;
 }
 
 // ===========================
-// Cleanup Module
+// Road Planner Module
 // ===========================
 
 /**
- * Generic cleanup utility for objects and sets
- * @param {Set} validIds - Set of IDs that should be kept
- * @param {Object[]} objects - Array of objects to clean (removes keys not in validIds)
- * @param {Set[]} sets - Array of sets to clean (removes values not in validIds)
+ * Count executed moves: every creep standing on a different tile than last tick adds usage there
+ * @param {Creep[]} myCreeps - All friendly creeps
  */
-function cleanupByIdSet(validIds, objects = [], sets = []) {
-    for (const obj of objects) {
-        for (const id in obj) {
-            if (!validIds.has(id)) {
-                delete obj[id];
-            }
+function recordTileUsage(myCreeps) {
+    if (!tileUsage) {
+        tileUsage = new Float32Array(MAP_SIZE * MAP_SIZE);
+    }
+    if (getTicks() % ECONOMY_CONFIG.ROAD_USAGE_DECAY_INTERVAL === 0) {
+        for (let i = 0; i < tileUsage.length; i++) {
+            tileUsage[i] /= 2;
         }
     }
 
-    for (const set of sets) {
-        for (const id of set) {
-            if (!validIds.has(id)) {
-                set.delete(id);
-            }
+    for (const creep of myCreeps) {
+        const last = creepLastPositions[creep.id];
+        if (last && (last.x !== creep.x || last.y !== creep.y)) {
+            tileUsage[creep.y * MAP_SIZE + creep.x] += 1;
         }
+        creepLastPositions[creep.id] = { x: creep.x, y: creep.y };
     }
 }
 
 /**
- * Clean up state tracking for dead creeps
- * @param {Creep[]} myCreeps - Array of currently alive friendly creeps
+ * Fatigue a road would save per energy spent building it, given recent usage of the tile
+ * @param {number} usage - Recent executed moves onto the tile
+ * @param {number} terrain - Terrain type of the tile
+ * @returns {number} Benefit ratio
  */
-function cleanupDeadCreepState(myCreeps) {
-    const aliveCreepIds = new Set(myCreeps.map(c => c.id));
+function getRoadBenefitRatio(usage, terrain) {
+    const isSwamp = terrain === TERRAIN_SWAMP;
+    const fatigueSaved = (isSwamp ? 10 : 2) - 1; // Per loaded part per move; roads cost 1
+    const buildCost = 10 * (isSwamp ? 5 : 1); // Road construction cost, five times on swamp
+    return usage * fatigueSaved / buildCost;
+}
 
-    // Cleanup all creep-based tracking structures
-    cleanupByIdSet(
-        aliveCreepIds,
-        [creepPaths, squadAssignments],
-        [deployedAttackers, deployedMedics, killSquadCreeps, killSquadReachedWaypoint]
-    );
+/**
+ * Queue road construction on the most used tiles where the saved fatigue justifies the build cost.
+ * Roads only take energy when units do not need it: nothing is queued while a spawn request waits.
+ * Tiles nearer the enemy spawn are skipped; their roads would mostly serve the enemy.
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {StructureSpawn} enemySpawn - The enemy spawn
+ */
+function manageRoadConstruction(mySpawn, enemySpawn) {
+    if (!tileUsage || !mySpawn || getTicks() % ECONOMY_CONFIG.ROAD_PLAN_INTERVAL !== 0) {
+        return;
+    }
 
-    // Clean up squad leaders if the leader is dead or reassign if needed
-    for (const squadName in squadLeaders) {
-        const leaderId = squadLeaders[squadName];
-        if (!aliveCreepIds.has(leaderId)) {
-            // Find a new leader from remaining squad members
-            const remainingMembers = myCreeps.filter(c =>
-                squadAssignments[c.id] === squadName &&
-                deployedAttackers.has(c.id)
-            );
+    // Energy short of a queued unit goes to the unit, not to roads
+    const nextRequest = getNextSpawnRequest(mySpawn);
+    if (nextRequest && getBodyCost(nextRequest.body) > getSpawnEnergyAvailable(mySpawn)) {
+        return;
+    }
 
-            if (remainingMembers.length > 0) {
-                // Assign first remaining attacker as new leader
-                squadLeaders[squadName] = remainingMembers[0].id;
-            } else {
-                // No members left, remove squad leader entry
-                delete squadLeaders[squadName];
-            }
+    const roadSites = getObjectsByPrototype(ConstructionSite).filter(s => s.my && s.structure instanceof StructureRoad);
+    const openSlots = ECONOMY_CONFIG.MAX_ROAD_SITES - roadSites.length;
+    if (openSlots <= 0) {
+        return;
+    }
+
+    const taken = new Set([
+        ...getObjectsByPrototype(Structure),
+        ...getObjectsByPrototype(ConstructionSite)
+    ].map(o => positionKey(o.x, o.y)));
+    if (basePlan) {
+        for (const pos of [...basePlan.extensions, ...basePlan.towers]) {
+            taken.add(positionKey(pos.x, pos.y));
+        }
+    }
+
+    const candidates = [];
+    for (let index = 0; index < tileUsage.length; index++) {
+        if (tileUsage[index] <= 0 || taken.has(index)) continue;
+
+        const x = index % MAP_SIZE;
+        const y = (index - x) / MAP_SIZE;
+        const terrain = getTerrainAt({ x, y });
+        if (terrain === TERRAIN_WALL) continue;
+        if (enemySpawn && getRange(enemySpawn, { x, y }) < getRange(mySpawn, { x, y })) continue;
+
+        const ratio = getRoadBenefitRatio(tileUsage[index], terrain);
+        if (ratio >= ECONOMY_CONFIG.ROAD_MIN_BENEFIT_RATIO) {
+            candidates.push({ x, y, ratio });
         }
     }
+
+    candidates.sort((a, b) => b.ratio - a.ratio);
+    for (const { x, y } of candidates.slice(0, openSlots)) {
+        placeConstructionSite({ x, y }, StructureRoad);
+    }
 }
 
+// ===========================
+// Cleanup Module
+// ===========================
+
 /**
- * Clean up designated targets that are no longer alive
- * @param {Creep[]} enemyCreeps - Array of currently alive enemy creeps
+ * Clean up state tracking for dead creeps
+ * @param {Creep[]} myCreeps - Array of currently alive friendly creeps
  */
-function cleanupDeadTargets(enemyCreeps) {
-    const aliveEnemyIds = new Set(enemyCreeps.map(e => e.id));
-    cleanupByIdSet(aliveEnemyIds, [squadTargets]);
+function cleanupDeadCreepState(myCreeps) {
+    // Core modules prune their own per-creep state; ours is pruned alongside it
+    const aliveCreepIds = cleanupCreepState(myCreeps);
+    cleanupByIdSet(
+        aliveCreepIds,
+        [killSquadProgress, creepLastPositions],
+        [deployedAttackers, deployedMedics, killSquadCreeps, retreatingCreeps]
+    );
+
+    // Reassign squad leaders that died; a squad with no melee attacker left is disbanded
+    const disbanded = replaceDeadSquadLeaders(aliveCreepIds, squadName => {
+        const remainingMembers = myCreeps.filter(c =>
+            getSquadName(c) === squadName &&
+            deployedAttackers.has(c.id) &&
+            getCreepRole(c) === ROLES.ATTACKER
+        );
+        // Prefer a remaining attacker that is not retreating
+        return remainingMembers.find(c => !retreatingCreeps.has(c.id)) || remainingMembers[0] || null;
+    });
+    for (const squadName of disbanded) {
+        releaseRecalledSquad(squadName);
+    }
 }
 
 /**
- * Manage extension construction around spawn
+ * Manage extension construction from the base plan
  * @param {StructureSpawn} mySpawn - The friendly spawn
  * @param {Creep[]} harvesters - Array of harvester creeps
  */
 function manageExtensionConstruction(mySpawn, harvesters) {
-    if (harvesters.length >= ECONOMY_CONFIG.MIN_HARVESTERS_FOR_EXTENSIONS) {
-        const extensions = getObjectsByPrototype(StructureExtension).filter(e => e.my);
-        const constructionSites = getObjectsByPrototype(ConstructionSite).filter(s => s.my);
-        const extensionSites = constructionSites.filter(s => s.structureType === 'extension');
-        const totalExtensions = extensions.length + extensionSites.length;
-
-        if (totalExtensions < ECONOMY_CONFIG.MAX_EXTENSIONS) {
-            const extensionPositions = [
-                { x: mySpawn.x - 1, y: mySpawn.y - 1 },
-                { x: mySpawn.x + 1, y: mySpawn.y - 1 },
-                { x: mySpawn.x - 1, y: mySpawn.y + 1 },
-                { x: mySpawn.x + 1, y: mySpawn.y + 1 },
-                { x: mySpawn.x, y: mySpawn.y - 1 }
-            ];
-
-            for (const pos of extensionPositions) {
-                if (totalExtensions >= ECONOMY_CONFIG.MAX_EXTENSIONS) break;
-
-                const hasConstructionSite = constructionSites.some(s => s.x === pos.x && s.y === pos.y);
-                if (!hasConstructionSite) {
-                    createConstructionSite(pos.x, pos.y, 'extension');
-                    break;
-                }
-            }
-        }
+    if (!basePlan || harvesters.length < ECONOMY_CONFIG.MIN_HARVESTERS_FOR_EXTENSIONS) {
+        return;
+    }
+
+    const pos = getNextPlannedSite(basePlan.extensions, StructureExtension);
+    if (pos) {
+        placeConstructionSite(pos, StructureExtension);
     }
 }
 
@@ -435,14 +762,12 @@ function deployKillSquad(attackers, mySpawn) {
         return;
     }
 
-    // Check if we have kill squad members (4 MOVE, 2 ATTACK pattern)
-    const killSquadCandidates = attackers.filter(a => {
-        if (deployedAttackers.has(a.id) || killSquadCreeps.has(a.id)) return false;
-
-        const moveCount = a.body.filter(p => p.type === MOVE).length;
-        const attackCount = a.body.filter(p => p.type === ATTACK).length;
-        return moveCount === 4 && attackCount === 2;
-    });
+    // Check if we have undeployed kill squad members
+    const killSquadCandidates = attackers.filter(a =>
+        getCreepRole(a) === ROLES.KILL_SQUAD &&
+        !deployedAttackers.has(a.id) &&
+        !killSquadCreeps.has(a.id)
+    );
 
     // Deploy kill squad when we have 2 fast attackers
     if (!killSquadDeployed && killSquadCandidates.length >= COMBAT_CONFIG.KILL_SQUAD_SIZE) {
@@ -455,6 +780,36 @@ function deployKillSquad(attackers, mySpawn) {
     }
 }
 
+/**
+ * Get the unit counts required for the next squad to deploy
+ * @returns {object} { attackersNeeded, rangedNeeded, medicsNeeded }
+ */
+function getNextSquadComposition() {
+    // Squad size depends on the match phase; an all-in push waits for no support
+    const { waveAttackers, allIn } = getPhaseSettings();
+    if (allIn) {
+        return { attackersNeeded: waveAttackers, rangedNeeded: 0, medicsNeeded: 0 };
+    }
+
+    return { attackersNeeded: waveAttackers, rangedNeeded: COMBAT_CONFIG.RANGED_PER_SQUAD, medicsNeeded: COMBAT_CONFIG.MEDICS_PER_SQUAD };
+}
+
+/**
+ * Get squad units waiting at base for the next wave
+ * @param {Creep[]} attackers - Array of attacker creeps
+ * @param {Creep[]} medics - Array of medic creeps
+ * @returns {object} { undeployedAttackers, undeployedRanged, undeployedMedics }
+ */
+function getUndeployedSquadUnits(attackers, medics) {
+    return {
+        undeployedAttackers: attackers.filter(a =>
+            getCreepRole(a) === ROLES.ATTACKER && !deployedAttackers.has(a.id) && !killSquadCreeps.has(a.id)
+        ),
+        undeployedRanged: attackers.filter(a => getCreepRole(a) === ROLES.RANGED && !deployedAttackers.has(a.id)),
+        undeployedMedics: medics.filter(m => !deployedMedics.has(m.id))
+    };
+}
+
 /**
  * Deploy complete squads with NATO alphabet naming
  * @param {Creep[]} attackers - Array of attacker creeps
@@ -462,35 +817,46 @@ function deployKillSquad(attackers, mySpawn) {
  * @param {StructureSpawn} mySpawn - The friendly spawn
  */
 function deployAttackWaves(attackers, medics, mySpawn) {
-    const undeployedAttackers = attackers.filter(a => !deployedAttackers.has(a.id) && !killSquadCreeps.has(a.id));
-    const undeployedMedics = medics.filter(d => !deployedMedics.has(d.id));
-
-    // Determine squad size based on wave number
-    const attackersNeeded = nextSquadIndex < COMBAT_CONFIG.INITIAL_WAVE_COUNT
-        ? COMBAT_CONFIG.INITIAL_WAVE_ATTACKERS
-        : COMBAT_CONFIG.FOLLOWUP_WAVE_ATTACKERS;
+    const { undeployedAttackers, undeployedRanged, undeployedMedics } = getUndeployedSquadUnits(attackers, medics);
+    let { attackersNeeded, rangedNeeded, medicsNeeded } = getNextSquadComposition();
 
     // Deploy complete squads only when we have enough units
-    if (undeployedAttackers.length >= attackersNeeded && undeployedMedics.length >= COMBAT_CONFIG.MEDICS_PER_SQUAD) {
+    if (undeployedAttackers.length >= attackersNeeded &&
+        undeployedRanged.length >= rangedNeeded &&
+        undeployedMedics.length >= medicsNeeded) {
         const squadName = NATO_ALPHABET[nextSquadIndex % NATO_ALPHABET.length];
 
+        // All-in: everything waiting at home joins this squad
+        if (getPhaseSettings().allIn) {
+            attackersNeeded = undeployedAttackers.length;
+            rangedNeeded = undeployedRanged.length;
+            medicsNeeded = undeployedMedics.length;
+        }
+
         // Deploy attackers - first one becomes squad leader
         for (let i = 0; i < attackersNeeded; i++) {
             const attacker = undeployedAttackers[i];
             deployedAttackers.add(attacker.id);
-            squadAssignments[attacker.id] = squadName;
+            assignToSquad(attacker, squadName);
 
             // Designate first attacker as squad leader
             if (i === 0) {
-                squadLeaders[squadName] = attacker.id;
+                setSquadLeader(squadName, attacker);
             }
         }
 
+        // Deploy ranged support; they count as squad attackers but never lead
+        for (let i = 0; i < rangedNeeded; i++) {
+            const ranged = undeployedRanged[i];
+            deployedAttackers.add(ranged.id);
+            assignToSquad(ranged, squadName);
+        }
+
         // Deploy medics
-        for (let i = 0; i < COMBAT_CONFIG.MEDICS_PER_SQUAD; i++) {
+        for (let i = 0; i < medicsNeeded; i++) {
             const medic = undeployedMedics[i];
             deployedMedics.add(medic.id);
-            squadAssignments[medic.id] = squadName;
+            assignToSquad(medic, squadName);
         }
 
         nextSquadIndex++;
@@ -502,199 +868,391 @@ function deployAttackWaves(attackers, medics, mySpawn) {
  * @param {StructureSpawn} mySpawn - The friendly spawn
  */
 function manageBuildDefenses(mySpawn) {
-    if (nextSquadIndex >= 1) {
-        const towers = getObjectsByPrototype(StructureTower).filter(t => t.my);
-        const constructionSites = getObjectsByPrototype(ConstructionSite).filter(s => s.my);
+    if (nextSquadIndex < 1 || !basePlan || !getPhaseSettings().buildDefenses) {
+        return;
+    }
 
-        if (towers.length === 0 && constructionSites.length === 0) {
-            createConstructionSite(mySpawn.x + 2, mySpawn.y, 'tower');
-            createConstructionSite(mySpawn.x, mySpawn.y, 'rampart');
-        }
+    // One defensive site at a time: towers first, then the rampart ring
+    const defenseSites = getObjectsByPrototype(ConstructionSite).filter(s =>
+        s.my && (s.structure instanceof StructureTower || s.structure instanceof StructureRampart)
+    );
+    if (defenseSites.length > 0) {
+        return;
     }
+
+    const towerPos = getNextPlannedSite(basePlan.towers, StructureTower);
+    if (towerPos) {
+        placeConstructionSite(towerPos, StructureTower);
+        return;
+    }
+
+    const rampartPos = getNextPlannedSite(basePlan.ramparts, StructureRampart);
+    if (rampartPos) {
+        placeConstructionSite(rampartPos, StructureRampart);
+    }
+}
+
+// ===========================
+// Body Builder Module
+// ===========================
+
+// Body templates per role (format in core/bodies.mjs); the spawn waits for energy below minParts
+const BODY_TEMPLATES = {
+    // Lightweight 1C1M shuttles: the opening is a race, and every extra part delays the kill squad
+    [ROLES.HARVESTER]: { ratio: { [CARRY]: 1 }, swampTicks: 5, minParts: 1, maxSize: 2 },
+    // Pure carriers moving energy between logistics supplies and demands
+    [ROLES.HAULER]: { ratio: { [CARRY]: 1 }, swampTicks: 5, minParts: 2, maxSize: 10 },
+    // WORK lets builders turn the base plan's sites into extensions, towers, ramparts and roads
+    [ROLES.BUILDER]: { ratio: { [CARRY]: 1, [WORK]: 1 }, swampTicks: 5, minParts: 2, maxSize: 6 },
+    // Mobile melee attackers optimized for swamp terrain
+    [ROLES.ATTACKER]: { ratio: { [ATTACK]: 3, [TOUGH]: 1 }, swampTicks: 6, minParts: 7 },
+    // Ranged units need speed to kite away from melee
+    [ROLES.RANGED]: { ratio: { [RANGED_ATTACK]: 1 }, swampTicks: 3, minParts: 2 },
+    // Fast strike team: optimized for speed through swamps, takes alternate route
+    [ROLES.KILL_SQUAD]: { ratio: { [ATTACK]: 1 }, swampTicks: 3, minParts: 2 },
+    [ROLES.MEDIC]: { ratio: { [HEAL]: 1 }, swampTicks: 3, minParts: 1 }
+};
+
+/**
+ * Get the most energy the spawn and our extensions can hold
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {number} Total spawning energy capacity
+ */
+function getSpawnEnergyCapacity(mySpawn) {
+    const extensions = getObjectsByPrototype(StructureExtension).filter(e => e.my);
+    return extensions.reduce(
+        (sum, e) => sum + e.store.getCapacity(RESOURCE_ENERGY),
+        mySpawn.store.getCapacity(RESOURCE_ENERGY)
+    );
+}
+
+/**
+ * Get the energy currently stored in the spawn and our extensions
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {number} Energy available for spawning right now
+ */
+function getSpawnEnergyAvailable(mySpawn) {
+    const extensions = getObjectsByPrototype(StructureExtension).filter(e => e.my);
+    return extensions.reduce(
+        (sum, e) => sum + e.store.getUsedCapacity(RESOURCE_ENERGY),
+        mySpawn.store.getUsedCapacity(RESOURCE_ENERGY)
+    );
+}
+
+/**
+ * Build the body to request for a role: the largest one the stored energy pays for,
+ * or the template minimum (which the spawn queue then waits for) when energy is short
+ * @param {string} role - One of the ROLES values
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
+ * @returns {string[]} Body part array
+ */
+function buildRoleBody(role, energyAvailable) {
+    const template = BODY_TEMPLATES[role];
+    return buildBody(template, energyAvailable) || buildMinimumBody(template);
+}
+
+// ===========================
+// Spawn Queue Module
+// ===========================
+
+// Higher priority requests spawn first; the queue waits on the top request rather than skipping it
+const SPAWN_PRIORITY = {
+    DEFENSE: 100, // Urgent home defense preempts every other request
+    ECONOMY: 80,
+    KILL_SQUAD: 60,
+    BUILDER: 50, // Builders wait for the kill squad, which races the enemy's
+    SQUAD: 40
+};
+
+/**
+ * Submit a spawn request for this tick
+ * @param {string} manager - Name of the submitting manager (for replay/debugging)
+ * @param {string} role - One of the ROLES values
+ * @param {string[]} body - Body part array
+ * @param {number} priority - One of the SPAWN_PRIORITY values
+ */
+function requestSpawn(manager, role, body, priority) {
+    spawnRequests.push({ manager, role, body, priority });
 }
 
 /**
- * Execute spawn strategy based on current unit composition
+ * Get the highest priority request that could ever be afforded
  * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object|null} The request the queue is working on
+ */
+function getNextSpawnRequest(mySpawn) {
+    // Drop requests that exceed our total capacity so they cannot block the queue forever
+    const capacity = getSpawnEnergyCapacity(mySpawn);
+    return spawnRequests
+        .filter(r => getBodyCost(r.body) <= capacity)
+        .sort((a, b) => b.priority - a.priority)[0] || null;
+}
+
+/**
+ * Spawn the highest priority request that could ever be afforded.
+ * When the spawn lacks energy for it (ERR_NOT_ENOUGH_ENERGY) nothing cheaper is spawned instead;
+ * the request is resubmitted next tick and waits for energy.
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function processSpawnQueue(mySpawn) {
+    if (!mySpawn || mySpawn.spawning) {
+        return;
+    }
+
+    const next = getNextSpawnRequest(mySpawn);
+    if (next) {
+        spawnCreepWithRole(mySpawn, next.body, next.role);
+    }
+}
+
+/**
+ * Economy manager: keep harvester and hauler counts at target, harvesters first
  * @param {Creep[]} harvesters - Array of harvester creeps
+ * @param {Creep[]} haulers - Array of hauler creeps
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
+ */
+function requestEconomySpawns(harvesters, haulers, energyAvailable) {
+    if (harvesters.length < ECONOMY_CONFIG.TARGET_HARVESTER_COUNT) {
+        requestSpawn('economy', ROLES.HARVESTER, buildRoleBody(ROLES.HARVESTER, energyAvailable), SPAWN_PRIORITY.ECONOMY);
+    } else if (haulers.length < ECONOMY_CONFIG.TARGET_HAULER_COUNT) {
+        requestSpawn('economy', ROLES.HAULER, buildRoleBody(ROLES.HAULER, energyAvailable), SPAWN_PRIORITY.ECONOMY);
+    }
+}
+
+/**
+ * Builder manager: once the opening is over, keep TARGET_BUILDER_COUNT builders while there is
+ * construction waiting
+ * @param {Creep[]} builders - Array of builder creeps
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
+ */
+function requestBuilderSpawns(builders, energyAvailable) {
+    const sitesWaiting = getObjectsByPrototype(ConstructionSite).some(s => s.my);
+    if (matchPhase !== PHASES.OPENING && sitesWaiting && builders.length < ECONOMY_CONFIG.TARGET_BUILDER_COUNT) {
+        requestSpawn('builders', ROLES.BUILDER, buildRoleBody(ROLES.BUILDER, energyAvailable), SPAWN_PRIORITY.BUILDER);
+    }
+}
+
+/**
+ * Kill squad manager: fill the fast strike team until it deploys
+ * @param {Creep[]} attackers - Array of attacker creeps
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
+ */
+function requestKillSquadSpawns(attackers, energyAvailable) {
+    if (killSquadDeployed) {
+        return;
+    }
+
+    const killSquadMemberCount = attackers.filter(a => getCreepRole(a) === ROLES.KILL_SQUAD).length;
+    if (killSquadMemberCount < COMBAT_CONFIG.KILL_SQUAD_SIZE) {
+        requestSpawn('killSquad', ROLES.KILL_SQUAD, buildRoleBody(ROLES.KILL_SQUAD, energyAvailable), SPAWN_PRIORITY.KILL_SQUAD);
+    }
+}
+
+/**
+ * Squad manager: spawn the units missing from the next squad
  * @param {Creep[]} attackers - Array of attacker creeps
  * @param {Creep[]} medics - Array of medic creeps
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
  */
-function executeSpawnStrategy(mySpawn, harvesters, attackers, medics) {
-    if (mySpawn && !mySpawn.spawning) {
-        if (harvesters.length < ECONOMY_CONFIG.TARGET_HARVESTER_COUNT) {
-            // Phase 1: Build economy with harvesters
-            // Lightweight 1C1M harvesters for minimal cost
-            mySpawn.spawnCreep([CARRY, MOVE]);
-        } else {
-            // Phase 2: Spawn kill squad first (2 fast strikers with 4M2A)
-            const killSquadMemberCount = attackers.filter(a => {
-                const moveCount = a.body.filter(p => p.type === MOVE).length;
-                const attackCount = a.body.filter(p => p.type === ATTACK).length;
-                return moveCount === 4 && attackCount === 2;
-            }).length;
-
-            if (killSquadMemberCount < COMBAT_CONFIG.KILL_SQUAD_SIZE) {
-                // Spawn fast strike team member: 4 MOVE, 2 ATTACK
-                // Optimized for speed through swamps, takes alternate route
-                mySpawn.spawnCreep([MOVE, MOVE, MOVE, MOVE, ATTACK, ATTACK]);
-            } else {
-                // Phase 3: Build squads - maintain appropriate ratio based on wave number
-                const undeployedAttackers = attackers.filter(a => !deployedAttackers.has(a.id) && !killSquadCreeps.has(a.id));
-                const undeployedMedics = medics.filter(m => !deployedMedics.has(m.id));
-
-                // Determine required attackers for next squad
-                const attackersNeeded = nextSquadIndex < COMBAT_CONFIG.INITIAL_WAVE_COUNT
-                    ? COMBAT_CONFIG.INITIAL_WAVE_ATTACKERS
-                    : COMBAT_CONFIG.FOLLOWUP_WAVE_ATTACKERS;
-
-                if (undeployedAttackers.length >= attackersNeeded && undeployedMedics.length < COMBAT_CONFIG.MEDICS_PER_SQUAD) {
-                    // Need medic to complete squad
-                    mySpawn.spawnCreep([MOVE, HEAL, MOVE]);
-                } else {
-                    // Spawn mobile melee attackers optimized for swamp terrain
-                    // Extra MOVE parts at front absorb damage first, preserving ATTACK capability
-                    // 6 MOVE, 6 ATTACK for balanced combat power and mobility
-                    mySpawn.spawnCreep([MOVE, MOVE, ATTACK, MOVE, ATTACK, MOVE, ATTACK, MOVE, ATTACK, ATTACK, ATTACK]);
-                }
-            }
-        }
+function requestSquadSpawns(attackers, medics, energyAvailable) {
+    const { undeployedAttackers, undeployedRanged, undeployedMedics } = getUndeployedSquadUnits(attackers, medics);
+    const { attackersNeeded, rangedNeeded, medicsNeeded } = getNextSquadComposition();
+
+    if (undeployedAttackers.length >= attackersNeeded && undeployedRanged.length < rangedNeeded) {
+        // Need ranged support to complete squad
+        requestSpawn('squads', ROLES.RANGED, buildRoleBody(ROLES.RANGED, energyAvailable), SPAWN_PRIORITY.SQUAD);
+    } else if (undeployedAttackers.length >= attackersNeeded && undeployedMedics.length < medicsNeeded) {
+        // Need medic to complete squad
+        requestSpawn('squads', ROLES.MEDIC, buildRoleBody(ROLES.MEDIC, energyAvailable), SPAWN_PRIORITY.SQUAD);
+    } else {
+        requestSpawn('squads', ROLES.ATTACKER, buildRoleBody(ROLES.ATTACKER, energyAvailable), SPAWN_PRIORITY.SQUAD);
     }
 }
 
 /**
- * Initialize target walls based on spawn position
+ * Defense manager: request emergency defenders while the base is outmatched and recalling
+ * squads cannot cover it - none are left to recall, or threats are already at the spawn.
+ * Defenders are sized to the energy in store; one the spawn cannot pay for now would hold up
+ * the whole queue, economy included, so none is requested until it can.
  * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {number} energyAvailable - Energy stored in the spawn and extensions
  */
-function initializeTargetWalls(mySpawn) {
-    if (targetWalls.length === 0) {
-        const walls = getObjectsByPrototype(StructureWall);
-        let wallPositions = [];
-
-        // Determine wall positions based on spawn location
-        if (mySpawn.x === 5 && mySpawn.y === 45) {
-            wallPositions = [{ x: 2, y: 46 }, { x: 11, y: 44 }];
-        } else if (mySpawn.x === 94 && mySpawn.y === 54) {
-            wallPositions = [{ x: 97, y: 55 }, { x: 88, y: 55 }];
-        }
+function requestDefenseSpawns(mySpawn, energyAvailable) {
+    const baseDefense = getDefense();
+    if (!baseDefense.outmatched) {
+        return;
+    }
 
-        // Find actual wall objects at those positions
-        targetWalls = walls.filter(wall =>
-            wallPositions.some(pos => wall.x === pos.x && wall.y === pos.y)
-        );
+    const threatAtSpawn = baseDefense.threats.some(e =>
+        e.getRangeTo(mySpawn) <= COMBAT_CONFIG.DEFENSE_SPAWN_TRIGGER_RANGE
+    );
+    const body = buildBody(BODY_TEMPLATES[ROLES.ATTACKER], energyAvailable);
+    if (body && (!baseDefense.squadsAvailable || threatAtSpawn)) {
+        requestSpawn('defense', ROLES.ATTACKER, body, SPAWN_PRIORITY.DEFENSE);
     }
 }
 
 /**
- * Run harvester creep behavior
- * @param {Creep} creep - The harvester creep
+ * Execute spawn strategy: collect requests from every manager, then spawn from the queue
  * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} harvesters - Array of harvester creeps
+ * @param {Creep[]} haulers - Array of hauler creeps
+ * @param {Creep[]} builders - Array of builder creeps
+ * @param {Creep[]} attackers - Array of attacker creeps
+ * @param {Creep[]} medics - Array of medic creeps
  */
-function runHarvesterBehavior(creep, mySpawn) {
-    // Priority: Flee from nearby enemies
-    const nearbyEnemy = findNearestEnemy(creep, ECONOMY_CONFIG.HARVESTER_FLEE_RANGE);
-
-    if (nearbyEnemy) {
-        // Calculate flee direction: move away from enemy toward spawn
-        const fleeDirection = {
-            x: creep.x + (creep.x - nearbyEnemy.x),
-            y: creep.y + (creep.y - nearbyEnemy.y)
-        };
-
-        // Move toward spawn while fleeing
-        cachedMoveTo(creep, mySpawn);
+function executeSpawnStrategy(mySpawn, harvesters, haulers, builders, attackers, medics) {
+    spawnRequests = [];
+    if (!mySpawn) {
         return;
     }
 
-    const constructionSite = creep.findClosestByPath(getObjectsByPrototype(ConstructionSite).filter(s => s.my));
+    const energyAvailable = getSpawnEnergyAvailable(mySpawn);
+    const { economySpawns, squadSpawns, allIn } = getPhaseSettings();
+    if (!allIn) {
+        requestDefenseSpawns(mySpawn, energyAvailable);
+    }
+    if (economySpawns) {
+        requestEconomySpawns(harvesters, haulers, energyAvailable);
+        requestBuilderSpawns(builders, energyAvailable);
+    }
+    requestKillSquadSpawns(attackers, energyAvailable);
+    if (squadSpawns) {
+        requestSquadSpawns(attackers, medics, energyAvailable);
+    }
 
-    if (creep.store.getUsedCapacity(RESOURCE_ENERGY) > 0 && constructionSite) {
-        // Build if we have energy and construction sites exist
-        if (creep.build(constructionSite) === ERR_NOT_IN_RANGE) {
-            cachedMoveTo(creep, constructionSite);
+    processSpawnQueue(mySpawn);
+}
+
+/**
+ * Build a cost matrix marking every StructureWall with the given cost
+ * @param {StructureWall[]} walls - Walls to mark
+ * @param {number} cost - Cost to assign (255 = impassable)
+ * @returns {CostMatrix} The cost matrix
+ */
+function buildWallCostMatrix(walls, cost) {
+    const matrix = new CostMatrix();
+    for (const wall of walls) {
+        matrix.set(wall.x, wall.y, cost);
+    }
+    return matrix;
+}
+
+/**
+ * Find walls that cut our spawn off from the containers on our side of the map.
+ * A container is walled off when no path reaches it with walls impassable; the walls
+ * on the path found with walls passable (but expensive) are the ones to demolish.
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {StructureSpawn} enemySpawn - The enemy spawn, used to skip containers on their side
+ * @returns {StructureWall[]} Walls blocking access to containers
+ */
+function findBlockingWalls(mySpawn, enemySpawn) {
+    const walls = getObjectsByPrototype(StructureWall);
+    if (walls.length === 0) {
+        return [];
+    }
+
+    const blockedMatrix = buildWallCostMatrix(walls, 255);
+    const passableMatrix = buildWallCostMatrix(walls, ECONOMY_CONFIG.WALL_CROSSING_COST);
+    const wallsByPosition = new Map(walls.map(w => [`${w.x},${w.y}`, w]));
+    const blockingWalls = new Set();
+
+    const containers = getObjectsByPrototype(StructureContainer).filter(c =>
+        !enemySpawn || c.getRangeTo(mySpawn) <= c.getRangeTo(enemySpawn)
+    );
+
+    for (const container of containers) {
+        const goal = { pos: container, range: 1 };
+        if (!searchPath(mySpawn, goal, { costMatrix: blockedMatrix }).incomplete) {
+            continue;
         }
-    } else if (creep.store.getFreeCapacity(RESOURCE_ENERGY) > 0) {
-        // Collect energy - prioritize containers, then sources with energy
-        const container = creep.findClosestByPath(
-            getObjectsByPrototype(StructureContainer).filter(c => c.store.getUsedCapacity(RESOURCE_ENERGY) > 0)
-        );
-        const source = creep.findClosestByPath(
-            getObjectsByPrototype(Source).filter(s => s.energy > 0)
-        );
 
-        if (container) {
-            if (creep.withdraw(container, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
-                cachedMoveTo(creep, container);
-            }
-        } else if (source) {
-            if (creep.harvest(source) === ERR_NOT_IN_RANGE) {
-                cachedMoveTo(creep, source);
-            }
+        const result = searchPath(mySpawn, goal, { costMatrix: passableMatrix });
+        if (result.incomplete) {
+            continue;
         }
-    } else {
-        // Return energy to spawn or extensions
-        const extensions = getObjectsByPrototype(StructureExtension).filter(
-            e => e.my && e.store.getFreeCapacity(RESOURCE_ENERGY) > 0
-        );
-        const target = extensions.length > 0 ?
-            creep.findClosestByPath(extensions) :
-            mySpawn;
 
-        if (target) {
-            if (creep.transfer(target, RESOURCE_ENERGY) === ERR_NOT_IN_RANGE) {
-                cachedMoveTo(creep, target);
+        for (const step of result.path) {
+            const wall = wallsByPosition.get(`${step.x},${step.y}`);
+            if (wall) {
+                blockingWalls.add(wall);
             }
         }
     }
+
+    return [...blockingWalls];
 }
 
 /**
- * Run medic creep behavior
- * @param {Creep} creep - The medic creep
+ * Initialize target walls: discover walls between our spawn and our containers
  * @param {StructureSpawn} mySpawn - The friendly spawn
- * @param {Creep[]} myCreeps - All friendly creeps
  * @param {StructureSpawn} enemySpawn - The enemy spawn
  */
-function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
-    const isDeployedMedic = deployedMedics.has(creep.id);
+function initializeTargetWalls(mySpawn, enemySpawn) {
+    if (!targetWallsInitialized && mySpawn) {
+        targetWalls = findBlockingWalls(mySpawn, enemySpawn);
+        targetWallsInitialized = true;
+    }
+}
 
-    if (isDeployedMedic && enemySpawn) {
-        // Deployed combat medic: follow squad leader and heal squad members
-        const leader = getSquadLeader(creep, myCreeps);
-        const squadmates = getSquadMembers(creep, myCreeps, true);
+/**
+ * Run harvester creep behavior
+ * @param {Creep} creep - The harvester creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function runHarvesterBehavior(creep, mySpawn) {
+    // Priority: Flee from nearby armed enemies; unarmed ones would stall both economies at shared containers.
+    // Work resumes as soon as the creep is clear of every threat.
+    if (fleeFromNearbyThreats(creep)) {
+        return;
+    }
 
-        if (squadmates.length > 0 || leader) {
-            // Heal squad members (prioritize damaged)
-            const damagedSquadmate = findMostDamagedCreep(squadmates);
+    runLogisticsTask(creep, mySpawn);
+}
 
-            if (damagedSquadmate) {
-                // Priority: Heal wounded squad members
-                const rangeToTarget = creep.getRangeTo(damagedSquadmate);
+/**
+ * Flee from armed enemies within an economy creep's flee range
+ * @param {Creep} creep - The economy creep
+ * @returns {boolean} True if the creep is fleeing this tick
+ */
+function fleeFromNearbyThreats(creep) {
+    const threats = getAllEnemyCreeps().filter(e =>
+        hasAttackCapability(e) && creep.getRangeTo(e) <= ECONOMY_CONFIG.HARVESTER_FLEE_RANGE
+    );
+    return threats.length > 0 && fleeFromThreats(creep, threats);
+}
 
-                if (rangeToTarget <= 1) {
-                    creep.heal(damagedSquadmate);
-                } else if (rangeToTarget <= 3) {
-                    creep.rangedHeal(damagedSquadmate);
-                }
+/**
+ * Run hauler creep behavior: carry energy between logistics supplies and demands
+ * @param {Creep} creep - The hauler creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function runHaulerBehavior(creep, mySpawn) {
+    if (fleeFromNearbyThreats(creep)) {
+        return;
+    }
 
-                // Move closer if not in optimal healing range
-                if (rangeToTarget > 1) {
-                    cachedMoveTo(creep, damagedSquadmate, { ignoreCreeps: true });
-                }
-            } else {
-                // No wounded - follow leader to maintain formation
-                const followTarget = leader || squadmates[0];
+    runLogisticsTask(creep, mySpawn);
+}
 
-                if (followTarget) {
-                    const rangeToTarget = creep.getRangeTo(followTarget);
+/**
+ * Run medic creep behavior
+ * @param {Creep} creep - The medic creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureSpawn} enemySpawn - The enemy spawn
+ */
+function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
+    const isDeployedMedic = deployedMedics.has(creep.id);
 
-                    // Follow the leader to maintain formation (no healing needed)
-                    if (rangeToTarget > COMBAT_CONFIG.MEDIC_FOLLOW_RANGE || rangeToTarget < 1) {
-                        cachedMoveTo(creep, followTarget, { ignoreCreeps: true });
-                    }
-                }
-            }
-        } else {
+    // Support stays out of reach: step back from threats, healing whoever is still in range
+    if (fleeWhileHealing(creep, myCreeps)) {
+        return;
+    }
+
+    if (isDeployedMedic && enemySpawn) {
+        // Deployed combat medic: follow squad leader and heal squad members
+        if (!supportSquad(creep, myCreeps, COMBAT_CONFIG.MEDIC_FOLLOW_RANGE, c => deployedAttackers.has(c.id))) {
             // All assigned squad members dead, heal any other deployed creeps (excluding kill squad)
             const otherDeployedCreeps = myCreeps.filter(c =>
                 c.id !== creep.id &&
@@ -707,16 +1265,7 @@ function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
 
                 if (healTarget) {
                     // Only heal if target is actually damaged
-                    const rangeToTarget = creep.getRangeTo(healTarget);
-
-                    // Heal at appropriate range
-                    if (rangeToTarget <= 1) {
-                        creep.heal(healTarget);
-                    } else if (rangeToTarget <= 3) {
-                        creep.rangedHeal(healTarget);
-                    }
-
-                    if (rangeToTarget > COMBAT_CONFIG.MEDIC_FOLLOW_RANGE) {
+                    if (healInRange(creep, healTarget) > COMBAT_CONFIG.MEDIC_FOLLOW_RANGE) {
                         cachedMoveTo(creep, healTarget, { ignoreCreeps: true });
                     }
                 } else {
@@ -733,28 +1282,15 @@ function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
         }
     } else {
         // Undeployed medic: stay with assigned squad or defend base
-        const squad = squadAssignments[creep.id];
-        const squadmates = squad ? myCreeps.filter(c =>
-            c.id !== creep.id &&
-            squadAssignments[c.id] === squad &&
-            !killSquadCreeps.has(c.id)
-        ) : [];
+        const squadmates = getSquadMembers(creep, myCreeps, c => !killSquadCreeps.has(c.id));
 
         // Priority 1: Heal damaged squadmates or any damaged friendlies (excluding kill squad)
         const damagedSquadmate = findMostDamagedCreep(squadmates);
         const damagedCreep = damagedSquadmate || myCreeps.find(c => c.hits < c.hitsMax && !killSquadCreeps.has(c.id));
 
         if (damagedCreep) {
-            const rangeToTarget = creep.getRangeTo(damagedCreep);
-
-            if (rangeToTarget <= 1) {
-                creep.heal(damagedCreep);
-            } else if (rangeToTarget <= 3) {
-                creep.rangedHeal(damagedCreep);
-            }
-
             // Move closer if not in heal range
-            if (rangeToTarget > 3) {
+            if (healInRange(creep, damagedCreep) > 3) {
                 cachedMoveTo(creep, damagedCreep);
             }
         } else if (squadmates.length > 0) {
@@ -766,7 +1302,7 @@ function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
         } else {
             // No squad assigned yet - wait near undeployed attackers (not kill squad)
             const undeployedAttackers = myCreeps.filter(c =>
-                c.body.some(p => p.type === ATTACK || p.type === RANGED_ATTACK) &&
+                getCreepRole(c) === ROLES.ATTACKER &&
                 !deployedAttackers.has(c.id) &&
                 !killSquadCreeps.has(c.id)
             );
@@ -807,35 +1343,41 @@ function runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn) {
  * @param {StructureSpawn} enemySpawn - The enemy spawn
  */
 function runKillSquadBehavior(creep, mySpawn, enemySpawn) {
-    // Calculate waypoint once
-    if (!killSquadWaypoint) {
-        killSquadWaypoint = calculateKillSquadWaypoint(mySpawn, enemySpawn);
-    }
-
-    if (!killSquadWaypoint) return;
-
     const allEnemies = getAllEnemyCreeps();
 
-    // Check if this creep has reached the waypoint
-    const hasReachedWaypoint = killSquadReachedWaypoint.has(creep.id);
-    const rangeToWaypoint = creep.getRangeTo(killSquadWaypoint);
+    // Plan the route once, then replan from this creep's position if the remaining route becomes contested
+    if (!killSquadRoute) {
+        killSquadRoute = planKillSquadRoute(mySpawn, enemySpawn, allEnemies);
+    } else if (getTicks() - killSquadRoute.tick >= COMBAT_CONFIG.KILL_SQUAD_REPLAN_INTERVAL &&
+               isKillSquadRouteContested(creep, allEnemies)) {
+        killSquadRoute = planKillSquadRoute(creep, enemySpawn, allEnemies) || killSquadRoute;
+        for (const memberId of killSquadCreeps) {
+            killSquadProgress[memberId] = 0;
+        }
+    }
+
+    if (!killSquadRoute) return;
 
-    // Mark as reached if close enough
-    if (!hasReachedWaypoint && rangeToWaypoint <= 3) {
-        killSquadReachedWaypoint.add(creep.id);
+    // Advance past every waypoint this creep is close enough to
+    let waypointIndex = killSquadProgress[creep.id] || 0;
+    while (waypointIndex < killSquadRoute.waypoints.length &&
+           creep.getRangeTo(killSquadRoute.waypoints[waypointIndex]) <= COMBAT_CONFIG.KILL_SQUAD_WAYPOINT_RANGE) {
+        waypointIndex++;
     }
+    killSquadProgress[creep.id] = waypointIndex;
+    const nextWaypoint = killSquadRoute.waypoints[waypointIndex];
 
     // Detect enemies on path - threats and harmless enemies with same ranges as regular attackers
     const nearbyEnemy = findNearestEnemy(creep, COMBAT_CONFIG.ATTACKER_ENEMY_DETECTION_RANGE, COMBAT_CONFIG.ATTACKER_HARMLESS_DETECTION_RANGE);
 
-    // Two-stage pathfinding: go to waypoint, then to spawn
-    if (!hasReachedWaypoint && rangeToWaypoint > 3) {
-        // Stage 1: Move to waypoint
+    // Two-stage pathfinding: follow route waypoints, then go to spawn
+    if (nextWaypoint) {
+        // Stage 1: Move to next waypoint
         // Engage enemies on path if close enough
         if (nearbyEnemy && creep.getRangeTo(nearbyEnemy) <= 1) {
             creep.attack(nearbyEnemy);
         }
-        cachedMoveTo(creep, killSquadWaypoint, { ignoreCreeps: true });
+        cachedMoveTo(creep, nextWaypoint, { ignoreCreeps: true });
     } else {
         // Stage 2: Move to enemy spawn
         const rangeToSpawn = creep.getRangeTo(enemySpawn);
@@ -874,10 +1416,17 @@ function runAttackerBehavior(creep, mySpawn, enemySpawn, myCreeps) {
             runKillSquadBehavior(creep, mySpawn, enemySpawn);
             return;
         }
+
+        // Badly damaged attackers fall back to heal; the squad keeps going under a new leader
+        if (updateRetreatState(creep, myCreeps)) {
+            runRetreatBehavior(creep, myCreeps, mySpawn);
+            return;
+        }
+
         const leader = getSquadLeader(creep, myCreeps);
         const isLeader = isSquadLeader(creep);
         const allEnemies = getAllEnemyCreeps();
-        const squadmates = isLeader ? getSquadMembers(creep, myCreeps, true) : null;
+        const squadmates = isLeader ? getSquadMembers(creep, myCreeps, c => deployedAttackers.has(c.id)) : null;
         const cohesionRange = COMBAT_CONFIG.SQUAD_COHESION_RANGE;
         let rangeToLeader = null;
 
@@ -922,10 +1471,38 @@ function runAttackerBehavior(creep, mySpawn, enemySpawn, myCreeps) {
             }
         }
 
-        // Leader designates target for the squad every tick (always picks nearest enemy)
+        // Leader predicts the fight against nearby threats and sets the squad's stance;
+        // a recalled squad defends the base and an all-in push presses on, whatever the odds
+        const squadName = getSquadName(creep);
+        const recalled = isSquadRecalled(squadName);
+        if (isLeader) {
+            const threats = allEnemies.filter(e =>
+                hasAttackCapability(e) && creep.getRangeTo(e) <= COMBAT_CONFIG.ENGAGEMENT_ASSESS_RANGE
+            );
+            setSquadStance(squadName, recalled || getPhaseSettings().allIn
+                ? STANCES.ENGAGE
+                : chooseSquadStance(squadName, [creep, ...getSquadMembers(creep, myCreeps)], threats,
+                    predictSquadFight(creep), getPhaseSettings()));
+        }
+
+        // Hold or retreat: only fight back against adjacent enemies
+        const stance = getSquadStance(squadName) || STANCES.ENGAGE;
+        if (stance !== STANCES.ENGAGE) {
+            const adjacentEnemy = findNearestEnemy(creep, 1);
+            if (adjacentEnemy) {
+                creep.attack(adjacentEnemy);
+            }
+            if (stance === STANCES.RETREAT) {
+                cachedMoveTo(creep, findFallbackPoint(creep, mySpawn));
+            }
+            return;
+        }
+
+        // Leader designates target for the squad every tick: the base threat nearest our spawn
+        // when recalled, otherwise the nearest enemy
         if (isLeader) {
             const nearestEnemy = findNearestEnemy(creep, COMBAT_CONFIG.ATTACKER_ENEMY_DETECTION_RANGE, COMBAT_CONFIG.ATTACKER_HARMLESS_DETECTION_RANGE);
-            setSquadTarget(creep, nearestEnemy);
+            setSquadTarget(creep, (recalled && getDefenseTarget(mySpawn)) || nearestEnemy);
         }
 
         // All squad members coordinate on designated target but engage accessible enemies
@@ -1029,57 +1606,648 @@ function runAttackerBehavior(creep, mySpawn, enemySpawn, myCreeps) {
 }
 
 /**
- * Run tower behavior - attack closest enemies
+ * Hand squad leadership to the healthiest melee squad attacker that is not retreating
+ * @param {string} squadName - The squad
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function reassignSquadLeader(squadName, myCreeps) {
+    const candidates = myCreeps.filter(c =>
+        getSquadName(c) === squadName &&
+        deployedAttackers.has(c.id) &&
+        getCreepRole(c) === ROLES.ATTACKER &&
+        !retreatingCreeps.has(c.id)
+    );
+    if (candidates.length > 0) {
+        setSquadLeader(squadName, candidates.sort((a, b) => b.hits / b.hitsMax - a.hits / a.hitsMax)[0]);
+    }
+}
+
+/**
+ * Track whether a squad attacker should be falling back to heal.
+ * Squad assignment is kept while retreating; a retreating leader hands leadership on.
+ * @param {Creep} creep - Deployed squad attacker
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @returns {boolean} True if the creep is retreating
+ */
+function updateRetreatState(creep, myCreeps) {
+    // An all-in push fights to the last hit point
+    if (getPhaseSettings().allIn) {
+        retreatingCreeps.delete(creep.id);
+        return false;
+    }
+
+    const hpRatio = creep.hits / creep.hitsMax;
+
+    if (!retreatingCreeps.has(creep.id) && hpRatio < COMBAT_CONFIG.CREEP_RETREAT_HP_RATIO) {
+        retreatingCreeps.add(creep.id);
+        if (isSquadLeader(creep)) {
+            reassignSquadLeader(getSquadName(creep), myCreeps);
+        }
+    } else if (retreatingCreeps.has(creep.id) && hpRatio >= COMBAT_CONFIG.CREEP_REJOIN_HP_RATIO) {
+        retreatingCreeps.delete(creep.id);
+    }
+
+    return retreatingCreeps.has(creep.id);
+}
+
+/**
+ * Find where a squad falls back to: the nearest friendly tower with energy, otherwise our spawn
+ * @param {Creep} creep - The retreating creep
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object} Fallback target
+ */
+function findFallbackPoint(creep, mySpawn) {
+    const towers = getObjectsByPrototype(StructureTower).filter(t =>
+        t.my && t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST
+    );
+    return creep.findClosestByRange(towers) || mySpawn;
+}
+
+/**
+ * Retreating attacker: fall back toward a squad medic (or a tower/spawn), fighting only adjacent enemies
+ * @param {Creep} creep - The retreating creep
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function runRetreatBehavior(creep, myCreeps, mySpawn) {
+    const adjacentEnemy = findNearestEnemy(creep, 1);
+    if (adjacentEnemy) {
+        creep.attack(adjacentEnemy);
+    }
+
+    fallBackToHeal(creep, myCreeps, mySpawn);
+}
+
+/**
+ * Move a retreating creep toward a squad medic, or a tower/spawn when the squad has none
+ * @param {Creep} creep - The retreating creep
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ */
+function fallBackToHeal(creep, myCreeps, mySpawn) {
+    // Get out of reach first so the way back does not lead through the enemy
+    const threats = getThreatsInReach(creep);
+    if (threats.length > 0 && fleeFromThreats(creep, threats)) {
+        return;
+    }
+
+    const squadMedics = getSquadMembers(creep, myCreeps, c => getCreepRole(c) === ROLES.MEDIC);
+    const healPoint = creep.findClosestByRange(squadMedics) || findFallbackPoint(creep, mySpawn);
+    if (healPoint && creep.getRangeTo(healPoint) > 1) {
+        cachedMoveTo(creep, healPoint, { ignoreCreeps: true });
+    }
+}
+
+// ===========================
+// Logistics Module
+// ===========================
+// Harvest sites and task matching live in core/logistics.mjs; the bot decides where energy goes.
+
+/**
+ * Energy demands, highest priority tier first. Builders serve construction first; everyone then
+ * serves tower refills, extensions and the spawn.
+ * @param {Creep} creep - The creep holding energy
+ * @param {string} resourceType - The carried resource (always energy here)
+ * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @returns {object[][]} Demand tiers
+ */
+function getEnergyDemandTiers(creep, resourceType, mySpawn) {
+    const tiers = [];
+    if (creep.body.some(p => p.type === WORK && p.hits > 0)) {
+        tiers.push(getObjectsByPrototype(ConstructionSite).filter(s => s.my));
+    }
+    tiers.push(towerRefillRequests.map(r => r.tower));
+    tiers.push(getObjectsByPrototype(StructureExtension).filter(e => e.my));
+    tiers.push(mySpawn ? [mySpawn] : []);
+    return tiers;
+}
+
+// ===========================
+// Tower Controller Module
+// ===========================
+
+/**
+ * Ask the economy to refill towers running low on energy; harvesters deliver to these first
  * @param {StructureTower[]} myTowers - Array of friendly towers
+ */
+function requestTowerRefills(myTowers) {
+    towerRefillRequests = myTowers
+        .filter(t => t.store.getUsedCapacity(RESOURCE_ENERGY) < ECONOMY_CONFIG.TOWER_REFILL_THRESHOLD)
+        .map(t => ({ tower: t, amount: t.store.getFreeCapacity(RESOURCE_ENERGY) }));
+}
+
+// ===========================
+// Base Defense Module
+// ===========================
+
+/**
+ * Check whether an attacker or medic defends the base: everything still at home plus the
+ * squads already recalled. The kill squad never turns back.
+ * Recalls themselves are made by updateDefense; emergency defender spawns are left to
+ * requestDefenseSpawns, which reads getDefense().
+ * @param {Creep} creep - An attacker or medic
+ * @returns {boolean} True if it counts as a defender
+ */
+function isBaseDefender(creep) {
+    return !killSquadCreeps.has(creep.id) &&
+        (!(deployedAttackers.has(creep.id) || deployedMedics.has(creep.id)) || isSquadRecalled(getSquadName(creep)));
+}
+
+// ===========================
+// Ranged Role Module
+// ===========================
+
+/**
+ * Run ranged creep behavior: shoot every tick, kite melee threats, and otherwise keep
+ * attack range on the squad's designated target while following the squad's stance
+ * @param {Creep} creep - The ranged creep
  * @param {StructureSpawn} mySpawn - The friendly spawn
+ * @param {StructureSpawn} enemySpawn - The enemy spawn
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+function runRangedBehavior(creep, mySpawn, enemySpawn, myCreeps) {
+    const allEnemies = getAllEnemyCreeps();
+    fireRangedParts(creep, allEnemies, enemySpawn);
+
+    // Kiting takes priority over every other movement
+    if (kiteMeleeThreats(creep, allEnemies, COMBAT_CONFIG.RANGED_KITE_RANGE)) {
+        return;
+    }
+
+    if (!deployedAttackers.has(creep.id) || !enemySpawn) {
+        // Undeployed: guard the spawn until the squad deploys
+        const nearbyEnemy = findNearestEnemy(creep, COMBAT_CONFIG.ATTACKER_ENEMY_DETECTION_RANGE);
+        if (nearbyEnemy && creep.getRangeTo(nearbyEnemy) > COMBAT_CONFIG.RANGED_ATTACK_RANGE) {
+            cachedMoveTo(creep, nearbyEnemy);
+        } else if (!nearbyEnemy && creep.getRangeTo(mySpawn) > COMBAT_CONFIG.DEFENDER_IDLE_RANGE) {
+            cachedMoveTo(creep, mySpawn);
+        }
+        return;
+    }
+
+    if (updateRetreatState(creep, myCreeps)) {
+        fallBackToHeal(creep, myCreeps, mySpawn);
+        return;
+    }
+
+    const stance = getSquadStance(getSquadName(creep)) || STANCES.ENGAGE;
+    if (stance === STANCES.RETREAT) {
+        cachedMoveTo(creep, findFallbackPoint(creep, mySpawn));
+        return;
+    }
+    if (stance === STANCES.HOLD) {
+        return;
+    }
+
+    // Close to attack range on the designated target, otherwise stay with the leader
+    const designatedTarget = getSquadTarget(creep, allEnemies);
+    const leader = getSquadLeader(creep, myCreeps);
+    if (designatedTarget) {
+        if (creep.getRangeTo(designatedTarget) > COMBAT_CONFIG.RANGED_ATTACK_RANGE) {
+            cachedMoveTo(creep, designatedTarget, { ignoreCreeps: true });
+        }
+    } else if (leader) {
+        if (creep.getRangeTo(leader) > COMBAT_CONFIG.SQUAD_COHESION_RANGE - 1) {
+            cachedMoveTo(creep, leader, { ignoreCreeps: true });
+        }
+    } else if (creep.getRangeTo(enemySpawn) > COMBAT_CONFIG.RANGED_ATTACK_RANGE) {
+        cachedMoveTo(creep, enemySpawn, { ignoreCreeps: true });
+    }
+}
+
+// ===========================
+// Strategy Profile Module
+// ===========================
+
+/**
+ * Named strategy presets. Each bundles partial overrides of the config sections and
+ * body templates; anything not listed keeps its default.
+ */
+const STRATEGY_PRESETS = {
+    balanced: {},
+    // Small fast waves and an early all-in; skips the hauler and builds less
+    rush: {
+        ECONOMY_CONFIG: { TARGET_HAULER_COUNT: 0, MAX_EXTENSIONS: 3 },
+        COMBAT_CONFIG: {
+            INITIAL_WAVE_ATTACKERS: 2,
+            INITIAL_WAVE_COUNT: 1,
+            KILL_SQUAD_SIZE: 3,
+            PLANNED_TOWERS: 1,
+            ENGAGE_MARGIN: 0,
+            RETREAT_MARGIN: 0.4
+        },
+        PHASE_CONFIG: { OPENING_MAX_TICKS: 150, ENDGAME_TICKS_REMAINING: 400 },
+        BODY_TEMPLATES: {
+            [ROLES.ATTACKER]: { ratio: { [ATTACK]: 1 }, swampTicks: 3, minParts: 2 }
+        }
+    },
+    // Strong economy and towers first, then large, well-protected waves
+    turtle: {
+        ECONOMY_CONFIG: { TARGET_HARVESTER_COUNT: 3, TARGET_HAULER_COUNT: 2 },
+        COMBAT_CONFIG: {
+            INITIAL_WAVE_ATTACKERS: 6,
+            FOLLOWUP_WAVE_ATTACKERS: 4,
+            INITIAL_WAVE_COUNT: 3,
+            KILL_SQUAD_SIZE: 0,
+            PLANNED_TOWERS: 3,
+            ENGAGE_MARGIN: 0.2,
+            RETREAT_MARGIN: 0.15
+        },
+        PHASE_CONFIG: { OPENING_MAX_TICKS: 450, ENDGAME_TICKS_REMAINING: 200 },
+        BODY_TEMPLATES: {
+            // WORK lets harvesters build the planned extensions, towers and ramparts
+            [ROLES.HARVESTER]: { ratio: { [CARRY]: 2, [WORK]: 1 }, swampTicks: 5, minParts: 1, maxSize: 6 },
+            [ROLES.ATTACKER]: { ratio: { [ATTACK]: 2, [TOUGH]: 2 }, swampTicks: 8, minParts: 8 }
+        }
+    }
+};
+
+/**
+ * Preset picked by STRATEGY_PROFILE 'auto': the first entry whose name and level (when
+ * given) match arenaInfo, otherwise 'balanced'
+ */
+const STRATEGY_PROFILE_BY_ARENA = [
+    { name: 'Spawn and Swamp', level: 1, profile: 'balanced' },
+    { name: 'Spawn and Swamp', level: 2, profile: 'turtle' } // Advanced opponents punish thin early waves
+];
+
+/**
+ * Config sections a preset may override, by preset key. The defaults double as the schema:
+ * an override must name an existing key and keep its value's type.
+ */
+const CONFIG_SECTIONS = {
+    PATHFINDING_CONFIG,
+    ECONOMY_CONFIG,
+    COMBAT_CONFIG,
+    PHASE_CONFIG
+};
+
+const BODY_TEMPLATE_KEYS = ['ratio', 'swampTicks', 'minParts', 'maxSize'];
+
+/**
+ * Check a preset's body template overrides
+ * @param {object} templates - Overrides by role
+ * @returns {string[]} Problems found, prefixed with their path
+ */
+function validateBodyTemplates(templates) {
+    const errors = [];
+    const isCount = value => Number.isInteger(value) && value > 0;
+
+    for (const role in templates) {
+        const template = templates[role];
+        const path = `BODY_TEMPLATES.${role}`;
+        if (!BODY_TEMPLATES[role]) {
+            errors.push(`${path}: unknown role`);
+            continue;
+        }
+        for (const key in template) {
+            if (!BODY_TEMPLATE_KEYS.includes(key)) {
+                errors.push(`${path}.${key}: unknown template key`);
+            } else if (key !== 'ratio' && !isCount(template[key])) {
+                errors.push(`${path}.${key}: expected a positive integer`);
+            }
+        }
+        for (const part in template.ratio || {}) {
+            if (BODYPART_COST[part] === undefined || part === MOVE) {
+                errors.push(`${path}.ratio.${part}: expected a non-MOVE body part`);
+            } else if (!isCount(template.ratio[part])) {
+                errors.push(`${path}.ratio.${part}: expected a positive integer`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Check a preset against the config schema
+ * @param {object} preset - Entry of STRATEGY_PRESETS
+ * @returns {string[]} Problems found, prefixed with their path
  */
-function runTowerBehavior(myTowers, mySpawn) {
-    for (const tower of myTowers) {
-        const enemyCreeps = getAllEnemyCreeps();
-        if (enemyCreeps.length > 0 && !tower.cooldown) {
-            // Prioritize closest enemy to spawn
-            const closestEnemy = mySpawn.findClosestByRange(enemyCreeps);
-            if (closestEnemy) {
-                tower.attack(closestEnemy);
+function validateStrategyPreset(preset) {
+    const errors = [];
+
+    for (const section in preset) {
+        if (section === 'BODY_TEMPLATES') {
+            errors.push(...validateBodyTemplates(preset[section]));
+            continue;
+        }
+
+        const defaults = CONFIG_SECTIONS[section];
+        if (!defaults) {
+            errors.push(`${section}: unknown config section`);
+            continue;
+        }
+        for (const key in preset[section]) {
+            const value = preset[section][key];
+            if (!(key in defaults)) {
+                errors.push(`${section}.${key}: unknown config key`);
+            } else if (typeof value !== typeof defaults[key]) {
+                errors.push(`${section}.${key}: expected ${typeof defaults[key]}, got ${typeof value}`);
+            } else if (typeof value === 'number' && !Number.isFinite(value)) {
+                errors.push(`${section}.${key}: expected a finite number`);
             }
         }
     }
+    return errors;
+}
+
+/**
+ * Validate every preset and profile name at load time, so a bad edit fails on import
+ * instead of partway through a match
+ */
+function validateStrategyPresets() {
+    const errors = [];
+    for (const name in STRATEGY_PRESETS) {
+        errors.push(...validateStrategyPreset(STRATEGY_PRESETS[name]).map(e => `${name}: ${e}`));
+    }
+    for (const { profile } of STRATEGY_PROFILE_BY_ARENA) {
+        if (!STRATEGY_PRESETS[profile]) {
+            errors.push(`STRATEGY_PROFILE_BY_ARENA: unknown preset '${profile}'`);
+        }
+    }
+    if (STRATEGY_PROFILE !== 'auto' && !STRATEGY_PRESETS[STRATEGY_PROFILE]) {
+        errors.push(`STRATEGY_PROFILE: unknown preset '${STRATEGY_PROFILE}'`);
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid strategy configuration:\n${errors.join('\n')}`);
+    }
+}
+
+validateStrategyPresets();
+
+/**
+ * Resolve STRATEGY_PROFILE to a preset name, consulting arenaInfo for 'auto'
+ * @returns {string} Key of STRATEGY_PRESETS
+ */
+function selectStrategyProfile() {
+    if (STRATEGY_PROFILE !== 'auto') {
+        return STRATEGY_PROFILE;
+    }
+
+    const match = STRATEGY_PROFILE_BY_ARENA.find(entry =>
+        (entry.name === undefined || entry.name === arenaInfo.name) &&
+        (entry.level === undefined || entry.level === arenaInfo.level)
+    );
+    return match ? match.profile : 'balanced';
+}
+
+/**
+ * Select and apply the strategy profile once, on the first tick (arenaInfo is only
+ * readable once the match runs). Overrides are merged into the config objects in place,
+ * then the core modules are configured from the result.
+ */
+function applyStrategyProfile() {
+    if (strategyProfile) {
+        return;
+    }
+
+    strategyProfile = selectStrategyProfile();
+    const preset = STRATEGY_PRESETS[strategyProfile];
+    for (const section in CONFIG_SECTIONS) {
+        Object.assign(CONFIG_SECTIONS[section], preset[section]);
+    }
+    for (const role in preset.BODY_TEMPLATES) {
+        BODY_TEMPLATES[role] = { ...BODY_TEMPLATES[role], ...preset.BODY_TEMPLATES[role] };
+    }
+    phaseSettings = buildPhaseSettings();
+
+    configurePathing({
+        config: PATHFINDING_CONFIG,
+        costProfiles: PATH_COST_PROFILES,
+        defaultCostProfile: PATH_COST_PROFILES[ROLES.ATTACKER]
+    });
+    configureSquads({ config: COMBAT_CONFIG });
+    configureTowers(COMBAT_CONFIG);
+    configureLogistics({ config: ECONOMY_CONFIG, demandTiers: getEnergyDemandTiers });
+    configureDefense({ ...COMBAT_CONFIG, DEFENSE_THREAT_RANGE: COMBAT_CONFIG.BASE_THREAT_DETECTION_RANGE });
+}
+
+// ===========================
+// Replay Recorder Module
+// ===========================
+
+// Single-letter body part codes; uppercase for working parts, lowercase for destroyed ones
+const BODY_PART_CODES = {
+    [MOVE]: 'm', [WORK]: 'w', [CARRY]: 'c', [ATTACK]: 'a', [RANGED_ATTACK]: 'r', [HEAL]: 'h', [TOUGH]: 't'
+};
+
+/**
+ * Encode a creep body as a compact string (e.g. "MMAa" = 2 MOVE, 1 ATTACK, 1 destroyed ATTACK)
+ * @param {object[]} body - Creep body array
+ * @returns {string} Encoded body
+ */
+function encodeBody(body) {
+    return body.map(p => {
+        const code = BODY_PART_CODES[p.type] || '?';
+        return p.hits > 0 ? code.toUpperCase() : code;
+    }).join('');
+}
+
+/**
+ * Encode an intent argument for a replay frame
+ * @param {*} arg - Argument passed to the intent method
+ * @returns {*} Object id, body string, prototype name, "x,y" position, or the raw value
+ */
+function encodeIntentArg(arg) {
+    if (Array.isArray(arg)) {
+        return encodeBody(arg.map(type => ({ type, hits: 1 })));
+    }
+    if (typeof arg === 'function') {
+        return arg.name;
+    }
+    if (arg && typeof arg === 'object') {
+        return arg.id !== undefined ? arg.id : `${arg.x},${arg.y}`;
+    }
+    return arg;
+}
+
+/**
+ * Record an issued intent if a replay frame is being captured
+ * @param {string|null} actorId - ID of the acting object (null for global functions)
+ * @param {string} method - Intent method name
+ * @param {Array} args - Arguments passed to the method
+ * @param {number|object} result - Return code, or a { object, error } result
+ */
+function recordIntent(actorId, method, args, result) {
+    if (!replayIntents) return;
+
+    const entry = [actorId, method, args.map(encodeIntentArg)];
+    if (result && typeof result === 'object') {
+        entry.push(result.error !== undefined ? result.error : OK);
+        if (result.object) entry.push(result.object.id);
+    } else {
+        entry.push(result);
+    }
+    replayIntents.push(entry);
+}
+
+/**
+ * Wrap intent methods on game prototypes once so every call is recorded with its return code
+ */
+function instrumentIntentMethods() {
+    if (replayInstrumented) return;
+
+    const wrap = (prototype, method) => {
+        const original = prototype[method];
+        prototype[method] = function (...args) {
+            const result = original.apply(this, args);
+            recordIntent(this.id, method, args, result);
+            return result;
+        };
+    };
+
+    for (const method of ['move', 'attack', 'rangedAttack', 'rangedMassAttack', 'heal', 'rangedHeal',
+        'harvest', 'build', 'transfer', 'withdraw', 'pickup']) {
+        wrap(Creep.prototype, method);
+    }
+    wrap(StructureSpawn.prototype, 'spawnCreep');
+    wrap(StructureTower.prototype, 'attack');
+    wrap(StructureTower.prototype, 'heal');
+
+    replayInstrumented = true;
+}
+
+/**
+ * Create a construction site, recording the call in the replay frame
+ * @param {...*} args - Arguments forwarded to createConstructionSite
+ * @returns {object} The createConstructionSite result
+ */
+function placeConstructionSite(...args) {
+    const result = createConstructionSite(...args);
+    recordIntent(null, 'createConstructionSite', args, result);
+    return result;
+}
+
+/**
+ * Snapshot every creep and structure as compact arrays
+ * @returns {object} { c: creeps, s: structures }
+ */
+function captureReplayObjects() {
+    const creeps = getObjectsByPrototype(Creep).map(c =>
+        [c.id, c.my ? 1 : 0, c.x, c.y, c.hits, encodeBody(c.body)]
+    );
+
+    const structures = getObjectsByPrototype(Structure)
+        .filter(s => REPLAY_CONFIG.INCLUDE_NEUTRAL_STRUCTURES || s.my !== undefined)
+        .map(s => [
+            s.id,
+            s.constructor.name.replace('Structure', ''),
+            s.my === undefined ? null : (s.my ? 1 : 0),
+            s.x,
+            s.y,
+            s.hits,
+            s.store ? s.store.getUsedCapacity(RESOURCE_ENERGY) : null
+        ]);
+
+    for (const site of getObjectsByPrototype(ConstructionSite).filter(s => s.my)) {
+        structures.push([site.id, 'Site', 1, site.x, site.y, site.progress, site.progressTotal]);
+    }
+
+    return { c: creeps, s: structures };
+}
+
+/**
+ * Snapshot squad bookkeeping
+ * @returns {object} Squads keyed by name plus kill squad and deployment state
+ */
+function captureSquadState() {
+    return {
+        squads: getSquadSnapshot(),
+        killSquad: [...killSquadCreeps],
+        killSquadRoute: killSquadRoute ? killSquadRoute.waypoints : null,
+        retreating: [...retreatingCreeps],
+        recalled: getRecalledSquadNames(),
+        deployed: [...deployedAttackers, ...deployedMedics],
+        roles: getRecordedRoles(),
+        spawnQueue: spawnRequests.map(r => [r.manager, r.role, r.priority]),
+        towerRefills: towerRefillRequests.map(r => [r.tower.id, r.amount]),
+        harvestSites: getHarvestSiteSnapshot(),
+        nextSquad: nextSquadIndex,
+        profile: strategyProfile,
+        phase: matchPhase
+    };
+}
+
+/**
+ * Run one tick while recording a replay frame, written as a single JSON line:
+ * { t: tick, c: [[id, my, x, y, hits, body]], s: [[id, type, my, x, y, hits, energy]],
+ *   q: squad state, i: [[actorId, method, args, returnCode, createdId?]], e?: error }
+ * Objects are captured as loop() saw them; squad state after its decisions.
+ * @param {function} runTickFn - The tick function to record
+ */
+function recordReplayFrame(runTickFn) {
+    instrumentIntentMethods();
+
+    const frame = { t: getTicks(), ...captureReplayObjects() };
+    replayIntents = [];
+
+    try {
+        runTickFn();
+    } catch (error) {
+        frame.e = String(error && error.message || error);
+        throw error;
+    } finally {
+        frame.q = captureSquadState();
+        frame.i = replayIntents;
+        replayIntents = null;
+        console.log(JSON.stringify(frame));
+    }
 }
 
 export function loop() {
+    if (REPLAY_CONFIG.ENABLED) {
+        recordReplayFrame(runTick);
+    } else {
+        runTick();
+    }
+}
+
+/**
+ * Run the bot's per-tick logic
+ */
+function runTick() {
+    applyStrategyProfile();
+    clearMoveIntents();
+
     const mySpawn = getObjectsByPrototype(StructureSpawn).find(s => s.my);
     const enemySpawn = getObjectsByPrototype(StructureSpawn).find(s => !s.my);
     const myCreeps = getObjectsByPrototype(Creep).filter(c => c.my);
     const enemyCreeps = getAllEnemyCreeps();
 
     cleanupDeadCreepState(myCreeps);
-    cleanupDeadTargets(enemyCreeps);
+    cleanupSquadTargets(enemyCreeps);
+    recordTileUsage(myCreeps);
 
     // Categorize creeps by role
-    const { harvesters, attackers, medics } = categorizeCreeps(myCreeps);
+    const { harvesters, haulers = [], builders = [], attackers, medics } = categorizeCreeps(myCreeps);
+    updateMatchPhase(harvesters, haulers, attackers, medics);
 
+    planBaseLayout(mySpawn, enemySpawn);
     manageExtensionConstruction(mySpawn, harvesters);
     deployKillSquad(attackers, mySpawn);
     deployAttackWaves(attackers, medics, mySpawn);
     manageBuildDefenses(mySpawn);
-    executeSpawnStrategy(mySpawn, harvesters, attackers, medics);
-    initializeTargetWalls(mySpawn);
 
-    // Execute creep behaviors
-    for (const creep of myCreeps) {
-        const isHarvester = creep.body.some(p => p.type === CARRY);
-        const isMedic = creep.body.some(p => p.type === HEAL);
+    const myTowers = getObjectsByPrototype(StructureTower).filter(t => t.my);
+    const army = new Set([...attackers, ...medics]);
+    updateDefense(mySpawn, myCreeps, myTowers, c => army.has(c) && isBaseDefender(c));
+    executeSpawnStrategy(mySpawn, harvesters, haulers, builders, attackers, medics);
+    manageRoadConstruction(mySpawn, enemySpawn);
+    initializeTargetWalls(mySpawn, enemySpawn);
 
-        if (isHarvester) {
-            runHarvesterBehavior(creep, mySpawn);
-        } else if (isMedic) {
-            runMedicBehavior(creep, mySpawn, myCreeps, enemySpawn);
-        } else {
-            runAttackerBehavior(creep, mySpawn, enemySpawn, myCreeps);
-        }
+    requestTowerRefills(myTowers);
+    updateLogistics(myCreeps);
+
+    // Execute creep behaviors through the role registry
+    const context = { mySpawn, enemySpawn, myCreeps };
+    for (const creep of myCreeps) {
+        runCreepRole(creep, context);
     }
 
+    // Issue the moves behaviors asked for, resolving collisions between them
+    resolveTraffic(myCreeps, mySpawn);
+
     // Execute tower behaviors
-    const myTowers = getObjectsByPrototype(StructureTower).filter(t => t.my);
-    runTowerBehavior(myTowers, mySpawn);
+    runTowerBehavior(myTowers, mySpawn, myCreeps);
 }
@@ -0,0 +1,110 @@
+/**
+ * Core: body builder.
+ * A body template is { ratio, swampTicks, minParts, maxSize }:
+ * - ratio: relative counts of non-MOVE parts; parts are added one at a time to keep this ratio
+ * - swampTicks: target ticks per swamp tile when fully loaded; sets how many MOVE parts are added
+ * - minParts: smallest useful number of non-MOVE parts
+ * - maxSize: optional cap on total parts below MAX_CREEP_SIZE
+ * TOUGH parts are placed at the front, followed by MOVE parts interleaved with the working parts
+ * so that damage strips armor and spare MOVE before ATTACK/HEAL capability.
+ */
+
+import { MOVE, TOUGH, BODYPART_COST, MAX_CREEP_SIZE } from 'game/constants';
+
+const SWAMP_FATIGUE_PER_PART = 10; // Fatigue each non-MOVE part generates on swamp
+const FATIGUE_REMOVED_PER_MOVE = 2; // Fatigue each MOVE part removes per tick
+
+/**
+ * Calculate the energy cost of a body
+ * @param {string[]} body - Body part array
+ * @returns {number} Total energy cost
+ */
+export function getBodyCost(body) {
+    return body.reduce((sum, part) => sum + BODYPART_COST[part], 0);
+}
+
+/**
+ * Pick the template part furthest below its share of the ratio
+ * @param {object} ratio - Template part ratio
+ * @param {object} counts - Current non-MOVE part counts
+ * @returns {string} Body part to add next
+ */
+function nextTemplatePart(ratio, counts) {
+    let best = null;
+    let bestShare = Infinity;
+    for (const [part, weight] of Object.entries(ratio)) {
+        const share = (counts[part] || 0) / weight;
+        if (share < bestShare) {
+            best = part;
+            bestShare = share;
+        }
+    }
+    return best;
+}
+
+/**
+ * Lay out a body: TOUGH first, then MOVE interleaved with working parts
+ * @param {object} counts - Non-MOVE part counts
+ * @param {number} swampTicks - Target ticks per swamp tile
+ * @returns {string[]} Body part array
+ */
+function assembleBody(counts, swampTicks) {
+    const toughCount = counts[TOUGH] || 0;
+    const workParts = [];
+    for (const [part, count] of Object.entries(counts)) {
+        if (part !== TOUGH) {
+            for (let i = 0; i < count; i++) workParts.push(part);
+        }
+    }
+
+    const nonMoveCount = toughCount + workParts.length;
+    const moveCount = Math.max(1, Math.ceil(
+        nonMoveCount * SWAMP_FATIGUE_PER_PART / (FATIGUE_REMOVED_PER_MOVE * swampTicks)
+    ));
+
+    const body = new Array(toughCount).fill(TOUGH);
+    for (let i = 0; i < Math.max(moveCount, workParts.length); i++) {
+        if (i < moveCount) body.push(MOVE);
+        if (i < workParts.length) body.push(workParts[i]);
+    }
+    return body;
+}
+
+/**
+ * Build the largest body for a template that fits the energy budget and the part cap
+ * @param {object} template - Body template
+ * @param {number} energy - Energy the body may cost
+ * @returns {string[]|null} Body part array, or null if the template minimum does not fit
+ */
+export function buildBody(template, energy) {
+    const maxSize = Math.min(template.maxSize || MAX_CREEP_SIZE, MAX_CREEP_SIZE);
+    const counts = {};
+    let best = null;
+
+    for (let partCount = 1; ; partCount++) {
+        const part = nextTemplatePart(template.ratio, counts);
+        counts[part] = (counts[part] || 0) + 1;
+
+        const body = assembleBody(counts, template.swampTicks);
+        if (body.length > maxSize || getBodyCost(body) > energy) {
+            return best;
+        }
+        if (partCount >= template.minParts) {
+            best = body;
+        }
+    }
+}
+
+/**
+ * Build the smallest body a template allows
+ * @param {object} template - Body template
+ * @returns {string[]} Body part array
+ */
+export function buildMinimumBody(template) {
+    const counts = {};
+    for (let i = 0; i < template.minParts; i++) {
+        const part = nextTemplatePart(template.ratio, counts);
+        counts[part] = (counts[part] || 0) + 1;
+    }
+    return assembleBody(counts, template.swampTicks);
+}
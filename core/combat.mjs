@@ -0,0 +1,269 @@
+/**
+ * Core: combat helpers.
+ * Enemy queries, per-creep and group combat stats, tower falloff math and a short fight
+ * simulation for deciding whether to engage.
+ */
+
+import { getObjectsByPrototype, getRange } from 'game/utils';
+import { Creep, StructureTower } from 'game/prototypes';
+import { ATTACK, RANGED_ATTACK, HEAL, RESOURCE_ENERGY, ATTACK_POWER, RANGED_ATTACK_POWER, HEAL_POWER,
+    TOWER_POWER_ATTACK, TOWER_OPTIMAL_RANGE, TOWER_FALLOFF_RANGE, TOWER_FALLOFF, TOWER_ENERGY_COST, TOWER_COOLDOWN, TOWER_RANGE } from 'game/constants';
+
+const DEFAULT_ENGAGEMENT_TICKS = 30; // Ticks predictEngagement simulates unless told otherwise
+
+/**
+ * Get all enemy creeps
+ * @returns {Creep[]} Array of enemy creeps
+ */
+export function getAllEnemyCreeps() {
+    return getObjectsByPrototype(Creep).filter(c => !c.my);
+}
+
+/**
+ * Check if a creep has offensive capabilities
+ * @param {Creep} creep - The creep to check
+ * @returns {boolean} True if creep has attack or ranged attack parts
+ */
+export function hasAttackCapability(creep) {
+    return creep.body.some(p => p.type === ATTACK || p.type === RANGED_ATTACK);
+}
+
+/**
+ * Find nearest enemy creep within specified range, prioritizing threats
+ * @param {Creep} creep - The creep searching for enemies
+ * @param {number} maxRange - Maximum distance to search for threats
+ * @param {number} maxHarmlessRange - Maximum distance to search for harmless enemies (defaults to maxRange)
+ * @returns {Creep|null} Nearest enemy creep or null if none found
+ */
+export function findNearestEnemy(creep, maxRange, maxHarmlessRange = null) {
+    const enemyCreeps = getAllEnemyCreeps();
+    const harmlessRange = maxHarmlessRange !== null ? maxHarmlessRange : maxRange;
+
+    let nearestThreat = null;
+    let nearestHarmless = null;
+    let minThreatDistance = maxRange + 1;
+    let minHarmlessDistance = harmlessRange + 1;
+
+    for (const enemy of enemyCreeps) {
+        const distance = creep.getRangeTo(enemy);
+
+        if (hasAttackCapability(enemy)) {
+            // Check threats within their range
+            if (distance <= maxRange && distance < minThreatDistance) {
+                minThreatDistance = distance;
+                nearestThreat = enemy;
+            }
+        } else {
+            // Check harmless enemies within their (potentially shorter) range
+            if (distance <= harmlessRange && distance < minHarmlessDistance) {
+                minHarmlessDistance = distance;
+                nearestHarmless = enemy;
+            }
+        }
+    }
+
+    // Return nearest threat first, or harmless enemy if no threats
+    return nearestThreat || nearestHarmless;
+}
+
+/**
+ * Find the most damaged creep from an array of creeps
+ * @param {Creep[]} creeps - Array of creeps to search
+ * @returns {Creep|null} Most damaged creep or null if none damaged
+ */
+export function findMostDamagedCreep(creeps) {
+    return creeps
+        .filter(c => c.hits < c.hitsMax)
+        .sort((a, b) => a.hits - b.hits)[0] || null;
+}
+
+export const COMBAT_PARTS = [ATTACK, RANGED_ATTACK, HEAL];
+
+/**
+ * Get the body parts that still work. Damage strips parts front-first (healing restores them
+ * back-first), so a creep with N parts' worth of hits keeps exactly its last N parts.
+ * @param {string[]} types - Body part types in order
+ * @param {number} hits - Current hits
+ * @returns {string[]} Active part types
+ */
+export function getActivePartTypes(types, hits) {
+    const activeCount = Math.min(types.length, Math.ceil(hits / 100));
+    return types.slice(types.length - activeCount);
+}
+
+/**
+ * Calculate combat stats for one creep from its body and hits
+ * @param {Creep} creep - Any creep
+ * @returns {object} { meleeDps, rangedDps, healPerTick, hits, effectiveHp }
+ *   effectiveHp is the damage needed to strip the creep's last combat part, so TOUGH
+ *   and other parts in front of the ATTACK/RANGED_ATTACK/HEAL parts raise it
+ */
+export function getCombatStats(creep) {
+    const types = creep.body.map(p => p.type);
+    const active = getActivePartTypes(types, creep.hits);
+    const count = type => active.filter(t => t === type).length;
+
+    const lastCombatIndex = types.reduce((last, type, i) => COMBAT_PARTS.includes(type) ? i : last, -1);
+    const effectiveHp = lastCombatIndex === -1
+        ? 0
+        : Math.max(0, creep.hits - (types.length - lastCombatIndex - 1) * 100);
+
+    return {
+        meleeDps: count(ATTACK) * ATTACK_POWER,
+        rangedDps: count(RANGED_ATTACK) * RANGED_ATTACK_POWER,
+        healPerTick: count(HEAL) * HEAL_POWER,
+        hits: creep.hits,
+        effectiveHp
+    };
+}
+
+/**
+ * Sum combat stats over a group of creeps
+ * @param {Creep[]} creeps - Creeps in the group
+ * @returns {object} { dps, healPerTick, hits, effectiveHp }
+ */
+export function getGroupCombatStats(creeps) {
+    return creeps.map(getCombatStats).reduce((sum, stats) => ({
+        dps: sum.dps + stats.meleeDps + stats.rangedDps,
+        healPerTick: sum.healPerTick + stats.healPerTick,
+        hits: sum.hits + stats.hits,
+        effectiveHp: sum.effectiveHp + stats.effectiveHp
+    }), { dps: 0, healPerTick: 0, hits: 0, effectiveHp: 0 });
+}
+
+/**
+ * Tower action power at a given range, following the arena falloff formula
+ * @param {number} power - Power at optimal range (TOWER_POWER_ATTACK or TOWER_POWER_HEAL)
+ * @param {number} range - Distance from the tower
+ * @returns {number} Power of one action
+ */
+export function getTowerPowerAtRange(power, range) {
+    if (range <= TOWER_OPTIMAL_RANGE) return power;
+    if (range >= TOWER_FALLOFF_RANGE) return power * (1 - TOWER_FALLOFF);
+    return power * (1 - TOWER_FALLOFF * (range - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE));
+}
+
+/**
+ * Tower damage at a given range
+ * @param {number} range - Distance from the tower
+ * @returns {number} Damage per shot
+ */
+export function getTowerDamageAtRange(range) {
+    return getTowerPowerAtRange(TOWER_POWER_ATTACK, range);
+}
+
+/**
+ * Get enemy towers with enough energy to fire
+ * @returns {StructureTower[]} Armed enemy towers
+ */
+export function getArmedEnemyTowers() {
+    return getObjectsByPrototype(StructureTower).filter(t =>
+        !t.my && t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST
+    );
+}
+
+/**
+ * Damage per tick from a set of towers at a position
+ * @param {StructureTower[]} towers - Towers that would fire
+ * @param {object} pos - Position {x, y}
+ * @returns {number} Average damage per tick (towers fire once per TOWER_COOLDOWN)
+ */
+export function getTowerDpsAt(towers, pos) {
+    return towers
+        .filter(t => getRange(t, pos) <= TOWER_RANGE)
+        .reduce((sum, t) => sum + getTowerDamageAtRange(getRange(t, pos)) / TOWER_COOLDOWN, 0);
+}
+
+/**
+ * Apply one tick of damage and healing to a simulated side
+ * @param {object[]} units - Simulated units { types, hits, hitsMax }
+ * @param {number} damage - Damage dealt to this side, focused on the weakest unit first
+ * @param {number} healing - Healing available, spent on the most damaged units first
+ */
+export function applySimulatedTick(units, damage, healing) {
+    let remaining = damage;
+    for (const unit of units.filter(u => u.hits > 0).sort((a, b) => a.hits - b.hits)) {
+        if (remaining <= 0) break;
+        const dealt = Math.min(unit.hits, remaining);
+        unit.hits -= dealt;
+        remaining -= dealt;
+    }
+
+    let healLeft = healing;
+    for (const unit of units.filter(u => u.hits > 0).sort((a, b) => (b.hitsMax - b.hits) - (a.hitsMax - a.hits))) {
+        if (healLeft <= 0) break;
+        const healed = Math.min(unit.hitsMax - unit.hits, healLeft);
+        unit.hits += healed;
+        healLeft -= healed;
+    }
+}
+
+/**
+ * Predict a fight with a short tick-by-tick simulation. Every unit is assumed in range of
+ * the other side; parts are lost as hits drop, so damage output falls over the fight.
+ * Tower damage and extra healing (arena heal effects) are per tick, on top of the creeps' own.
+ * @param {Creep[]} ourCreeps - Our side
+ * @param {Creep[]} enemyCreeps - Their side
+ * @param {object} [options] - { ticks, ourTowerDps, enemyTowerDps, ourExtraHealing, enemyExtraHealing }
+ * @returns {object} { ourRemaining, theirRemaining, ticks } remaining hits as fractions of the starting hits
+ */
+export function predictEngagement(ourCreeps, enemyCreeps, options = {}) {
+    const ticks = options.ticks || DEFAULT_ENGAGEMENT_TICKS;
+    const toUnit = c => ({ types: c.body.map(p => p.type), hits: c.hits, hitsMax: c.hitsMax });
+    const ours = ourCreeps.map(toUnit);
+    const theirs = enemyCreeps.map(toUnit);
+
+    const sideOutput = units => {
+        let damage = 0;
+        let healing = 0;
+        for (const unit of units) {
+            const active = getActivePartTypes(unit.types, unit.hits);
+            for (const type of active) {
+                if (type === ATTACK) damage += ATTACK_POWER;
+                if (type === RANGED_ATTACK) damage += RANGED_ATTACK_POWER;
+                if (type === HEAL) healing += HEAL_POWER;
+            }
+        }
+        return { damage, healing };
+    };
+    const totalHits = units => units.reduce((sum, u) => sum + Math.max(0, u.hits), 0);
+    const startOurs = totalHits(ours) || 1;
+    const startTheirs = totalHits(theirs) || 1;
+
+    let tick = 0;
+    for (; tick < ticks && totalHits(ours) > 0 && totalHits(theirs) > 0; tick++) {
+        const ourOutput = sideOutput(ours);
+        const theirOutput = sideOutput(theirs);
+        applySimulatedTick(theirs, ourOutput.damage + (options.ourTowerDps || 0),
+            theirOutput.healing + (options.enemyExtraHealing || 0));
+        applySimulatedTick(ours, theirOutput.damage + (options.enemyTowerDps || 0),
+            ourOutput.healing + (options.ourExtraHealing || 0));
+    }
+
+    return {
+        ourRemaining: totalHits(ours) / startOurs,
+        theirRemaining: totalHits(theirs) / startTheirs,
+        ticks: tick
+    };
+}
+
+export const MELEE_THREAT_RANGE = 2; // Attack range plus one step the enemy can close this tick
+export const RANGED_THREAT_RANGE = 4;
+
+/**
+ * Tiles a threat can reach to hit us next tick
+ * @param {Creep} threat - Armed enemy creep
+ * @returns {number} Threat reach
+ */
+export function getThreatReach(threat) {
+    return threat.body.some(p => p.type === RANGED_ATTACK && p.hits > 0) ? RANGED_THREAT_RANGE : MELEE_THREAT_RANGE;
+}
+
+/**
+ * Armed enemies close enough to hit a creep next tick
+ * @param {Creep} creep - The creep
+ * @returns {Creep[]} Threats in reach
+ */
+export function getThreatsInReach(creep) {
+    return getAllEnemyCreeps().filter(e => hasAttackCapability(e) && creep.getRangeTo(e) <= getThreatReach(e));
+}
@@ -0,0 +1,156 @@
+/**
+ * Core: defense coordinator.
+ * Weighs the armed enemies closing on a defended position (a spawn, a flag) against the creeps
+ * and towers defending it, and recalls the nearest squad while the defense is outmatched.
+ */
+
+import { getRange, findClosestByRange } from 'game/utils';
+import { RESOURCE_ENERGY, TOWER_ENERGY_COST } from 'game/constants';
+import { getAllEnemyCreeps, hasAttackCapability, getTowerDpsAt, predictEngagement } from './combat.mjs';
+import { getLedSquadNames, getSquadLeaderId } from './squads.mjs';
+
+const DEFENSE_DEFAULTS = {
+    DEFENSE_THREAT_RANGE: 40, // Armed enemies this close to the defended position are threats
+    DEFENSE_RECALL_RANGE: Infinity, // Squads are only recalled once a threat gets this close
+    ENGAGEMENT_SIM_TICKS: 30, // Ticks simulated when predicting the defenders' fight
+    ENGAGE_MARGIN: 0.1 // The defenders hold when their predicted remaining HP fraction beats the threats' by this much
+};
+
+const defenseConfig = { ...DEFENSE_DEFAULTS };
+
+const recalledSquads = new Set(); // Squad names pulled back to defend until the threats are cleared
+let defense = { threats: [], outmatched: false, squadsAvailable: false }; // This tick's threat assessment
+
+/**
+ * Configure the defense coordinator
+ * @param {object} config - Overrides for DEFENSE_DEFAULTS keys; other keys are ignored
+ */
+export function configureDefense(config) {
+    for (const key in config) {
+        if (key in DEFENSE_DEFAULTS) {
+            defenseConfig[key] = config[key];
+        }
+    }
+}
+
+/**
+ * Predict whether the defenders and armed towers beat the armed enemies near the defended position
+ * @param {object} position - The defended position
+ * @param {Creep[]} defenders - Creeps defending it
+ * @param {StructureTower[]} myTowers - Friendly towers
+ * @returns {object} { threats, outmatched }
+ */
+function assessThreat(position, defenders, myTowers) {
+    const threats = getAllEnemyCreeps().filter(e =>
+        hasAttackCapability(e) && getRange(e, position) <= defenseConfig.DEFENSE_THREAT_RANGE
+    );
+    if (threats.length === 0) {
+        return { threats, outmatched: false };
+    }
+
+    const armedTowers = myTowers.filter(t => t.store.getUsedCapacity(RESOURCE_ENERGY) >= TOWER_ENERGY_COST);
+    const prediction = predictEngagement(defenders, threats, {
+        ticks: defenseConfig.ENGAGEMENT_SIM_TICKS,
+        ourTowerDps: getTowerDpsAt(armedTowers, position)
+    });
+
+    const outmatched = !(prediction.theirRemaining === 0 ||
+        prediction.ourRemaining - prediction.theirRemaining >= defenseConfig.ENGAGE_MARGIN);
+    return { threats, outmatched };
+}
+
+/**
+ * Find the squad closest to the defended position that may be recalled and has not been yet
+ * @param {object} position - The defended position
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {function} canRecall - (squadName) => false for squads that are never recalled
+ * @returns {string|null} Squad name
+ */
+function findNearestRecallableSquad(position, myCreeps, canRecall) {
+    let nearest = null;
+    let nearestRange = Infinity;
+    for (const squadName of getLedSquadNames()) {
+        if (recalledSquads.has(squadName) || !canRecall(squadName)) continue;
+        const leader = myCreeps.find(c => c.id === getSquadLeaderId(squadName));
+        if (!leader) continue;
+
+        const range = getRange(leader, position);
+        if (range < nearestRange) {
+            nearest = squadName;
+            nearestRange = range;
+        }
+    }
+    return nearest;
+}
+
+/**
+ * Recall the nearest squad each tick the defenders are outmatched by a threat within
+ * DEFENSE_RECALL_RANGE, and release every recalled squad once no threats remain
+ * @param {object|null} position - The defended position; null clears the assessment
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureTower[]} myTowers - Friendly towers
+ * @param {function} isDefender - (creep) => true for creeps defending the position, recalled ones included
+ * @param {function} [canRecall] - (squadName) => false for squads that are never recalled
+ */
+export function updateDefense(position, myCreeps, myTowers, isDefender, canRecall = () => true) {
+    if (!position) {
+        defense = { threats: [], outmatched: false, squadsAvailable: false };
+        return;
+    }
+
+    const { threats, outmatched } = assessThreat(position, myCreeps.filter(isDefender), myTowers);
+    if (threats.length === 0) {
+        recalledSquads.clear();
+        defense = { threats, outmatched, squadsAvailable: false };
+        return;
+    }
+
+    const recallable = findNearestRecallableSquad(position, myCreeps, canRecall);
+    const inRecallRange = threats.some(e => getRange(e, position) <= defenseConfig.DEFENSE_RECALL_RANGE);
+    if (outmatched && recallable && inRecallRange) {
+        recalledSquads.add(recallable);
+    }
+    defense = { threats, outmatched, squadsAvailable: recallable !== null };
+}
+
+/**
+ * Get this tick's threat assessment
+ * @returns {object} { threats, outmatched, squadsAvailable }
+ */
+export function getDefense() {
+    return defense;
+}
+
+/**
+ * Check whether a squad is recalled
+ * @param {string} squadName - The squad
+ * @returns {boolean} True if it is recalled
+ */
+export function isSquadRecalled(squadName) {
+    return recalledSquads.has(squadName);
+}
+
+/**
+ * Forget a recall, e.g. when the squad is disbanded
+ * @param {string} squadName - The squad
+ */
+export function releaseRecalledSquad(squadName) {
+    recalledSquads.delete(squadName);
+}
+
+/**
+ * Get the squads currently recalled
+ * @returns {string[]} Squad names
+ */
+export function getRecalledSquadNames() {
+    return [...recalledSquads];
+}
+
+/**
+ * Pick the threat closest to the defended position
+ * @param {object} position - The defended position
+ * @returns {Creep|null} Enemy creep
+ */
+export function getDefenseTarget(position) {
+    return defense.threats.length > 0 ? findClosestByRange(position, defense.threats) : null;
+}
@@ -0,0 +1,349 @@
+/**
+ * Core: logistics.
+ * Supplies (containers, dropped resources, sources) and the demands a bot declares are matched to
+ * economy creeps as tasks. Every supply is a harvest site with a creep limit: creeps are assigned
+ * only if the resource will still be there when they arrive, and leave early when closer creeps
+ * will empty it. Pickups are limited only by how many creeps a site takes at once. Deliveries
+ * reserve the amount they carry against a demand, so two creeps are never sent to fill the same
+ * free capacity.
+ */
+
+import { getObjectsByPrototype, getObjectById, getRange } from 'game/utils';
+import { Source, Resource, StructureContainer, ConstructionSite } from 'game/prototypes';
+import { WORK, RESOURCE_ENERGY, ERR_NOT_IN_RANGE } from 'game/constants';
+import { getAllEnemyCreeps, hasAttackCapability } from './combat.mjs';
+import { getMovementCosts, cachedMoveTo } from './pathing.mjs';
+import { trackCreepState } from './state.mjs';
+
+const LOGISTICS_DEFAULTS = {
+    CONTAINER_SITE_CAPACITY: 2, // Creeps assigned to one container at once
+    SOURCE_SITE_CAPACITY: 3, // Creeps assigned to one source at once
+    HARVEST_SITE_UNSAFE_RANGE: 6 // Supplies this close to an armed enemy are not assigned
+};
+
+const logisticsConfig = { ...LOGISTICS_DEFAULTS };
+let resourceTypes = [RESOURCE_ENERGY]; // Resources the economy moves; supplies holding none of them are ignored
+let demandTiers = () => []; // (creep, resourceType, context) => demand tiers, highest priority first
+
+const logisticsTasks = {}; // Map economy creep ID to its current task: { type: 'pickup' | 'deliver', targetId, resourceType }
+let harvestSites = {}; // Per-tick status of each supply by ID: { amounts: { resourceType: amount }, assigned: [creepId], unsafe }
+let logisticsReserved = {}; // Amount already promised to each demand by delivery tasks this tick; pickups claim harvest sites instead
+
+trackCreepState([logisticsTasks]);
+
+/**
+ * Configure logistics; every option is optional
+ * @param {object} options - { config, resourceTypes, demandTiers }
+ * @param {object} [options.config] - Overrides for LOGISTICS_DEFAULTS keys; other keys are ignored
+ * @param {string[]} [options.resourceTypes] - Resources the economy moves
+ * @param {function} [options.demandTiers] - (creep, resourceType, context) => arrays of demands,
+ *                                           highest priority first, for a creep carrying resourceType
+ */
+export function configureLogistics(options) {
+    for (const key in options.config || {}) {
+        if (key in LOGISTICS_DEFAULTS) {
+            logisticsConfig[key] = options.config[key];
+        }
+    }
+    if (options.resourceTypes) {
+        resourceTypes = options.resourceTypes;
+    }
+    if (options.demandTiers) {
+        demandTiers = options.demandTiers;
+    }
+}
+
+// ===========================
+// Harvest Sites
+// ===========================
+
+/**
+ * Check whether a creep has an active part of a type
+ * @param {Creep} creep - The creep
+ * @param {string} type - Body part type
+ * @returns {boolean} True if at least one such part has hits
+ */
+function hasActivePart(creep, type) {
+    return creep.body.some(p => p.type === type && p.hits > 0);
+}
+
+/**
+ * Amount of a resource a supply can still give out
+ * @param {object} supply - Container, Resource or Source
+ * @param {string} resourceType - Resource type
+ * @returns {number} Amount available
+ */
+function getSupplyAmount(supply, resourceType) {
+    if (supply instanceof Resource) return supply.resourceType === resourceType ? supply.amount : 0;
+    if (supply instanceof Source) return resourceType === RESOURCE_ENERGY ? supply.energy : 0;
+    return supply.store.getUsedCapacity(resourceType);
+}
+
+/**
+ * Amount of a resource a demand can still take in; demands without a store take any amount
+ * @param {object} demand - A structure, construction site or other transfer target
+ * @param {string} resourceType - Resource type
+ * @returns {number} Amount needed
+ */
+function getDemandAmount(demand, resourceType) {
+    if (demand instanceof ConstructionSite) return demand.progressTotal - demand.progress;
+    return demand.store ? demand.store.getFreeCapacity(resourceType) : Infinity;
+}
+
+/**
+ * List every supply holding a resource the economy moves
+ * @param {string[]} types - Resource types to look for
+ * @returns {object[]} Containers, dropped resources and (for energy) sources
+ */
+function getSupplies(types) {
+    return [
+        ...getObjectsByPrototype(StructureContainer),
+        ...getObjectsByPrototype(Resource).filter(r => types.includes(r.resourceType)),
+        ...(types.includes(RESOURCE_ENERGY) ? getObjectsByPrototype(Source) : [])
+    ];
+}
+
+/**
+ * Maximum creeps assigned to a site at once
+ * @param {object} supply - Container, Resource or Source
+ * @returns {number} Creep limit
+ */
+function getHarvestSiteCapacity(supply) {
+    if (supply instanceof Resource) return 1;
+    if (supply instanceof Source) return logisticsConfig.SOURCE_SITE_CAPACITY;
+    return logisticsConfig.CONTAINER_SITE_CAPACITY;
+}
+
+/**
+ * Predict the amount of a resource a creep will find at a site: what is left after assigned
+ * creeps closer to it fill up, or nothing if the container decays before the creep gets there
+ * @param {object} supply - Container, Resource or Source
+ * @param {Creep} creep - The creep heading there
+ * @param {string} resourceType - Resource type
+ * @returns {number} Predicted amount on arrival
+ */
+function predictSiteAmount(supply, creep, resourceType) {
+    const site = harvestSites[supply.id];
+    if (!site) return 0;
+
+    const range = getRange(creep, supply);
+    const arrivalTicks = range * getMovementCosts(creep).plainCost;
+    if (supply.ticksToDecay !== undefined && supply.ticksToDecay <= arrivalTicks) {
+        return 0;
+    }
+
+    let amount = site.amounts[resourceType] || 0;
+    for (const id of site.assigned) {
+        const other = getObjectById(id);
+        if (other && other !== creep && getRange(other, supply) < range) {
+            amount -= other.store.getFreeCapacity(resourceType);
+        }
+    }
+    return amount;
+}
+
+/**
+ * Pick the first of a creep's resource types it will still find at a site
+ * @param {object} supply - Container, Resource or Source
+ * @param {Creep} creep - The creep looking for resources
+ * @param {string[]} types - Resource types the creep moves
+ * @returns {string|null} Resource type, or null if none of them will be left
+ */
+function getSiteResourceType(supply, creep, types) {
+    return types.find(type => predictSiteAmount(supply, creep, type) > 0) || null;
+}
+
+/**
+ * Check whether a creep may be assigned to a site
+ * @param {object} supply - Container, Resource or Source
+ * @param {Creep} creep - The creep looking for resources
+ * @param {string[]} types - Resource types the creep moves
+ * @returns {boolean} True if the site is safe, below its creep limit and will still hold one of the types
+ */
+function isHarvestSiteOpen(supply, creep, types) {
+    const site = harvestSites[supply.id];
+    if (!site || site.unsafe) return false;
+
+    const others = site.assigned.filter(id => id !== creep.id).length;
+    return others < getHarvestSiteCapacity(supply) && getSiteResourceType(supply, creep, types) !== null;
+}
+
+/**
+ * Record a creep's assignment so creeps deciding later this tick see it
+ * @param {object} supply - The assigned site
+ * @param {Creep} creep - The assigned creep
+ */
+function assignHarvestSite(supply, creep) {
+    const site = harvestSites[supply.id];
+    if (site && !site.assigned.includes(creep.id)) {
+        site.assigned.push(creep.id);
+    }
+}
+
+/**
+ * Describe every site with assigned creeps or enemies nearby, for debugging and replays
+ * @returns {Array[]} [supplyId, assigned creep IDs, 1 if unsafe else 0] per site
+ */
+export function getHarvestSiteSnapshot() {
+    return Object.entries(harvestSites)
+        .filter(([, site]) => site.assigned.length > 0 || site.unsafe)
+        .map(([id, site]) => [id, site.assigned, site.unsafe ? 1 : 0]);
+}
+
+// ===========================
+// Tasks
+// ===========================
+
+/**
+ * Refresh reservations and site status; run once per tick before creeps act
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+export function updateLogistics(myCreeps) {
+    logisticsReserved = {};
+    for (const creep of myCreeps) {
+        const task = logisticsTasks[creep.id];
+        if (task && task.type === 'deliver') {
+            reserveLogistics(task.targetId, creep.store.getUsedCapacity(task.resourceType));
+        }
+    }
+
+    const armedEnemies = getAllEnemyCreeps().filter(hasAttackCapability);
+    harvestSites = {};
+    for (const supply of getSupplies(resourceTypes)) {
+        const amounts = {};
+        for (const type of resourceTypes) {
+            amounts[type] = getSupplyAmount(supply, type);
+        }
+        harvestSites[supply.id] = {
+            amounts,
+            assigned: [],
+            unsafe: armedEnemies.some(e => getRange(e, supply) <= logisticsConfig.HARVEST_SITE_UNSAFE_RANGE)
+        };
+    }
+
+    for (const creep of myCreeps) {
+        const task = logisticsTasks[creep.id];
+        if (task && task.type === 'pickup' && harvestSites[task.targetId]) {
+            harvestSites[task.targetId].assigned.push(creep.id);
+        }
+    }
+}
+
+/**
+ * Adjust the amount reserved against a demand
+ * @param {string} targetId - Demand ID
+ * @param {number} amount - Amount to add (negative to release)
+ */
+function reserveLogistics(targetId, amount) {
+    logisticsReserved[targetId] = (logisticsReserved[targetId] || 0) + amount;
+}
+
+/**
+ * List harvest sites open to a creep
+ * @param {Creep} creep - The creep looking for resources
+ * @param {string[]} types - Resource types the creep moves
+ * @returns {object[]} Supplies the creep may take from
+ */
+function getOpenSupplies(creep, types) {
+    const supplies = getSupplies(types).filter(s => !(s instanceof Source) || hasActivePart(creep, WORK));
+    return supplies.filter(s => isHarvestSiteOpen(s, creep, types));
+}
+
+/**
+ * Check that a task can still be carried out
+ * @param {Creep} creep - The creep
+ * @param {object} task - The task
+ * @returns {object|null} The task's target, or null if the task is finished or stale
+ */
+function getLiveTaskTarget(creep, task) {
+    const target = getObjectById(task.targetId);
+    if (!target || target.exists === false) return null;
+
+    if (task.type === 'pickup') {
+        // Leave early for another site once this one turns unsafe or will be emptied before we arrive
+        const site = harvestSites[target.id];
+        const stillWorthIt = site && !site.unsafe && predictSiteAmount(target, creep, task.resourceType) > 0;
+        return creep.store.getFreeCapacity(task.resourceType) > 0 && stillWorthIt ? target : null;
+    }
+    return creep.store.getUsedCapacity(task.resourceType) > 0 && getDemandAmount(target, task.resourceType) > 0
+        ? target
+        : null;
+}
+
+/**
+ * Give a creep its next task: deliver when carrying a resource and a demand for it is open,
+ * otherwise pick up
+ * @param {Creep} creep - The creep
+ * @param {object} context - Passed through to the demandTiers provider
+ * @param {string[]} types - Resource types the creep moves
+ * @returns {object|null} { task, target }, or null when nothing needs doing
+ */
+function assignLogisticsTask(creep, context, types) {
+    for (const resourceType of types) {
+        const carried = creep.store.getUsedCapacity(resourceType);
+        if (!carried) continue;
+
+        const isOpen = d => getDemandAmount(d, resourceType) - (logisticsReserved[d.id] || 0) > 0;
+        for (const tier of demandTiers(creep, resourceType, context)) {
+            const target = creep.findClosestByPath(tier.filter(isOpen));
+            if (target) {
+                reserveLogistics(target.id, carried);
+                return { task: { type: 'deliver', targetId: target.id, resourceType }, target };
+            }
+        }
+    }
+
+    if (creep.store.getFreeCapacity(types[0]) > 0) {
+        const target = creep.findClosestByPath(getOpenSupplies(creep, types));
+        if (target) {
+            const resourceType = getSiteResourceType(target, creep, types);
+            assignHarvestSite(target, creep);
+            return { task: { type: 'pickup', targetId: target.id, resourceType }, target };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Move resources for an economy creep: keep its current task while it is valid, otherwise assign
+ * a new one, then act on the target or move toward it
+ * @param {Creep} creep - The economy creep
+ * @param {object} context - Passed through to the demandTiers provider
+ * @param {string[]} [types] - Resource types this creep moves, in order of preference
+ */
+export function runLogisticsTask(creep, context, types = [RESOURCE_ENERGY]) {
+    let task = logisticsTasks[creep.id];
+    let target = task ? getLiveTaskTarget(creep, task) : null;
+
+    if (!target) {
+        if (task && task.type === 'deliver') {
+            reserveLogistics(task.targetId, -creep.store.getUsedCapacity(task.resourceType));
+        }
+        delete logisticsTasks[creep.id];
+
+        const assignment = assignLogisticsTask(creep, context, types);
+        if (!assignment) return;
+        ({ task, target } = assignment);
+        logisticsTasks[creep.id] = task;
+    }
+
+    let result;
+    if (task.type === 'pickup') {
+        if (target instanceof Resource) {
+            result = creep.pickup(target);
+        } else if (target instanceof Source) {
+            result = creep.harvest(target);
+        } else {
+            result = creep.withdraw(target, task.resourceType);
+        }
+    } else if (target instanceof ConstructionSite) {
+        result = creep.build(target);
+    } else {
+        result = creep.transfer(target, task.resourceType);
+    }
+
+    if (result === ERR_NOT_IN_RANGE) {
+        cachedMoveTo(creep, target);
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Core: map primitives shared by pathing, traffic and base planning.
+ */
+
+import { getObjectsByPrototype, getTerrainAt } from 'game/utils';
+import { StructureSpawn, StructureExtension, StructureTower, StructureWall, StructureRampart } from 'game/prototypes';
+import { CostMatrix } from 'game/path-finder';
+import { TERRAIN_WALL, TERRAIN_SWAMP } from 'game/constants';
+
+export const MAP_SIZE = 100;
+
+/**
+ * Get every structure creeps cannot walk through
+ * @returns {Structure[]} Impassable structures
+ */
+export function getObstacleStructures() {
+    return [
+        ...getObjectsByPrototype(StructureWall),
+        ...getObjectsByPrototype(StructureSpawn),
+        ...getObjectsByPrototype(StructureExtension),
+        ...getObjectsByPrototype(StructureTower),
+        ...getObjectsByPrototype(StructureRampart).filter(r => !r.my)
+    ];
+}
+
+/**
+ * Build a cost matrix with impassable structures marked, for use with searchPath
+ * @returns {CostMatrix} The cost matrix
+ */
+export function buildObstacleCostMatrix() {
+    const matrix = new CostMatrix();
+    for (const obstacle of getObstacleStructures()) {
+        matrix.set(obstacle.x, obstacle.y, 255);
+    }
+    return matrix;
+}
+
+/**
+ * Add a penalty to every walkable tile within range of a position
+ * @param {CostMatrix} matrix - The cost matrix to modify
+ * @param {object} pos - Center position {x, y}
+ * @param {number} radius - Penalty radius
+ * @param {number} penalty - Cost added on top of the terrain cost
+ */
+export function penalizeArea(matrix, pos, radius, penalty) {
+    for (let x = Math.max(0, pos.x - radius); x <= Math.min(MAP_SIZE - 1, pos.x + radius); x++) {
+        for (let y = Math.max(0, pos.y - radius); y <= Math.min(MAP_SIZE - 1, pos.y + radius); y++) {
+            const current = matrix.get(x, y);
+            if (current === 255) continue;
+
+            const terrain = getTerrainAt({ x, y });
+            if (terrain === TERRAIN_WALL) continue;
+
+            // A non-zero matrix value replaces the terrain cost, so start from the terrain cost
+            const baseCost = current || (terrain === TERRAIN_SWAMP ? 10 : 2);
+            matrix.set(x, y, Math.min(254, baseCost + penalty));
+        }
+    }
+}
@@ -0,0 +1,541 @@
+/**
+ * Core: pathing service.
+ * Danger-aware cost matrices per role cost profile, shared flow fields for busy destinations,
+ * cached per-creep paths and flee steps. Moves are submitted to the traffic manager, not issued.
+ */
+
+import { getObjectsByPrototype, getTicks, findPath, getTerrainAt, getRange } from 'game/utils';
+import { Creep, StructureSpawn, StructureContainer, StructureRoad } from 'game/prototypes';
+import { searchPath } from 'game/path-finder';
+import { MOVE, ATTACK, RANGED_ATTACK, ATTACK_POWER, RANGED_ATTACK_POWER, TERRAIN_WALL, TERRAIN_SWAMP } from 'game/constants';
+import { MAP_SIZE, getObstacleStructures, buildObstacleCostMatrix } from './map.mjs';
+import { requestMove } from './traffic.mjs';
+import { getCreepRole } from './roles.mjs';
+import { getAllEnemyCreeps, getArmedEnemyTowers, getTowerDamageAtRange, getCombatStats, getThreatReach,
+    MELEE_THREAT_RANGE, RANGED_THREAT_RANGE } from './combat.mjs';
+import { trackCreepState } from './state.mjs';
+
+const PATHING_DEFAULTS = {
+    PATH_REFRESH_INTERVAL: 3, // Recalculate path every 3 ticks
+    OFFPATH_DETECTION_THRESHOLD: 2, // Max tiles away from expected path position
+    MAX_FLOW_FIELDS: 16, // Least recently used flow fields are dropped beyond this count
+    FLEE_DPS_PER_TILE: 20, // Fleeing creeps keep one extra tile from a threat per this much threat DPS...
+    FLEE_MAX_EXTRA_RANGE: 6, // ...up to this many tiles beyond its reach
+    FLEE_MAX_OPS: 500 // searchPath operation limit for a flee step
+};
+
+const MAX_DANGER_COST = 200; // Danger never makes a tile impassable
+
+const pathingConfig = { ...PATHING_DEFAULTS };
+let costProfiles = {}; // Role name -> { dangerCostPerDamage }
+let defaultCostProfile = { dangerCostPerDamage: 0.05 }; // Profile for roles without one
+let flowFieldTargetTypes = [StructureSpawn, StructureContainer]; // Destinations that share flow fields
+let dangerZones = () => []; // Extra fixed threat zones, such as arena area effects: () => [{ pos, radius, damage }]
+
+const creepPaths = {}; // Cache paths: { creepId: { target: targetId, tick: lastCalculatedTick } }
+let pathCostCache = null; // Per-tick danger grids and cost matrices: { tick, fixedDanger, creepDanger, matrices: { key: CostMatrix } }
+let flowFields = {}; // Flow fields by destination and cost profile: { key: { distances, costs, lastUsed } }
+let flowFieldSignature = null; // Obstacle layout the current flow fields were built for
+
+trackCreepState([creepPaths]);
+
+/**
+ * Configure the pathing service; every option is optional.
+ * dangerCostPerDamage converts expected damage per tick on a tile into extra path cost.
+ * @param {object} options - { config, costProfiles, defaultCostProfile, flowFieldTargets, dangerZones }
+ * @param {object} [options.config] - Overrides for PATHING_DEFAULTS keys; other keys are ignored
+ * @param {object} [options.costProfiles] - Role name -> { dangerCostPerDamage }
+ * @param {object} [options.defaultCostProfile] - Cost profile for roles without one
+ * @param {function[]} [options.flowFieldTargets] - Prototypes of destinations that share flow fields
+ * @param {function} [options.dangerZones] - () => [{ pos, radius, damage }] zones that do not move
+ *                                           between ticks, costed like tower fire and baked into flow fields
+ */
+export function configurePathing(options) {
+    for (const key in options.config || {}) {
+        if (key in PATHING_DEFAULTS) {
+            pathingConfig[key] = options.config[key];
+        }
+    }
+    if (options.costProfiles) {
+        costProfiles = options.costProfiles;
+    }
+    if (options.defaultCostProfile) {
+        defaultCostProfile = options.defaultCostProfile;
+    }
+    if (options.flowFieldTargets) {
+        flowFieldTargetTypes = options.flowFieldTargets;
+        flowFields = {};
+    }
+    if (options.dangerZones) {
+        dangerZones = options.dangerZones;
+        flowFields = {};
+    }
+}
+
+/**
+ * Add damage to every tile within range of a position
+ * @param {Float32Array} danger - Danger grid
+ * @param {object} pos - Center position {x, y}
+ * @param {number} radius - Threat radius
+ * @param {number} damage - Damage per tick added to each tile
+ */
+function addThreatZone(danger, pos, radius, damage) {
+    for (let y = Math.max(0, pos.y - radius); y <= Math.min(MAP_SIZE - 1, pos.y + radius); y++) {
+        for (let x = Math.max(0, pos.x - radius); x <= Math.min(MAP_SIZE - 1, pos.x + radius); x++) {
+            danger[y * MAP_SIZE + x] += damage;
+        }
+    }
+}
+
+/**
+ * Build the expected damage per tick on every tile from sources that stay put: enemy towers
+ * and the configured danger zones
+ * @returns {Float32Array} Danger grid indexed by y * MAP_SIZE + x
+ */
+function buildFixedDangerGrid() {
+    const danger = new Float32Array(MAP_SIZE * MAP_SIZE);
+    for (const tower of getArmedEnemyTowers()) {
+        for (let y = 0; y < MAP_SIZE; y++) {
+            for (let x = 0; x < MAP_SIZE; x++) {
+                danger[y * MAP_SIZE + x] += getTowerDamageAtRange(getRange(tower, { x, y }));
+            }
+        }
+    }
+    for (const zone of dangerZones()) {
+        addThreatZone(danger, zone.pos, zone.radius, zone.damage);
+    }
+    return danger;
+}
+
+/**
+ * Build the expected damage per tick on every tile from enemy creep melee and ranged threat zones
+ * @returns {Float32Array} Danger grid indexed by y * MAP_SIZE + x
+ */
+function buildCreepDangerGrid() {
+    const danger = new Float32Array(MAP_SIZE * MAP_SIZE);
+    for (const enemy of getAllEnemyCreeps()) {
+        const attackParts = enemy.body.filter(p => p.type === ATTACK && p.hits > 0).length;
+        const rangedParts = enemy.body.filter(p => p.type === RANGED_ATTACK && p.hits > 0).length;
+        if (attackParts > 0) {
+            addThreatZone(danger, enemy, MELEE_THREAT_RANGE, attackParts * ATTACK_POWER);
+        }
+        if (rangedParts > 0) {
+            addThreatZone(danger, enemy, RANGED_THREAT_RANGE, rangedParts * RANGED_ATTACK_POWER);
+        }
+    }
+
+    return danger;
+}
+
+/**
+ * Get this tick's path cost cache, rebuilding it on a new tick
+ * @returns {object} { tick, fixedDanger, creepDanger, matrices }
+ */
+function getPathCostCache() {
+    const tick = getTicks();
+    if (!pathCostCache || pathCostCache.tick !== tick) {
+        pathCostCache = {
+            tick,
+            fixedDanger: buildFixedDangerGrid(),
+            creepDanger: buildCreepDangerGrid(),
+            roads: buildRoadGrid(),
+            matrices: {}
+        };
+    }
+    return pathCostCache;
+}
+
+/**
+ * Mark tiles holding a road
+ * @returns {Uint8Array} 1 per road tile, by y * MAP_SIZE + x
+ */
+function buildRoadGrid() {
+    const grid = new Uint8Array(MAP_SIZE * MAP_SIZE);
+    for (const road of getObjectsByPrototype(StructureRoad)) {
+        grid[road.y * MAP_SIZE + road.x] = 1;
+    }
+    return grid;
+}
+
+/**
+ * Road tile cost for a creep: roads halve plain fatigue
+ * @param {number} plainCost - Cost of a plain tile for this creep
+ * @returns {number} Cost of a road tile
+ */
+export function getRoadCost(plainCost) {
+    return Math.max(1, Math.ceil(plainCost / 2));
+}
+
+/**
+ * Terrain costs for a creep based on its MOVE ratio: ticks per tile on plain and swamp when loaded
+ * @param {Creep} creep - The creep
+ * @returns {object} { plainCost, swampCost }
+ */
+export function getMovementCosts(creep) {
+    const moveParts = creep.body.filter(p => p.type === MOVE && p.hits > 0).length;
+    const otherParts = creep.body.filter(p => p.type !== MOVE).length;
+    if (moveParts === 0) {
+        return { plainCost: 2, swampCost: 10 };
+    }
+    return {
+        plainCost: Math.max(1, Math.ceil(otherParts / moveParts)),
+        swampCost: Math.max(1, Math.ceil(otherParts * 5 / moveParts))
+    };
+}
+
+/**
+ * Get the shared cost matrix for a role profile and terrain costs: obstacles plus danger costs
+ * @param {string} role - Role name
+ * @param {number} plainCost - Cost of a plain tile for this creep
+ * @param {number} swampCost - Cost of a swamp tile for this creep
+ * @returns {CostMatrix} Cost matrix (shared; clone before modifying)
+ */
+function getRoleCostMatrix(role, plainCost, swampCost) {
+    const cache = getPathCostCache();
+    const key = `${role}:${plainCost}:${swampCost}`;
+    if (cache.matrices[key]) {
+        return cache.matrices[key];
+    }
+
+    const profile = costProfiles[role] || defaultCostProfile;
+    const matrix = buildObstacleCostMatrix();
+    for (let y = 0; y < MAP_SIZE; y++) {
+        for (let x = 0; x < MAP_SIZE; x++) {
+            const index = y * MAP_SIZE + x;
+            const damage = cache.fixedDanger[index] + cache.creepDanger[index];
+            const onRoad = cache.roads[index] === 1;
+            if ((damage <= 0 && !onRoad) || matrix.get(x, y) === 255) continue;
+
+            const terrain = getTerrainAt({ x, y });
+            if (terrain === TERRAIN_WALL) continue;
+
+            // A non-zero matrix value replaces the terrain cost, so include the terrain cost
+            const terrainCost = onRoad ? getRoadCost(plainCost) : terrain === TERRAIN_SWAMP ? swampCost : plainCost;
+            const dangerCost = Math.min(MAX_DANGER_COST, Math.round(damage * profile.dangerCostPerDamage));
+            if (dangerCost > 0 || onRoad) {
+                matrix.set(x, y, Math.min(254, terrainCost + dangerCost));
+            }
+        }
+    }
+
+    cache.matrices[key] = matrix;
+    return matrix;
+}
+
+/**
+ * Build findPath options for a creep: role cost matrix, MOVE-ratio terrain costs and creep obstacles.
+ * A cost matrix disables findPath's own obstacle handling, so creeps are marked here unless
+ * opts.ignoreCreeps is set. A creep standing on the target tile does not block it; an
+ * impassable structure there keeps it blocked.
+ * @param {Creep} creep - The moving creep
+ * @param {object} target - The target object or position
+ * @param {object} opts - Caller options (ignoreCreeps)
+ * @returns {object} findPath options
+ */
+export function getPathOptions(creep, target, opts = {}) {
+    const { plainCost, swampCost } = getMovementCosts(creep);
+    const roleMatrix = getRoleCostMatrix(getCreepRole(creep), plainCost, swampCost);
+    const costMatrix = roleMatrix.clone();
+
+    if (!opts.ignoreCreeps) {
+        for (const other of getObjectsByPrototype(Creep)) {
+            if (other.id !== creep.id) {
+                costMatrix.set(other.x, other.y, 255);
+            }
+        }
+    }
+    costMatrix.set(target.x, target.y, roleMatrix.get(target.x, target.y));
+
+    return { ...opts, costMatrix, plainCost, swampCost };
+}
+
+/**
+ * Whether a target is busy enough to share a flow field instead of per-creep paths
+ * @param {object} target - The movement target
+ * @returns {boolean} True for spawns and containers
+ */
+function isFlowFieldTarget(target) {
+    return flowFieldTargetTypes.some(type => target instanceof type);
+}
+
+/**
+ * Identify the current obstacle layout; flow fields are rebuilt whenever it changes
+ * @returns {string} Signature of impassable structures, armed enemy towers, roads and danger zones
+ */
+function getObstacleSignature() {
+    const obstacleIds = getObstacleStructures().map(o => o.id).join(',');
+    const towerIds = getArmedEnemyTowers().map(t => t.id).join(',');
+    const roadCount = getObjectsByPrototype(StructureRoad).length;
+    const zones = dangerZones().map(z => `${z.pos.x},${z.pos.y},${z.radius},${z.damage}`).join(';');
+    return `${obstacleIds}|${towerIds}|${roadCount}|${zones}`;
+}
+
+/**
+ * Compute a flow field: the cheapest cost from every tile to a destination (Dijkstra)
+ * @param {object} destination - Destination position {x, y}
+ * @param {Uint8Array} costs - Cost to enter each tile; 255 is impassable
+ * @returns {Float64Array} Distance to the destination per tile, Infinity where unreachable
+ */
+function computeFlowField(destination, costs) {
+    const distances = new Float64Array(MAP_SIZE * MAP_SIZE).fill(Infinity);
+    const destinationIndex = destination.y * MAP_SIZE + destination.x;
+    distances[destinationIndex] = 0;
+
+    // Binary min-heap of [distance, tile index]
+    const heap = [[0, destinationIndex]];
+    const push = entry => {
+        heap.push(entry);
+        let i = heap.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (heap[parent][0] <= heap[i][0]) break;
+            [heap[parent], heap[i]] = [heap[i], heap[parent]];
+            i = parent;
+        }
+    };
+    const pop = () => {
+        const top = heap[0];
+        const last = heap.pop();
+        if (heap.length > 0) {
+            heap[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < heap.length && heap[left][0] < heap[smallest][0]) smallest = left;
+                if (right < heap.length && heap[right][0] < heap[smallest][0]) smallest = right;
+                if (smallest === i) break;
+                [heap[smallest], heap[i]] = [heap[i], heap[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    };
+
+    while (heap.length > 0) {
+        const [distance, index] = pop();
+        if (distance > distances[index]) continue;
+
+        // Moving from a neighbor onto this tile costs this tile's cost (the destination is always enterable)
+        const enterCost = index === destinationIndex ? 1 : costs[index];
+        const x = index % MAP_SIZE;
+        const y = (index - x) / MAP_SIZE;
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if ((!dx && !dy) || nx < 0 || ny < 0 || nx >= MAP_SIZE || ny >= MAP_SIZE) continue;
+
+                const neighbor = ny * MAP_SIZE + nx;
+                if (costs[neighbor] === 255) continue;
+
+                const candidate = distance + enterCost;
+                if (candidate < distances[neighbor]) {
+                    distances[neighbor] = candidate;
+                    push([candidate, neighbor]);
+                }
+            }
+        }
+    }
+
+    return distances;
+}
+
+/**
+ * Get (building if needed) the flow field to a destination for a cost profile.
+ * Flow fields use terrain, structures and fixed danger only; enemy creeps move too often to bake in.
+ * @param {object} destination - Destination position {x, y}
+ * @param {string} role - Role name
+ * @param {number} plainCost - Cost of a plain tile for this creep
+ * @param {number} swampCost - Cost of a swamp tile for this creep
+ * @returns {object} Flow field { distances, costs, lastUsed }
+ */
+function getFlowField(destination, role, plainCost, swampCost) {
+    const signature = getObstacleSignature();
+    if (signature !== flowFieldSignature) {
+        flowFields = {};
+        flowFieldSignature = signature;
+    }
+
+    const key = `${destination.x},${destination.y}:${role}:${plainCost}:${swampCost}`;
+    if (!flowFields[key]) {
+        const profile = costProfiles[role] || defaultCostProfile;
+        const { fixedDanger, roads } = getPathCostCache();
+        const obstacles = buildObstacleCostMatrix();
+        const costs = new Uint8Array(MAP_SIZE * MAP_SIZE);
+        for (let y = 0; y < MAP_SIZE; y++) {
+            for (let x = 0; x < MAP_SIZE; x++) {
+                const terrain = getTerrainAt({ x, y });
+                const index = y * MAP_SIZE + x;
+                if (terrain === TERRAIN_WALL || obstacles.get(x, y) === 255) {
+                    costs[index] = 255;
+                    continue;
+                }
+                const terrainCost = roads[index] ? getRoadCost(plainCost) : terrain === TERRAIN_SWAMP ? swampCost : plainCost;
+                const dangerCost = Math.min(MAX_DANGER_COST, Math.round(fixedDanger[index] * profile.dangerCostPerDamage));
+                costs[index] = Math.min(254, terrainCost + dangerCost);
+            }
+        }
+
+        flowFields[key] = { distances: computeFlowField(destination, costs), costs, lastUsed: 0 };
+
+        // Drop the least recently used fields beyond the limit, never the one just built
+        const keys = Object.keys(flowFields).filter(k => k !== key);
+        if (keys.length >= pathingConfig.MAX_FLOW_FIELDS) {
+            keys.sort((a, b) => flowFields[a].lastUsed - flowFields[b].lastUsed);
+            for (const staleKey of keys.slice(0, keys.length + 1 - pathingConfig.MAX_FLOW_FIELDS)) {
+                delete flowFields[staleKey];
+            }
+        }
+    }
+
+    flowFields[key].lastUsed = getTicks();
+    return flowFields[key];
+}
+
+/**
+ * Read a creep's next step toward a flow field destination
+ * @param {Creep} creep - The moving creep
+ * @param {object} target - Flow field destination
+ * @returns {object|null} Next tile {x, y} (the creep's own tile once it has arrived), or null
+ *                        when the flow field cannot guide this creep and findPath should be used
+ */
+function getFlowFieldStep(creep, target) {
+    // Flow fields ignore enemy creeps, so creeps inside a threat zone path individually
+    const cache = getPathCostCache();
+    if (cache.creepDanger[creep.y * MAP_SIZE + creep.x] > 0) {
+        return null;
+    }
+
+    const { plainCost, swampCost } = getMovementCosts(creep);
+    const field = getFlowField(target, getCreepRole(creep), plainCost, swampCost);
+    const currentDistance = field.distances[creep.y * MAP_SIZE + creep.x];
+    if (currentDistance === Infinity) {
+        return null;
+    }
+
+    let best = null;
+    let bestDistance = currentDistance;
+    for (let dx = -1; dx <= 1; dx++) {
+        for (let dy = -1; dy <= 1; dy++) {
+            const x = creep.x + dx;
+            const y = creep.y + dy;
+            if ((!dx && !dy) || x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) continue;
+
+            const index = y * MAP_SIZE + x;
+            if (field.costs[index] === 255) continue;
+
+            const distance = field.distances[index] + field.costs[index];
+            if (distance < bestDistance || (distance === bestDistance && !best)) {
+                best = { x, y };
+                bestDistance = distance;
+            }
+        }
+    }
+
+    // Enemy creeps never make way like ours do, so a creep they block paths around them individually
+    if (best && getAllEnemyCreeps().some(e => e.x === best.x && e.y === best.y)) {
+        return null;
+    }
+    return best || { x: creep.x, y: creep.y };
+}
+
+/**
+ * Move creep to target with path caching to avoid constant rerouting
+ * @param {Creep} creep - The creep to move
+ * @param {object} target - The target object or position
+ * @param {object} opts - Optional pathfinding options (e.g., { ignoreCreeps: true })
+ */
+export function cachedMoveTo(creep, target, opts = {}) {
+    // Busy destinations share one flow field instead of per-creep paths
+    if (isFlowFieldTarget(target)) {
+        const step = getFlowFieldStep(creep, target);
+        if (step) {
+            if (step.x !== creep.x || step.y !== creep.y) {
+                requestMove(creep, step, opts.priority);
+            }
+            return;
+        }
+    }
+
+    const tick = getTicks();
+    const targetId = target.id || `${target.x},${target.y}`;
+    const pathCache = creepPaths[creep.id];
+
+    // Check if creep is significantly off-path
+    let isSignificantlyOffPath = false;
+    if (pathCache && pathCache.pathIndex > 0 && pathCache.pathIndex < pathCache.path.length) {
+        const expectedPos = pathCache.path[pathCache.pathIndex - 1];
+        const distance = Math.max(Math.abs(creep.x - expectedPos.x), Math.abs(creep.y - expectedPos.y));
+        isSignificantlyOffPath = distance > pathingConfig.OFFPATH_DETECTION_THRESHOLD;
+    }
+
+    // Check if we need to recalculate path
+    const needsNewPath = !pathCache ||
+                         pathCache.target !== targetId ||
+                         tick - pathCache.tick >= pathingConfig.PATH_REFRESH_INTERVAL ||
+                         pathCache.pathIndex >= pathCache.path.length ||
+                         isSignificantlyOffPath;
+
+    if (needsNewPath) {
+        // Calculate new path with terrain and danger costs for this creep's role
+        const path = findPath(creep, target, getPathOptions(creep, target, opts));
+
+        if (!path || path.length === 0) {
+            return; // No valid path found
+        }
+
+        creepPaths[creep.id] = {
+            target: targetId,
+            tick: tick,
+            path: path,
+            pathIndex: 0
+        };
+    }
+
+    // Follow cached path
+    const cache = creepPaths[creep.id];
+    if (cache.path && cache.pathIndex < cache.path.length) {
+        const nextStep = cache.path[cache.pathIndex];
+        requestMove(creep, nextStep, opts.priority);
+
+        // Only increment path index if creep has reached the current step
+        if (creep.x === nextStep.x && creep.y === nextStep.y) {
+            cache.pathIndex++;
+        }
+    }
+}
+
+/**
+ * Request the first step of a flee path away from a set of goals
+ * @param {Creep} creep - The fleeing creep
+ * @param {object[]} goals - searchPath goals { pos, range } to get out of range of
+ * @returns {boolean} True if a step was requested; false when already clear (or cornered)
+ */
+export function requestFleeStep(creep, goals) {
+    const result = searchPath(creep, goals, { ...getPathOptions(creep, creep), flee: true, maxOps: pathingConfig.FLEE_MAX_OPS });
+    if (result.path.length === 0) {
+        return false;
+    }
+    requestMove(creep, result.path[0]);
+    return true;
+}
+
+/**
+ * Flee from threats: stronger threats are given a wider berth, by threat DPS beyond their reach
+ * @param {Creep} creep - The fleeing creep
+ * @param {Creep[]} threats - Armed enemy creeps to get away from
+ * @returns {boolean} True if a step was requested; false once the creep is clear of every threat
+ */
+export function fleeFromThreats(creep, threats) {
+    const goals = threats.map(threat => {
+        const stats = getCombatStats(threat);
+        const extra = Math.min(
+            pathingConfig.FLEE_MAX_EXTRA_RANGE,
+            Math.ceil((stats.meleeDps + stats.rangedDps) / pathingConfig.FLEE_DPS_PER_TILE)
+        );
+        return { pos: threat, range: getThreatReach(threat) + extra };
+    });
+    return requestFleeStep(creep, goals);
+}
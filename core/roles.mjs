@@ -0,0 +1,101 @@
+/**
+ * Core: role registry.
+ * An arena bot declares its roles once with configureRoles: a registry mapping each role to
+ * the group categorizeCreeps counts it in and the behavior runCreepRole runs, plus a fallback
+ * that guesses the role of creeps spawned before the bot started recording.
+ */
+
+import { trackCreepState } from './state.mjs';
+
+let roleRegistry = {}; // Role name -> { group, run(creep, context) }
+let inferRole = () => undefined; // Fallback role for creeps with no recorded role
+const creepRoles = {}; // Map creep ID to role name, recorded when spawnCreep is called
+
+trackCreepState([creepRoles]);
+
+/**
+ * Declare the arena's roles
+ * @param {object} options - { registry, inferRole }
+ * @param {object} options.registry - Role name -> { group, run(creep, context) }
+ * @param {function} [options.inferRole] - (creep) => role name, for creeps with no recorded role
+ */
+export function configureRoles(options) {
+    roleRegistry = options.registry;
+    if (options.inferRole) {
+        inferRole = options.inferRole;
+    }
+}
+
+/**
+ * Record a creep's role, for creeps the arena hands us rather than spawnCreepWithRole
+ * @param {Creep} creep - The creep
+ * @param {string} role - Role name
+ */
+export function setCreepRole(creep, role) {
+    creepRoles[creep.id] = role;
+}
+
+/**
+ * Categorize creeps into groups using their registered roles
+ * @param {Creep[]} myCreeps - Array of friendly creeps
+ * @returns {object} One array per group the registry declares, keyed by group name
+ */
+export function categorizeCreeps(myCreeps) {
+    const groups = {};
+    for (const role in roleRegistry) {
+        groups[roleRegistry[role].group] = [];
+    }
+
+    for (const creep of myCreeps) {
+        const definition = roleRegistry[getCreepRole(creep)];
+        if (definition) {
+            groups[definition.group].push(creep);
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Spawn a creep and record its role against the new creep's id
+ * @param {StructureSpawn} spawn - The spawn to use
+ * @param {string[]} body - Body part array
+ * @param {string} role - Role name
+ * @returns {object} The spawnCreep result
+ */
+export function spawnCreepWithRole(spawn, body, role) {
+    const result = spawn.spawnCreep(body);
+    if (result && result.object) {
+        creepRoles[result.object.id] = role;
+    }
+    return result;
+}
+
+/**
+ * Get the role of a friendly creep
+ * @param {Creep} creep - The creep
+ * @returns {string} The recorded role, or one inferred from its body
+ */
+export function getCreepRole(creep) {
+    return creepRoles[creep.id] || inferRole(creep);
+}
+
+/**
+ * Get every recorded role, for debugging and replays
+ * @returns {object} Map of creep ID to role name
+ */
+export function getRecordedRoles() {
+    return creepRoles;
+}
+
+/**
+ * Run the behavior registered for a creep's role
+ * @param {Creep} creep - The creep to run
+ * @param {object} context - Shared tick context passed to the behavior
+ */
+export function runCreepRole(creep, context) {
+    const definition = roleRegistry[getCreepRole(creep)];
+    if (definition) {
+        definition.run(creep, context);
+    }
+}
@@ -0,0 +1,317 @@
+/**
+ * Core: squad bookkeeping.
+ * A squad is a name shared by its members, one leader, a designated enemy target and a
+ * stance chosen by the leader. Which creeps form a squad and how they fight is up to the bot.
+ */
+
+import { getTicks } from 'game/utils';
+import { getCreepRole } from './roles.mjs';
+import { trackCreepState } from './state.mjs';
+
+export const STANCES = {
+    ENGAGE: 'engage',
+    HOLD: 'hold',
+    RETREAT: 'retreat'
+};
+
+// NATO alphabet for squad naming
+export const NATO_ALPHABET = [
+    "Alpha", "Bravo", "Charlie", "Delta", "Echo", "Foxtrot", "Golf", "Hotel",
+    "India", "Juliet", "Kilo", "Lima", "Mike", "November", "Oscar", "Papa",
+    "Quebec", "Romeo", "Sierra", "Tango", "Uniform", "Victor", "Whiskey", "Xray", "Yankee", "Zulu"
+];
+
+const SQUAD_DEFAULTS = {
+    SQUAD_RETREAT_HP_RATIO: 0.5, // A whole squad below this fraction of its max hits falls back...
+    SQUAD_REJOIN_HP_RATIO: 0.8, // ...and advances again once healed back above this fraction
+    ENGAGE_MARGIN: 0.1, // Engage when our predicted remaining HP fraction beats theirs by this much
+    RETREAT_MARGIN: 0.25, // Retreat when theirs beats ours by this much
+    STANCE_COMMIT_TICKS: 10 // A committed stance is kept at least this long, so threats at the edge of range do not flip it
+};
+
+const squadConfig = { ...SQUAD_DEFAULTS };
+let leaderRoles = []; // Roles that may lead a squad, in order of preference
+
+const squadAssignments = {}; // Map creep ID to squad name (e.g., "Alpha", "Bravo", "Charlie")
+const squadLeaders = {}; // Map squad name to leader creep ID
+const squadTargets = {}; // Map squad name to designated target enemy ID
+const squadStances = {}; // Map squad name to engagement stance chosen by its leader
+const stanceChanges = {}; // Map squad name to the tick its committed stance last changed
+
+trackCreepState([squadAssignments]);
+
+/**
+ * Configure squads; every option is optional
+ * @param {object} options - { config, leaderRoles }
+ * @param {object} [options.config] - Overrides for SQUAD_DEFAULTS keys; other keys are ignored
+ * @param {string[]} [options.leaderRoles] - Roles chooseSquadLeader picks from, most preferred first
+ */
+export function configureSquads(options) {
+    for (const key in options.config || {}) {
+        if (key in SQUAD_DEFAULTS) {
+            squadConfig[key] = options.config[key];
+        }
+    }
+    if (options.leaderRoles) {
+        leaderRoles = options.leaderRoles;
+    }
+}
+
+/**
+ * Put a creep in a squad
+ * @param {Creep} creep - The creep
+ * @param {string} squadName - The squad
+ */
+export function assignToSquad(creep, squadName) {
+    squadAssignments[creep.id] = squadName;
+}
+
+/**
+ * Get the squad a creep belongs to
+ * @param {Creep} creep - The creep
+ * @returns {string|undefined} Squad name
+ */
+export function getSquadName(creep) {
+    return squadAssignments[creep.id];
+}
+
+/**
+ * Get every squad that currently has a leader
+ * @returns {string[]} Squad names
+ */
+export function getLedSquadNames() {
+    return Object.keys(squadLeaders);
+}
+
+/**
+ * Make a creep its squad's leader
+ * @param {string} squadName - The squad
+ * @param {Creep} creep - The new leader
+ */
+export function setSquadLeader(squadName, creep) {
+    squadLeaders[squadName] = creep.id;
+}
+
+/**
+ * Get the leader ID of a squad
+ * @param {string} squadName - The squad
+ * @returns {string|undefined} Leader creep ID
+ */
+export function getSquadLeaderId(squadName) {
+    return squadLeaders[squadName];
+}
+
+/**
+ * Get all squad members for a given creep
+ * @param {Creep} creep - The creep whose squad to find
+ * @param {Creep[]} allCreeps - All friendly creeps
+ * @param {function} [filter] - Only return members passing this predicate
+ * @returns {Creep[]} Array of squad member creeps, excluding the creep itself
+ */
+export function getSquadMembers(creep, allCreeps, filter = null) {
+    const squad = squadAssignments[creep.id];
+    if (!squad) {
+        return [];
+    }
+
+    return allCreeps.filter(c =>
+        c.id !== creep.id &&
+        squadAssignments[c.id] === squad &&
+        (!filter || filter(c))
+    );
+}
+
+/**
+ * Get the squad leader for a given creep
+ * @param {Creep} creep - The creep whose squad leader to find
+ * @param {Creep[]} allCreeps - All friendly creeps
+ * @returns {Creep|null} Squad leader creep or null if not found
+ */
+export function getSquadLeader(creep, allCreeps) {
+    const squad = squadAssignments[creep.id];
+    if (!squad || !squadLeaders[squad]) {
+        return null;
+    }
+
+    const leaderId = squadLeaders[squad];
+    return allCreeps.find(c => c.id === leaderId) || null;
+}
+
+/**
+ * Check if a creep is the leader of their squad
+ * @param {Creep} creep - The creep to check
+ * @returns {boolean} True if creep is squad leader
+ */
+export function isSquadLeader(creep) {
+    const squad = squadAssignments[creep.id];
+    return squad && squadLeaders[squad] === creep.id;
+}
+
+/**
+ * Get the designated target for a squad
+ * @param {Creep} creep - The creep whose squad target to find
+ * @param {Creep[]} allEnemyCreeps - All enemy creeps
+ * @returns {Creep|null} Designated target creep or null if not found
+ */
+export function getSquadTarget(creep, allEnemyCreeps) {
+    const squad = squadAssignments[creep.id];
+    if (!squad || !squadTargets[squad]) {
+        return null;
+    }
+
+    const targetId = squadTargets[squad];
+    return allEnemyCreeps.find(e => e.id === targetId) || null;
+}
+
+/**
+ * Set the designated target for a squad
+ * @param {Creep} leaderCreep - The squad leader creep
+ * @param {Creep} targetEnemy - The enemy to designate as target
+ */
+export function setSquadTarget(leaderCreep, targetEnemy) {
+    const squad = squadAssignments[leaderCreep.id];
+    if (squad) {
+        squadTargets[squad] = targetEnemy ? targetEnemy.id : null;
+    }
+}
+
+/**
+ * Get a squad's stance
+ * @param {string} squadName - The squad
+ * @returns {string|undefined} One of the STANCES values
+ */
+export function getSquadStance(squadName) {
+    return squadStances[squadName];
+}
+
+/**
+ * Set a squad's stance
+ * @param {string} squadName - The squad
+ * @param {string} stance - One of the STANCES values
+ */
+export function setSquadStance(squadName, stance) {
+    squadStances[squadName] = stance;
+}
+
+/**
+ * Set a squad's stance unless it changed less than STANCE_COMMIT_TICKS ago
+ * @param {string} squadName - The squad
+ * @param {string} stance - One of the STANCES values
+ * @param {boolean} [force] - Change it even within the commit window
+ */
+export function commitSquadStance(squadName, stance, force = false) {
+    if (stance === squadStances[squadName]) {
+        return;
+    }
+    const committed = getTicks() - (stanceChanges[squadName] || -Infinity) < squadConfig.STANCE_COMMIT_TICKS;
+    if (!committed || force) {
+        squadStances[squadName] = stance;
+        stanceChanges[squadName] = getTicks();
+    }
+}
+
+/**
+ * Pick a squad leader: the healthiest candidate of the first leader role any candidate has
+ * @param {Creep[]} candidates - Squad members
+ * @returns {Creep|null} New leader, or null when no candidate has a leader role
+ */
+export function chooseSquadLeader(candidates) {
+    for (const role of leaderRoles) {
+        const eligible = candidates.filter(c => getCreepRole(c) === role);
+        if (eligible.length > 0) {
+            return eligible.sort((a, b) => b.hits - a.hits)[0];
+        }
+    }
+    return null;
+}
+
+/**
+ * Choose a squad's stance: a badly hurt squad falls back and stays back until mostly healed,
+ * otherwise a predicted fight against the threats decides
+ * @param {string} squadName - The squad
+ * @param {Creep[]} squadCreeps - All squad members including the leader
+ * @param {Creep[]} threats - Armed enemies the squad would fight
+ * @param {function} predict - (squadCreeps, threats) => { ourRemaining, theirRemaining }, as from predictEngagement
+ * @param {object} [margins] - { engageMargin, retreatMargin } in place of ENGAGE_MARGIN and RETREAT_MARGIN
+ * @returns {string} One of the STANCES values
+ */
+export function chooseSquadStance(squadName, squadCreeps, threats, predict, margins = {}) {
+    const { engageMargin = squadConfig.ENGAGE_MARGIN, retreatMargin = squadConfig.RETREAT_MARGIN } = margins;
+
+    const hpRatio = squadCreeps.reduce((sum, c) => sum + c.hits, 0) / squadCreeps.reduce((sum, c) => sum + c.hitsMax, 0);
+    if (hpRatio < squadConfig.SQUAD_RETREAT_HP_RATIO ||
+        (squadStances[squadName] === STANCES.RETREAT && hpRatio < squadConfig.SQUAD_REJOIN_HP_RATIO)) {
+        return STANCES.RETREAT;
+    }
+    if (threats.length === 0) {
+        return STANCES.ENGAGE;
+    }
+
+    const prediction = predict(squadCreeps, threats);
+    if (prediction.theirRemaining === 0 ||
+        prediction.ourRemaining - prediction.theirRemaining >= engageMargin) {
+        return STANCES.ENGAGE;
+    }
+    if (prediction.theirRemaining - prediction.ourRemaining >= retreatMargin) {
+        return STANCES.RETREAT;
+    }
+    return STANCES.HOLD;
+}
+
+/**
+ * Replace dead squad leaders and disband squads with nobody left to lead; run after cleanupCreepState
+ * @param {Set} aliveCreepIds - IDs of the alive friendly creeps
+ * @param {function} chooseLeader - (squadName) => new leader creep, or null to disband the squad
+ * @returns {string[]} Names of the squads disbanded
+ */
+export function replaceDeadSquadLeaders(aliveCreepIds, chooseLeader) {
+    const disbanded = [];
+    for (const squadName in squadLeaders) {
+        if (aliveCreepIds.has(squadLeaders[squadName])) continue;
+
+        const newLeader = chooseLeader(squadName);
+        if (newLeader) {
+            squadLeaders[squadName] = newLeader.id;
+        } else {
+            delete squadLeaders[squadName];
+            delete squadStances[squadName];
+            delete stanceChanges[squadName];
+            disbanded.push(squadName);
+        }
+    }
+    return disbanded;
+}
+
+/**
+ * Clear designated targets that are no longer alive
+ * @param {Creep[]} enemyCreeps - Array of currently alive enemy creeps
+ */
+export function cleanupSquadTargets(enemyCreeps) {
+    const aliveEnemyIds = new Set(enemyCreeps.map(e => e.id));
+    for (const squadName in squadTargets) {
+        if (!aliveEnemyIds.has(squadTargets[squadName])) {
+            delete squadTargets[squadName];
+        }
+    }
+}
+
+/**
+ * Describe every squad, for debugging and replays
+ * @returns {object} Squad name -> { leader, target, stance, members: [creepId] }
+ */
+export function getSquadSnapshot() {
+    const squads = {};
+    for (const creepId in squadAssignments) {
+        const squadName = squadAssignments[creepId];
+        if (!squads[squadName]) {
+            squads[squadName] = {
+                leader: squadLeaders[squadName] || null,
+                target: squadTargets[squadName] || null,
+                stance: squadStances[squadName] || null,
+                members: []
+            };
+        }
+        squads[squadName].members.push(creepId);
+    }
+    return squads;
+}
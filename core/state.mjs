@@ -0,0 +1,53 @@
+/**
+ * Core: per-object state cleanup.
+ * Modules keep state in plain objects keyed by creep ID and in Sets of creep IDs. Stores
+ * registered with trackCreepState are pruned of dead creeps by cleanupCreepState.
+ */
+
+const trackedObjects = []; // Objects keyed by creep ID
+const trackedSets = []; // Sets of creep IDs
+
+/**
+ * Generic cleanup utility for objects and sets
+ * @param {Set} validIds - Set of IDs that should be kept
+ * @param {Object[]} objects - Array of objects to clean (removes keys not in validIds)
+ * @param {Set[]} sets - Array of sets to clean (removes values not in validIds)
+ */
+export function cleanupByIdSet(validIds, objects = [], sets = []) {
+    for (const obj of objects) {
+        for (const id in obj) {
+            if (!validIds.has(id)) {
+                delete obj[id];
+            }
+        }
+    }
+
+    for (const set of sets) {
+        for (const id of set) {
+            if (!validIds.has(id)) {
+                set.delete(id);
+            }
+        }
+    }
+}
+
+/**
+ * Register per-creep stores to be pruned whenever cleanupCreepState runs
+ * @param {Object[]} objects - Objects keyed by creep ID
+ * @param {Set[]} sets - Sets of creep IDs
+ */
+export function trackCreepState(objects = [], sets = []) {
+    trackedObjects.push(...objects);
+    trackedSets.push(...sets);
+}
+
+/**
+ * Drop every tracked entry belonging to a creep that no longer exists; run once per tick
+ * @param {Creep[]} myCreeps - Array of currently alive friendly creeps
+ * @returns {Set} IDs of the alive creeps
+ */
+export function cleanupCreepState(myCreeps) {
+    const aliveCreepIds = new Set(myCreeps.map(c => c.id));
+    cleanupByIdSet(aliveCreepIds, trackedObjects, trackedSets);
+    return aliveCreepIds;
+}
@@ -0,0 +1,151 @@
+/**
+ * Core: unit tactics shared by squads in every arena.
+ * Medics heal while keeping out of reach and stay on their squad; ranged units pick the
+ * stronger of rangedAttack and rangedMassAttack and kite melee threats.
+ */
+
+import { ATTACK, RANGED_ATTACK_DISTANCE_RATE } from 'game/constants';
+import { findMostDamagedCreep, getThreatReach, getThreatsInReach } from './combat.mjs';
+import { getSquadMembers, getSquadLeader, getSquadTarget } from './squads.mjs';
+import { cachedMoveTo, requestFleeStep, fleeFromThreats } from './pathing.mjs';
+
+const RANGED_ACTION_RANGE = 3; // Reach of rangedAttack, rangedMassAttack and rangedHeal
+
+/**
+ * Heal a target with heal when adjacent or rangedHeal when within 3
+ * @param {Creep} creep - The healer
+ * @param {Creep} target - Creep to heal
+ * @returns {number} Range to the target
+ */
+export function healInRange(creep, target) {
+    const range = creep.getRangeTo(target);
+    if (range <= 1) {
+        creep.heal(target);
+    } else if (range <= RANGED_ACTION_RANGE) {
+        creep.rangedHeal(target);
+    }
+    return range;
+}
+
+/**
+ * Step a support creep back out of enemy reach, healing whoever is still in range.
+ * While a squadmate is in the fight the creep stops one tile outside reach, within rangedHeal
+ * of it; the wider berth fleeFromThreats keeps would only send it straight back next tick.
+ * @param {Creep} creep - The support creep
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @returns {boolean} True if a flee step was requested
+ */
+export function fleeWhileHealing(creep, myCreeps) {
+    const threats = getThreatsInReach(creep);
+    if (threats.length === 0) {
+        return false;
+    }
+
+    const squadEngaged = getSquadMembers(creep, myCreeps).some(c => getThreatsInReach(c).length > 0);
+    const fled = squadEngaged
+        ? requestFleeStep(creep, threats.map(t => ({ pos: t, range: getThreatReach(t) + 1 })))
+        : fleeFromThreats(creep, threats);
+    if (!fled) {
+        return false;
+    }
+
+    const healTarget = findMostDamagedCreep(myCreeps.filter(c => creep.getRangeTo(c) <= RANGED_ACTION_RANGE));
+    if (healTarget) {
+        healInRange(creep, healTarget);
+    }
+    return true;
+}
+
+/**
+ * Squad medic: heal the most damaged squadmate, otherwise follow the squad leader
+ * @param {Creep} creep - The medic
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {number} followRange - Max range kept to the leader when nobody needs healing
+ * @param {function} [filter] - Only support squadmates passing this predicate
+ * @returns {boolean} False if the medic has no squad left to support
+ */
+export function supportSquad(creep, myCreeps, followRange, filter = null) {
+    const leader = getSquadLeader(creep, myCreeps);
+    const squadmates = getSquadMembers(creep, myCreeps, filter);
+    if (squadmates.length === 0 && !leader) {
+        return false;
+    }
+
+    const damagedSquadmate = findMostDamagedCreep(squadmates);
+    if (damagedSquadmate) {
+        // Close in until adjacent, where heal is four times as strong as rangedHeal
+        if (healInRange(creep, damagedSquadmate) > 1) {
+            cachedMoveTo(creep, damagedSquadmate, { ignoreCreeps: true });
+        }
+        return true;
+    }
+
+    // No wounded: follow the leader to keep formation
+    const followTarget = leader || squadmates[0];
+    const rangeToTarget = creep.getRangeTo(followTarget);
+    if (rangeToTarget > followRange || rangeToTarget < 1) {
+        cachedMoveTo(creep, followTarget, { ignoreCreeps: true });
+    }
+    return true;
+}
+
+/**
+ * Pick the ranged action that deals the most damage: rangedMassAttack hits every enemy within 3
+ * with falloff by distance, rangedAttack hits one target at full power
+ * @param {Creep} creep - The ranged creep
+ * @param {Creep[]} enemiesInRange - Enemy creeps within range 3
+ * @returns {boolean} True if mass attack deals more total damage
+ */
+function shouldUseMassAttack(creep, enemiesInRange) {
+    const massDamage = enemiesInRange.reduce(
+        (sum, enemy) => sum + RANGED_ATTACK_DISTANCE_RATE[creep.getRangeTo(enemy)], 0
+    );
+    return massDamage > 1;
+}
+
+/**
+ * Attack with ranged parts: the squad's designated target if in range, otherwise the weakest
+ * enemy in range, switching to rangedMassAttack when clustered enemies make it stronger
+ * @param {Creep} creep - The ranged creep
+ * @param {Creep[]} allEnemies - All enemy creeps
+ * @param {object} [fallbackTarget] - Structure attacked when no creeps are in range
+ */
+export function fireRangedParts(creep, allEnemies, fallbackTarget = null) {
+    const enemiesInRange = allEnemies.filter(e => creep.getRangeTo(e) <= RANGED_ACTION_RANGE);
+
+    if (enemiesInRange.length === 0) {
+        if (fallbackTarget && creep.getRangeTo(fallbackTarget) <= RANGED_ACTION_RANGE) {
+            creep.rangedAttack(fallbackTarget);
+        }
+        return;
+    }
+
+    if (shouldUseMassAttack(creep, enemiesInRange)) {
+        creep.rangedMassAttack();
+        return;
+    }
+
+    const designatedTarget = getSquadTarget(creep, allEnemies);
+    const target = designatedTarget && creep.getRangeTo(designatedTarget) <= RANGED_ACTION_RANGE
+        ? designatedTarget
+        : enemiesInRange.sort((a, b) => a.hits - b.hits)[0];
+    creep.rangedAttack(target);
+}
+
+/**
+ * Step away from melee threats closer than kiteRange with a flee path that keeps them at
+ * ranged attack range
+ * @param {Creep} creep - The ranged creep
+ * @param {Creep[]} allEnemies - All enemy creeps
+ * @param {number} kiteRange - Melee threats this close are kited
+ * @returns {boolean} True if a flee step was requested
+ */
+export function kiteMeleeThreats(creep, allEnemies, kiteRange) {
+    const meleeThreats = allEnemies.filter(e =>
+        creep.getRangeTo(e) <= kiteRange && e.body.some(p => p.type === ATTACK && p.hits > 0)
+    );
+    if (meleeThreats.length === 0) {
+        return false;
+    }
+    return requestFleeStep(creep, meleeThreats.map(t => ({ pos: t, range: RANGED_ACTION_RANGE })));
+}
@@ -0,0 +1,142 @@
+/**
+ * Core: tower controller.
+ * Each tower takes the shot that nets the most damage after enemy healing, weighted toward
+ * armed enemies near the position it protects, and heals friendlies with spare energy.
+ */
+
+import { getRange } from 'game/utils';
+import { HEAL, RESOURCE_ENERGY, HEAL_POWER, RANGED_HEAL_POWER, TOWER_ENERGY_COST, TOWER_RANGE, TOWER_POWER_HEAL } from 'game/constants';
+import { getAllEnemyCreeps, hasAttackCapability, getActivePartTypes, getTowerPowerAtRange, getTowerDamageAtRange } from './combat.mjs';
+
+const TOWER_DEFAULTS = {
+    TOWER_MIN_SHOT_DAMAGE: 50, // Towers skip shots netting less damage than this after enemy healing...
+    TOWER_THREAT_RANGE: 10, // ...unless the target is an armed enemy this close to the protected position
+    TOWER_RESERVE_ENERGY: 30 // Towers only spend energy on healing above this, holding the rest for attacks
+};
+
+const towerConfig = { ...TOWER_DEFAULTS };
+
+/**
+ * Configure the tower controller
+ * @param {object} config - Overrides for TOWER_DEFAULTS keys; other keys are ignored
+ */
+export function configureTowers(config) {
+    for (const key in config) {
+        if (key in TOWER_DEFAULTS) {
+            towerConfig[key] = config[key];
+        }
+    }
+}
+
+/**
+ * Healing enemy healers could put back on a target before our next volley lands
+ * @param {Creep} target - The enemy creep
+ * @param {Creep[]} enemyCreeps - All enemy creeps
+ * @returns {number} Heal per tick reaching the target
+ */
+function getEnemyHealSupport(target, enemyCreeps) {
+    return enemyCreeps.reduce((sum, healer) => {
+        const range = getRange(healer, target);
+        if (range > 3) return sum;
+        const healParts = getActivePartTypes(healer.body.map(p => p.type), healer.hits)
+            .filter(type => type === HEAL).length;
+        return sum + healParts * (range <= 1 ? HEAL_POWER : RANGED_HEAL_POWER);
+    }, 0);
+}
+
+/**
+ * Score a tower shot by expected damage at range net of enemy heal support, weighted by
+ * how much the target threatens the protected position
+ * @param {StructureTower} tower - The tower
+ * @param {Creep} target - The enemy creep
+ * @param {Creep[]} enemyCreeps - All enemy creeps
+ * @param {object} protectedPos - Position the towers defend (spawn, flag), or null
+ * @returns {object} { target, netDamage, threatensBase, score }
+ */
+function scoreTowerTarget(tower, target, enemyCreeps, protectedPos) {
+    const damage = Math.min(getTowerDamageAtRange(getRange(tower, target)), target.hits);
+    const netDamage = Math.max(0, damage - getEnemyHealSupport(target, enemyCreeps));
+
+    const threatRange = towerConfig.TOWER_THREAT_RANGE;
+    const armed = hasAttackCapability(target);
+    const baseRange = protectedPos ? getRange(protectedPos, target) : Infinity;
+    const threatensBase = armed && baseRange <= threatRange;
+
+    // Armed creeps near the protected position count up to double; unarmed creeps count half
+    let weight = armed ? 1 + Math.max(0, threatRange - baseRange) / threatRange : 0.5;
+    if (netDamage >= target.hits) {
+        weight *= 2; // Finishing a creep removes its damage for good
+    }
+
+    return { target, netDamage, threatensBase, score: netDamage * weight };
+}
+
+/**
+ * Pick the best shot for a tower, or null when no target is worth the energy
+ * @param {StructureTower} tower - The tower
+ * @param {Creep[]} enemyCreeps - All enemy creeps
+ * @param {object} protectedPos - Position the towers defend, or null
+ * @returns {Creep|null} Target to attack
+ */
+function chooseTowerTarget(tower, enemyCreeps, protectedPos) {
+    const best = enemyCreeps
+        .filter(e => getRange(tower, e) <= TOWER_RANGE)
+        .map(e => scoreTowerTarget(tower, e, enemyCreeps, protectedPos))
+        .sort((a, b) => b.score - a.score)[0];
+
+    if (!best) return null;
+    if (best.netDamage >= towerConfig.TOWER_MIN_SHOT_DAMAGE) return best.target;
+    if (best.threatensBase && best.netDamage > 0) return best.target;
+    return null;
+}
+
+/**
+ * Pick the damaged friendly creep a tower heal helps most
+ * @param {StructureTower} tower - The tower
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @returns {Creep|null} Creep to heal
+ */
+function chooseTowerHealTarget(tower, myCreeps) {
+    let best = null;
+    let bestHealing = 0;
+    for (const creep of myCreeps) {
+        const range = getRange(tower, creep);
+        if (creep.hits >= creep.hitsMax || range > TOWER_RANGE) continue;
+
+        const healing = Math.min(getTowerPowerAtRange(TOWER_POWER_HEAL, range), creep.hitsMax - creep.hits);
+        if (healing > bestHealing) {
+            best = creep;
+            bestHealing = healing;
+        }
+    }
+    return best;
+}
+
+/**
+ * Run tower behavior: take the best-scoring shot, otherwise heal damaged friendlies with
+ * energy above the reserve kept for incoming waves
+ * @param {StructureTower[]} myTowers - Array of friendly towers
+ * @param {object} protectedPos - Position the towers defend (our spawn or flag)
+ * @param {Creep[]} myCreeps - All friendly creeps
+ */
+export function runTowerBehavior(myTowers, protectedPos, myCreeps) {
+    const enemyCreeps = getAllEnemyCreeps();
+
+    for (const tower of myTowers) {
+        const energy = tower.store.getUsedCapacity(RESOURCE_ENERGY);
+        if (tower.cooldown || energy < TOWER_ENERGY_COST) continue;
+
+        const target = chooseTowerTarget(tower, enemyCreeps, protectedPos);
+        if (target) {
+            tower.attack(target);
+            continue;
+        }
+
+        if (energy - TOWER_ENERGY_COST >= towerConfig.TOWER_RESERVE_ENERGY) {
+            const healTarget = chooseTowerHealTarget(tower, myCreeps);
+            if (healTarget) {
+                tower.heal(healTarget);
+            }
+        }
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Core: traffic manager.
+ * Behaviors submit at most one desired step per creep with requestMove; resolveTraffic settles
+ * collisions between our own creeps once per tick and issues the creep.move calls.
+ */
+
+import { getDirection, getTerrainAt, getRange } from 'game/utils';
+import { MOVE, TERRAIN_WALL } from 'game/constants';
+import { MAP_SIZE, buildObstacleCostMatrix } from './map.mjs';
+import { getCreepRole } from './roles.mjs';
+import { getAllEnemyCreeps } from './combat.mjs';
+
+let moveIntents = {}; // Desired moves submitted this tick: { creepId: { creep, x, y, priority } }
+let trafficPriorities = {}; // Role name -> priority; higher priority movers win contested tiles
+let heldCreeps = new Set(); // IDs of creeps that must not be shoved off their tile this tick
+
+/**
+ * Set the traffic priority of each role. Higher priority movers win contested tiles and may
+ * shove stationary creeps of equal or lower priority; unlisted roles get 0.
+ * @param {object} priorities - Role name -> priority
+ */
+export function configureTraffic(priorities) {
+    trafficPriorities = priorities;
+}
+
+/**
+ * Drop the previous tick's move intents and held positions; run at the start of every tick
+ */
+export function clearMoveIntents() {
+    moveIntents = {};
+    heldCreeps = new Set();
+}
+
+/**
+ * Keep a creep on its tile this tick: it submits no move and no mover may shove it aside
+ * @param {Creep} creep - The creep
+ */
+export function holdPosition(creep) {
+    delete moveIntents[creep.id];
+    heldCreeps.add(creep.id);
+}
+
+/**
+ * Submit a desired one-tile move; resolveTraffic issues the actual creep.move
+ * @param {Creep} creep - The moving creep
+ * @param {object} nextStep - Adjacent tile to move to {x, y}
+ * @param {number} [priority] - Move priority; defaults to the creep's role priority
+ */
+export function requestMove(creep, nextStep, priority) {
+    moveIntents[creep.id] = {
+        creep,
+        x: nextStep.x,
+        y: nextStep.y,
+        priority: priority !== undefined ? priority : getTrafficPriority(creep)
+    };
+}
+
+/**
+ * Get the traffic priority of a creep's role
+ * @param {Creep} creep - The creep
+ * @returns {number} Traffic priority
+ */
+export function getTrafficPriority(creep) {
+    return trafficPriorities[getCreepRole(creep)] || 0;
+}
+
+/**
+ * Resolve this tick's move intents and issue creep.move calls.
+ * Movers are processed in priority order. A mover may enter a tile that a friendly creep is leaving,
+ * swap with a creep moving the other way, or shove a stationary creep aside. A mover that cannot move
+ * holds its tile, which in turn stops anyone who planned to step into it. Creeps are never shoved
+ * onto the tiles around our spawn, and one exit tile is kept clear so new creeps can leave.
+ * @param {Creep[]} myCreeps - All friendly creeps
+ * @param {StructureSpawn|null} mySpawn - The friendly spawn, or null in arenas without one
+ */
+export function resolveTraffic(myCreeps, mySpawn) {
+    const tileKey = (x, y) => y * MAP_SIZE + x;
+    const obstacles = buildObstacleCostMatrix();
+    const enemyTiles = new Set(getAllEnemyCreeps().map(e => tileKey(e.x, e.y)));
+    const isSpawnExit = (x, y) => mySpawn && getRange(mySpawn, { x, y }) === 1;
+    const isWalkable = (x, y) => x >= 0 && y >= 0 && x < MAP_SIZE && y < MAP_SIZE &&
+        obstacles.get(x, y) !== 255 && !enemyTiles.has(tileKey(x, y)) && getTerrainAt({ x, y }) !== TERRAIN_WALL;
+
+    const creeps = myCreeps.filter(c => !c.spawning);
+    const occupants = new Map(creeps.map(c => [tileKey(c.x, c.y), c]));
+    const claims = new Map(); // Tile key -> creep that will stand there after this tick
+    const destinations = {}; // Creep ID -> tile the creep will move to
+
+    const canMove = creep => creep.fatigue === 0 && creep.body.some(p => p.type === MOVE && p.hits > 0);
+    const isMover = creep => moveIntents[creep.id] && canMove(creep);
+
+    // Stationary creeps hold their tiles unless shoved
+    for (const creep of creeps) {
+        if (!isMover(creep)) {
+            claims.set(tileKey(creep.x, creep.y), creep);
+        }
+    }
+
+    // Hold a creep on its own tile, cancelling any mover that planned to step into it
+    const hold = creep => {
+        const destination = destinations[creep.id];
+        if (destination) {
+            const destinationKey = tileKey(destination.x, destination.y);
+            if (claims.get(destinationKey) === creep) {
+                claims.delete(destinationKey);
+            }
+            delete destinations[creep.id];
+        }
+        const key = tileKey(creep.x, creep.y);
+        const claimant = claims.get(key);
+        claims.set(key, creep);
+        if (claimant && claimant !== creep) {
+            hold(claimant);
+        }
+    };
+
+    // Find a free tile next to a stationary creep to shove it onto
+    const findShoveTile = (creep, avoidKey) => {
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                const x = creep.x + dx;
+                const y = creep.y + dy;
+                const key = tileKey(x, y);
+                if ((dx || dy) && key !== avoidKey && !claims.has(key) && !occupants.has(key) &&
+                    isWalkable(x, y) && !isSpawnExit(x, y)) {
+                    return { x, y };
+                }
+            }
+        }
+        return null;
+    };
+
+    const shove = (creep, tile) => {
+        claims.delete(tileKey(creep.x, creep.y));
+        claims.set(tileKey(tile.x, tile.y), creep);
+        destinations[creep.id] = tile;
+    };
+
+    const movers = creeps.filter(isMover).sort((a, b) => moveIntents[b.id].priority - moveIntents[a.id].priority);
+
+    for (const creep of movers) {
+        const intent = moveIntents[creep.id];
+        const targetKey = tileKey(intent.x, intent.y);
+
+        if (getRange(creep, intent) !== 1 || !isWalkable(intent.x, intent.y)) {
+            hold(creep);
+            continue;
+        }
+
+        const claimant = claims.get(targetKey);
+        if (claimant && !destinations[claimant.id]) {
+            // Stationary creep in the way: shove it aside (or swap) if we outrank it
+            if (!canMove(claimant) || heldCreeps.has(claimant.id) || getTrafficPriority(claimant) > intent.priority) {
+                hold(creep);
+                continue;
+            }
+            const ownKey = tileKey(creep.x, creep.y);
+            const shoveTile = findShoveTile(claimant, ownKey) || (claims.has(ownKey) ? null : { x: creep.x, y: creep.y });
+            if (!shoveTile) {
+                hold(creep);
+                continue;
+            }
+            shove(claimant, shoveTile);
+        } else if (claimant) {
+            // Another mover already claimed this tile. A swap with the creep standing there wins:
+            // otherwise all three creeps hold, and identical intents deadlock them every tick.
+            const occupant = occupants.get(targetKey);
+            const occupantDestination = occupant && destinations[occupant.id];
+            const isSwap = occupantDestination && occupantDestination.x === creep.x && occupantDestination.y === creep.y;
+            if (!isSwap || claimant === occupant) {
+                hold(creep);
+                continue;
+            }
+            hold(claimant);
+        }
+
+        claims.set(targetKey, creep);
+        destinations[creep.id] = { x: intent.x, y: intent.y };
+    }
+
+    // Keep one spawn exit free: shove a stationary creep off the exits if they are all taken
+    if (mySpawn) {
+        const exits = [];
+        for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+                if ((dx || dy) && isWalkable(mySpawn.x + dx, mySpawn.y + dy)) {
+                    exits.push({ x: mySpawn.x + dx, y: mySpawn.y + dy });
+                }
+            }
+        }
+        if (exits.length > 0 && exits.every(e => claims.has(tileKey(e.x, e.y)))) {
+            const blocker = exits
+                .map(e => claims.get(tileKey(e.x, e.y)))
+                .find(c => !destinations[c.id] && canMove(c) && !heldCreeps.has(c.id));
+            const tile = blocker && findShoveTile(blocker, null);
+            if (tile) {
+                shove(blocker, tile);
+            }
+        }
+    }
+
+    for (const creep of creeps) {
+        const destination = destinations[creep.id];
+        if (destination) {
+            creep.move(getDirection(destination.x - creep.x, destination.y - creep.y));
+        }
+    }
+}
@@ -0,0 +1,197 @@
+/**
+ * Capture the Flag style layout and rules.
+ * Nobody spawns: each side starts with a fixed roster and a tower beside its flag, and
+ * body parts appear in mirrored pairs around the middle of the map. A creep ending its
+ * tick on a BodyPart adds it to its body; one ending its tick on the enemy flag captures it.
+ */
+
+import { INTERNAL } from './state.mjs';
+import { createRandom, randomInt } from './random.mjs';
+import { MAP_SIZE } from './pathfinder.mjs';
+import { generateTerrain, ensureSpawnsConnected, fillUnreachablePockets } from './map.mjs';
+import { Creep, StructureTower, createLimitedStore } from '../game/prototypes.mjs';
+import { Flag, BodyPart } from '../game/arena/capture-the-flag.mjs';
+import {
+    MOVE, ATTACK, RANGED_ATTACK, HEAL, TOUGH, RESOURCE_ENERGY, TERRAIN_WALL,
+    BODYPART_HITS, MAX_CREEP_SIZE, TOWER_HITS, TOWER_CAPACITY
+} from '../game/constants.mjs';
+
+// Player 0's base; player 1's is the point reflection through the map center
+const FLAG_POSITION = { x: 5, y: 45 };
+const TOWER_OFFSET = { x: 2, y: -2 };
+
+// Starting creeps as [dx, dy, body] relative to the flag
+const STARTING_ROSTER = [
+    [1, -2, [MOVE, MOVE, ATTACK, ATTACK]],
+    [1, 0, [MOVE, MOVE, ATTACK, ATTACK]],
+    [1, 2, [MOVE, MOVE, ATTACK, ATTACK]],
+    [2, -1, [MOVE, MOVE, ATTACK, ATTACK]],
+    [2, 1, [MOVE, RANGED_ATTACK]],
+    [3, -2, [MOVE, RANGED_ATTACK]],
+    [3, 0, [MOVE, HEAL]],
+    [3, 2, [MOVE, HEAL]]
+];
+
+const BODY_PART_SPAWNS = {
+    firstTick: 50,
+    interval: 50,
+    ticksToDecay: 150,
+    types: [MOVE, ATTACK, RANGED_ATTACK, HEAL, TOUGH],
+    maxRange: 20 // Max range from the map center
+};
+
+export const CAPTURE_THE_FLAG_ARENA = {
+    name: 'Capture the Flag',
+    level: 1,
+    season: 'beta',
+    ticksLimit: 2000,
+    cpuTimeLimit: 50000000,
+    cpuTimeLimitFirstTick: 1000000000
+};
+
+/**
+ * Position as seen from a player's side of the map
+ * @param {number} owner - Player index
+ * @param {number} x - X coordinate for player 0
+ * @param {number} y - Y coordinate for player 0
+ * @returns {object} { x, y }
+ */
+function forPlayer(owner, x, y) {
+    return owner === 0 ? { x, y } : { x: MAP_SIZE - 1 - x, y: MAP_SIZE - 1 - y };
+}
+
+const CAPTURE_THE_FLAG_RULES = {
+    /**
+     * Place each side's flag, tower and starting roster
+     * @param {World} world - The world
+     */
+    populate(world) {
+        for (const owner of [0, 1]) {
+            const flag = forPlayer(owner, FLAG_POSITION.x, FLAG_POSITION.y);
+            world.addObject(new Flag(flag.x, flag.y), owner);
+
+            const tower = forPlayer(owner, FLAG_POSITION.x + TOWER_OFFSET.x, FLAG_POSITION.y + TOWER_OFFSET.y);
+            world.addObject(new StructureTower(tower.x, tower.y, TOWER_HITS,
+                createLimitedStore(TOWER_CAPACITY, [RESOURCE_ENERGY], { [RESOURCE_ENERGY]: TOWER_CAPACITY })), owner);
+
+            for (const [dx, dy, body] of STARTING_ROSTER) {
+                const pos = forPlayer(owner, FLAG_POSITION.x + dx, FLAG_POSITION.y + dy);
+                world.addObject(new Creep(pos.x, pos.y, body), owner);
+            }
+        }
+    },
+
+    /**
+     * Apply pickups and captures for creeps that ended the tick on a body part or flag,
+     * then drop new body parts on schedule
+     * @param {World} world - The world
+     */
+    runEvents(world) {
+        const objects = [...world.objects.values()];
+        const creepAt = (x, y) => objects.find(o => o instanceof Creep && !o.spawning && o.x === x && o.y === y);
+
+        for (const part of objects.filter(o => o instanceof BodyPart)) {
+            const creep = creepAt(part.x, part.y);
+            if (!creep || creep.body.length >= MAX_CREEP_SIZE) continue;
+
+            creep.body.push({ type: part.type, hits: BODYPART_HITS });
+            creep.hits += BODYPART_HITS;
+            creep.hitsMax += BODYPART_HITS;
+            world.removeObject(part);
+        }
+
+        for (const flag of objects.filter(o => o instanceof Flag)) {
+            const creep = creepAt(flag.x, flag.y);
+            if (creep && world.ownerOf(creep) !== world.ownerOf(flag)) {
+                flag[INTERNAL].owner = world.ownerOf(creep);
+            }
+        }
+
+        spawnBodyParts(world);
+    },
+
+    /**
+     * A side wins by holding every flag, or by being the only one with creeps left
+     * @param {World} world - The world
+     * @returns {object|null} Match result, or null while the match continues
+     */
+    checkResult(world) {
+        const objects = [...world.objects.values()];
+        const flagOwners = new Set(objects.filter(o => o instanceof Flag).map(o => world.ownerOf(o)));
+        if (flagOwners.size === 1) {
+            return { winner: [...flagOwners][0], reason: 'enemy flag captured', tick: world.tick };
+        }
+
+        const survivors = [0, 1].filter(owner => objects.some(o => o instanceof Creep && world.ownerOf(o) === owner));
+        if (survivors.length === 0) {
+            return { winner: null, reason: 'all creeps destroyed', tick: world.tick };
+        }
+        if (survivors.length === 1) {
+            return { winner: survivors[0], reason: 'enemy creeps destroyed', tick: world.tick };
+        }
+        if (world.tick >= world.arena.ticksLimit) {
+            return { winner: null, reason: 'tick limit reached', tick: world.tick };
+        }
+        return null;
+    },
+
+    /**
+     * Status for the runner's report line
+     * @param {World} world - The world
+     * @param {number} player - Player index
+     * @returns {string} Summary
+     */
+    describe(world, player) {
+        const flags = [...world.objects.values()].filter(o => o instanceof Flag && world.ownerOf(o) === player);
+        return `flags ${flags.length}`;
+    }
+};
+
+/**
+ * Generate a Capture the Flag layout
+ * @param {number} seed - Terrain seed
+ * @returns {object} Layout consumed by World
+ */
+export function generateCaptureTheFlag(seed) {
+    const random = createRandom(seed);
+    const flags = [0, 1].map(owner => forPlayer(owner, FLAG_POSITION.x, FLAG_POSITION.y));
+    const terrain = generateTerrain(random, flags);
+
+    ensureSpawnsConnected(terrain, flags[0], flags[1]);
+    fillUnreachablePockets(terrain, flags[0]);
+
+    return {
+        arena: { ...CAPTURE_THE_FLAG_ARENA },
+        terrain,
+        players: flags.map(() => ({ containers: [], walls: [] })),
+        sources: [],
+        rules: CAPTURE_THE_FLAG_RULES
+    };
+}
+
+/**
+ * Drop a mirrored pair of body parts near the map center on the BODY_PART_SPAWNS schedule
+ * @param {World} world - The world
+ */
+function spawnBodyParts(world) {
+    const schedule = BODY_PART_SPAWNS;
+    if (world.tick < schedule.firstTick || (world.tick - schedule.firstTick) % schedule.interval !== 0) {
+        return;
+    }
+
+    const center = Math.floor(MAP_SIZE / 2);
+    const type = schedule.types[randomInt(world.random, 0, schedule.types.length - 1)];
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const x = randomInt(world.random, center - schedule.maxRange, center + schedule.maxRange);
+        const y = randomInt(world.random, center - schedule.maxRange, center + schedule.maxRange);
+        const mx = MAP_SIZE - 1 - x;
+        const my = MAP_SIZE - 1 - y;
+        const free = (px, py) => world.getTerrain(px, py) !== TERRAIN_WALL && world.objectsAt(px, py).length === 0;
+
+        if ((x !== mx || y !== my) && free(x, y) && free(mx, my)) {
+            world.addObject(new BodyPart(x, y, type, schedule.ticksToDecay));
+            world.addObject(new BodyPart(mx, my, type, schedule.ticksToDecay));
+            return;
+        }
+    }
+}
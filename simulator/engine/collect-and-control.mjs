@@ -0,0 +1,205 @@
+/**
+ * Collect and Control style layout and rules.
+ * The Spawn and Swamp map gains a mirrored pair of neutral ScoreCollectors in the middle,
+ * mirrored area effects around them, and containers of score resources that appear in
+ * mirrored pairs. A side wins by delivering SCORE_TOTAL across the collectors, by destroying
+ * the enemy spawn, or by having delivered more when the tick limit is reached.
+ */
+
+import { randomInt } from './random.mjs';
+import { MAP_SIZE } from './pathfinder.mjs';
+import { generateSpawnAndSwamp } from './map.mjs';
+import { INTERNAL } from './state.mjs';
+import { Creep, StructureSpawn } from '../game/prototypes.mjs';
+import {
+    ScoreCollector, AreaEffect, EFFECT_DAMAGE, EFFECT_FREEZE, EFFECT_HEAL, RESOURCE_SCORE
+} from '../game/arena/collect-and-control.mjs';
+import { TERRAIN_PLAIN, TERRAIN_WALL } from '../game/constants.mjs';
+
+// The map has no single center tile, so the collectors are an adjacent mirrored pair
+const COLLECTORS = [{ x: 49, y: 50 }, { x: 50, y: 49 }];
+const SCORE_TOTAL = 1000;
+
+// Player 0's side as [x, y, effect]; each is mirrored through the map center
+const AREA_EFFECTS = [
+    [45, 50, EFFECT_DAMAGE],
+    [46, 50, EFFECT_DAMAGE],
+    [46, 51, EFFECT_DAMAGE],
+    [50, 40, EFFECT_FREEZE],
+    [51, 40, EFFECT_FREEZE],
+    [35, 45, EFFECT_HEAL],
+    [35, 46, EFFECT_HEAL]
+];
+
+const AREA_EFFECT_POWER = {
+    damage: 100, // Hits lost each tick by a creep standing in a damage area
+    heal: 100 // Hits restored each tick to a creep standing in a heal area
+};
+
+const SCORE_CONTAINER_SPAWNS = {
+    firstTick: 30,
+    interval: 30,
+    amount: 100,
+    ticksToDecay: 500,
+    minX: 20,
+    maxX: 79
+};
+
+export const COLLECT_AND_CONTROL_ARENA = {
+    name: 'Collect and Control',
+    level: 1,
+    season: 'beta',
+    ticksLimit: 2000,
+    cpuTimeLimit: 50000000,
+    cpuTimeLimitFirstTick: 1000000000
+};
+
+/**
+ * Score each player has delivered to the collectors
+ * @param {World} world - The world
+ * @returns {number[]} Score per player index
+ */
+function getScores(world) {
+    const scores = world.stats.map(() => 0);
+    for (const object of world.objects.values()) {
+        if (!(object instanceof ScoreCollector)) continue;
+        for (const player in object[INTERNAL].scores) {
+            scores[player] += object[INTERNAL].scores[player];
+        }
+    }
+    return scores;
+}
+
+const COLLECT_AND_CONTROL_RULES = {
+    /**
+     * Place the collectors and the area effects
+     * @param {World} world - The world
+     */
+    populate(world) {
+        for (const { x, y } of COLLECTORS) {
+            world.addObject(new ScoreCollector(x, y, RESOURCE_SCORE, SCORE_TOTAL));
+        }
+
+        for (const [x, y, effect] of AREA_EFFECTS) {
+            for (const pos of [{ x, y }, { x: MAP_SIZE - 1 - x, y: MAP_SIZE - 1 - y }]) {
+                if (world.getTerrain(pos.x, pos.y) !== TERRAIN_WALL) {
+                    world.addObject(new AreaEffect(pos.x, pos.y, effect));
+                }
+            }
+        }
+    },
+
+    /**
+     * Apply area effects to the creeps standing in them, then drop score containers on schedule
+     * @param {World} world - The world
+     */
+    runEvents(world) {
+        const objects = [...world.objects.values()];
+        const effects = new Map(objects.filter(o => o instanceof AreaEffect).map(a => [`${a.x},${a.y}`, a.effect]));
+
+        for (const creep of objects.filter(o => o instanceof Creep && !o.spawning)) {
+            const effect = effects.get(`${creep.x},${creep.y}`);
+            if (effect === EFFECT_DAMAGE) {
+                creep.hits -= AREA_EFFECT_POWER.damage;
+                if (creep.hits <= 0) {
+                    world.killCreep(creep);
+                } else {
+                    world.distributeBodyHits(creep);
+                }
+            } else if (effect === EFFECT_HEAL) {
+                creep.hits = Math.min(creep.hitsMax, creep.hits + AREA_EFFECT_POWER.heal);
+                world.distributeBodyHits(creep);
+            } else if (effect === EFFECT_FREEZE) {
+                // Fatigue is shed before this runs, so a creep in a freeze area never gets to move
+                creep.fatigue = Math.max(creep.fatigue, 1);
+            }
+        }
+
+        spawnScoreContainers(world);
+    },
+
+    /**
+     * A side wins by reaching the score total, by destroying the enemy spawn, or on score at the tick limit
+     * @param {World} world - The world
+     * @returns {object|null} Match result, or null while the match continues
+     */
+    checkResult(world) {
+        const scores = getScores(world);
+        const leader = scores[0] === scores[1] ? null : scores.indexOf(Math.max(...scores));
+        if (leader !== null && scores[leader] >= SCORE_TOTAL) {
+            return { winner: leader, reason: 'score total reached', tick: world.tick };
+        }
+
+        const survivors = [0, 1].filter(owner => [...world.objects.values()].some(o =>
+            o instanceof StructureSpawn && world.ownerOf(o) === owner
+        ));
+        if (survivors.length === 0) {
+            return { winner: null, reason: 'all spawns destroyed', tick: world.tick };
+        }
+        if (survivors.length === 1) {
+            return { winner: survivors[0], reason: 'enemy spawn destroyed', tick: world.tick };
+        }
+        if (world.tick >= world.arena.ticksLimit) {
+            return leader === null
+                ? { winner: null, reason: 'tick limit reached with equal scores', tick: world.tick }
+                : { winner: leader, reason: 'higher score at the tick limit', tick: world.tick };
+        }
+        return null;
+    },
+
+    /**
+     * Status for the runner's report line
+     * @param {World} world - The world
+     * @param {number} player - Player index
+     * @returns {string} Summary
+     */
+    describe(world, player) {
+        const spawn = [...world.objects.values()].find(o => o instanceof StructureSpawn && world.ownerOf(o) === player);
+        const spawnInfo = spawn ? `spawn ${spawn.hits}/${spawn.hitsMax}` : 'spawn destroyed';
+        return `${spawnInfo} score ${getScores(world)[player]}`;
+    }
+};
+
+/**
+ * Generate a Collect and Control layout
+ * @param {number} seed - Terrain seed
+ * @param {object} options - Layout options, as for generateSpawnAndSwamp
+ * @returns {object} Layout consumed by World
+ */
+export function generateCollectAndControl(seed, options = {}) {
+    const layout = generateSpawnAndSwamp(seed, options);
+    for (const { x, y } of COLLECTORS) {
+        layout.terrain[y * MAP_SIZE + x] = TERRAIN_PLAIN;
+    }
+
+    return {
+        ...layout,
+        arena: { ...COLLECT_AND_CONTROL_ARENA },
+        rules: COLLECT_AND_CONTROL_RULES
+    };
+}
+
+/**
+ * Drop a mirrored pair of score containers on the SCORE_CONTAINER_SPAWNS schedule
+ * @param {World} world - The world
+ */
+function spawnScoreContainers(world) {
+    const schedule = SCORE_CONTAINER_SPAWNS;
+    if (world.tick < schedule.firstTick || (world.tick - schedule.firstTick) % schedule.interval !== 0) {
+        return;
+    }
+
+    for (let attempt = 0; attempt < 50; attempt++) {
+        const x = randomInt(world.random, schedule.minX, schedule.maxX);
+        const y = randomInt(world.random, 1, MAP_SIZE - 2);
+        const mx = MAP_SIZE - 1 - x;
+        const my = MAP_SIZE - 1 - y;
+        const free = (px, py) => world.getTerrain(px, py) !== TERRAIN_WALL && world.objectsAt(px, py).length === 0;
+
+        if ((x !== mx || y !== my) && free(x, y) && free(mx, my)) {
+            world.addContainer(x, y, schedule.amount, schedule.ticksToDecay, RESOURCE_SCORE);
+            world.addContainer(mx, my, schedule.amount, schedule.ticksToDecay, RESOURCE_SCORE);
+            return;
+        }
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * Spawn and Swamp style map generation.
+ * Terrain is random but point-symmetric for a given seed; spawns, base containers
+ * and the walls gating them use the fixed coordinates of the live arena layout.
+ * The terrain helpers are shared with the other arenas' generators.
+ */
+
+import { createRandom, randomInt } from './random.mjs';
+import { search, MAP_SIZE } from './pathfinder.mjs';
+import { TERRAIN_PLAIN, TERRAIN_WALL, TERRAIN_SWAMP } from '../game/constants.mjs';
+
+const BASE_CLEAR_RADIUS = 7;
+
+// Per-side base features. gated containers sit in a terrain pocket whose only
+// entrance is the listed StructureWall tile.
+const BASE_LAYOUTS = [
+    {
+        spawn: { x: 5, y: 45 },
+        openContainers: [{ x: 5, y: 49 }],
+        gatedContainers: [
+            { container: { x: 1, y: 46 }, wall: { x: 2, y: 46 } },
+            { container: { x: 12, y: 44 }, wall: { x: 11, y: 44 } }
+        ]
+    },
+    {
+        spawn: { x: 94, y: 54 },
+        openContainers: [{ x: 94, y: 50 }],
+        gatedContainers: [
+            { container: { x: 98, y: 55 }, wall: { x: 97, y: 55 } },
+            { container: { x: 87, y: 55 }, wall: { x: 88, y: 55 } }
+        ]
+    }
+];
+
+export const SPAWN_AND_SWAMP_ARENA = {
+    name: 'Spawn and Swamp',
+    level: 1,
+    season: 'beta',
+    ticksLimit: 2000,
+    cpuTimeLimit: 50000000,
+    cpuTimeLimitFirstTick: 1000000000
+};
+
+/**
+ * Generate a Spawn and Swamp layout
+ * @param {number} seed - Terrain seed
+ * @param {object} options - Layout options
+ * @param {boolean} options.withSources - Place a symmetric pair of Sources (the live arena has none)
+ * @returns {object} Layout consumed by World
+ */
+export function generateSpawnAndSwamp(seed, options = {}) {
+    const random = createRandom(seed);
+    const terrain = generateTerrain(random, BASE_LAYOUTS.map(base => base.spawn));
+
+    // Enclose gated containers: every neighbour except the gate wall becomes terrain wall
+    for (const base of BASE_LAYOUTS) {
+        for (const { container, wall } of base.gatedContainers) {
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const x = container.x + dx;
+                    const y = container.y + dy;
+                    if ((dx || dy) && !(x === wall.x && y === wall.y)) {
+                        terrain[y * MAP_SIZE + x] = TERRAIN_WALL;
+                    }
+                }
+            }
+            terrain[container.y * MAP_SIZE + container.x] = TERRAIN_PLAIN;
+            terrain[wall.y * MAP_SIZE + wall.x] = TERRAIN_PLAIN;
+        }
+    }
+
+    ensureSpawnsConnected(terrain, BASE_LAYOUTS[0].spawn, BASE_LAYOUTS[1].spawn);
+    fillUnreachablePockets(terrain, BASE_LAYOUTS[0].spawn);
+
+    const sources = options.withSources
+        ? [{ x: 50, y: 20, energy: 1000, energyCapacity: 1000 }, { x: 49, y: 79, energy: 1000, energyCapacity: 1000 }]
+        : [];
+    for (const source of sources) {
+        terrain[source.y * MAP_SIZE + source.x] = TERRAIN_PLAIN;
+    }
+
+    return {
+        arena: { ...SPAWN_AND_SWAMP_ARENA },
+        terrain,
+        players: BASE_LAYOUTS.map(base => ({
+            spawn: { ...base.spawn, energy: 500 },
+            containers: [
+                ...base.openContainers.map(pos => ({ ...pos, energy: 500 })),
+                ...base.gatedContainers.map(g => ({ ...g.container, energy: 500 }))
+            ],
+            walls: base.gatedContainers.map(g => ({ ...g.wall }))
+        })),
+        sources,
+        containerSpawns: {
+            firstTick: 50,
+            interval: 50,
+            energy: 500,
+            ticksToDecay: 500,
+            minX: 20,
+            maxX: 79
+        }
+    };
+}
+
+/**
+ * Paint point-symmetric swamp and wall terrain with a plain clearing around each base
+ * @param {function} random - Seeded random source
+ * @param {object[]} bases - Base positions to keep clear
+ * @returns {Uint8Array} Terrain grid
+ */
+export function generateTerrain(random, bases) {
+    const terrain = new Uint8Array(MAP_SIZE * MAP_SIZE).fill(TERRAIN_PLAIN);
+
+    const setMirrored = (x, y, value) => {
+        if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) return;
+        terrain[y * MAP_SIZE + x] = value;
+        terrain[(MAP_SIZE - 1 - y) * MAP_SIZE + (MAP_SIZE - 1 - x)] = value;
+    };
+
+    const paintBlob = (value, minRadius, maxRadius) => {
+        const cx = randomInt(random, 1, MAP_SIZE - 2);
+        const cy = randomInt(random, 1, MAP_SIZE / 2);
+        const radius = randomInt(random, minRadius, maxRadius);
+        for (let dy = -radius; dy <= radius; dy++) {
+            for (let dx = -radius; dx <= radius; dx++) {
+                if (dx * dx + dy * dy <= radius * radius + random() * radius) {
+                    setMirrored(cx + dx, cy + dy, value);
+                }
+            }
+        }
+    };
+
+    for (let i = 0; i < 45; i++) paintBlob(TERRAIN_SWAMP, 3, 9);
+    for (let i = 0; i < 18; i++) paintBlob(TERRAIN_WALL, 1, 3);
+
+    for (let i = 0; i < MAP_SIZE; i++) {
+        setMirrored(i, 0, TERRAIN_WALL);
+        setMirrored(0, i, TERRAIN_WALL);
+    }
+
+    for (const base of bases) {
+        for (let dy = -BASE_CLEAR_RADIUS; dy <= BASE_CLEAR_RADIUS; dy++) {
+            for (let dx = -BASE_CLEAR_RADIUS; dx <= BASE_CLEAR_RADIUS; dx++) {
+                const x = base.x + dx;
+                const y = base.y + dy;
+                if (x > 0 && y > 0 && x < MAP_SIZE - 1 && y < MAP_SIZE - 1) {
+                    terrain[y * MAP_SIZE + x] = TERRAIN_PLAIN;
+                }
+            }
+        }
+    }
+
+    return terrain;
+}
+
+/**
+ * Carve a swamp corridor along the straight line between spawns if terrain cuts them apart
+ * @param {Uint8Array} terrain - Terrain grid (mutated)
+ * @param {object} from - First spawn position
+ * @param {object} to - Second spawn position
+ */
+export function ensureSpawnsConnected(terrain, from, to) {
+    const costAt = (x, y) => terrain[y * MAP_SIZE + x] === TERRAIN_WALL ? 255 : 1;
+    const result = search(from, [{ x: to.x, y: to.y, range: 1 }], { costAt, minCost: 1, maxOps: 100000 });
+    if (!result.incomplete) return;
+
+    const steps = Math.max(Math.abs(to.x - from.x), Math.abs(to.y - from.y));
+    for (let i = 0; i <= steps; i++) {
+        const x = Math.round(from.x + (to.x - from.x) * i / steps);
+        const y = Math.round(from.y + (to.y - from.y) * i / steps);
+        if (terrain[y * MAP_SIZE + x] === TERRAIN_WALL) {
+            terrain[y * MAP_SIZE + x] = TERRAIN_SWAMP;
+        }
+    }
+}
+
+/**
+ * Turn walkable tiles that cannot be reached from the spawn into walls
+ * @param {Uint8Array} terrain - Terrain grid (mutated)
+ * @param {object} start - A reachable position
+ */
+export function fillUnreachablePockets(terrain, start) {
+    const reached = new Uint8Array(MAP_SIZE * MAP_SIZE);
+    const queue = [start.y * MAP_SIZE + start.x];
+    reached[queue[0]] = 1;
+
+    while (queue.length > 0) {
+        const node = queue.pop();
+        const x = node % MAP_SIZE;
+        const y = (node - x) / MAP_SIZE;
+        for (let dy = -1; dy <= 1; dy++) {
+            for (let dx = -1; dx <= 1; dx++) {
+                const nx = x + dx;
+                const ny = y + dy;
+                if (nx < 0 || ny < 0 || nx >= MAP_SIZE || ny >= MAP_SIZE) continue;
+                const next = ny * MAP_SIZE + nx;
+                if (!reached[next] && terrain[next] !== TERRAIN_WALL) {
+                    reached[next] = 1;
+                    queue.push(next);
+                }
+            }
+        }
+    }
+
+    for (let i = 0; i < terrain.length; i++) {
+        if (!reached[i]) terrain[i] = TERRAIN_WALL;
+    }
+}
@@ -0,0 +1,192 @@
+/**
+ * Grid search shared by findPath, searchPath and findClosestByPath.
+ * Weighted A* over the 100x100 arena with 8-way movement, where the cost of a
+ * step is the cost of the tile being entered.
+ */
+
+export const MAP_SIZE = 100;
+const NODE_COUNT = MAP_SIZE * MAP_SIZE;
+
+const DX = [0, 1, 1, 1, 0, -1, -1, -1];
+const DY = [-1, -1, 0, 1, 1, 1, 0, -1];
+
+// Scratch buffers reused across searches; a node belongs to the current search
+// only while its stamp matches searchGeneration
+const gScore = new Float64Array(NODE_COUNT);
+const parent = new Int32Array(NODE_COUNT);
+const openStamp = new Uint32Array(NODE_COUNT);
+const closedStamp = new Uint32Array(NODE_COUNT);
+let searchGeneration = 0;
+
+// Binary min-heap of node indexes keyed by f score (duplicates allowed, stale entries skipped)
+let heapNodes = new Int32Array(1024);
+let heapKeys = new Float64Array(1024);
+let heapSize = 0;
+
+function heapPush(node, key) {
+    if (heapSize === heapNodes.length) {
+        const nodes = new Int32Array(heapSize * 2);
+        const keys = new Float64Array(heapSize * 2);
+        nodes.set(heapNodes);
+        keys.set(heapKeys);
+        heapNodes = nodes;
+        heapKeys = keys;
+    }
+
+    let i = heapSize++;
+    while (i > 0) {
+        const p = (i - 1) >> 1;
+        if (heapKeys[p] <= key) break;
+        heapNodes[i] = heapNodes[p];
+        heapKeys[i] = heapKeys[p];
+        i = p;
+    }
+    heapNodes[i] = node;
+    heapKeys[i] = key;
+}
+
+function heapPop() {
+    const top = heapNodes[0];
+    const lastNode = heapNodes[--heapSize];
+    const lastKey = heapKeys[heapSize];
+
+    let i = 0;
+    while (true) {
+        let child = 2 * i + 1;
+        if (child >= heapSize) break;
+        if (child + 1 < heapSize && heapKeys[child + 1] < heapKeys[child]) child++;
+        if (heapKeys[child] >= lastKey) break;
+        heapNodes[i] = heapNodes[child];
+        heapKeys[i] = heapKeys[child];
+        i = child;
+    }
+    heapNodes[i] = lastNode;
+    heapKeys[i] = lastKey;
+    return top;
+}
+
+/**
+ * Normalize a goal or goal array into [{ x, y, range }]
+ * @param {object|object[]} goals - Positions or { pos, range } objects
+ * @returns {object[]} Normalized goals
+ */
+export function normalizeGoals(goals) {
+    const list = Array.isArray(goals) ? goals : [goals];
+    return list
+        .filter(g => g)
+        .map(g => g.pos ? { x: g.pos.x, y: g.pos.y, range: g.range || 0 } : { x: g.x, y: g.y, range: 0 });
+}
+
+/**
+ * Run a search from origin toward (or away from) the goals
+ * @param {object} origin - Start position {x, y}
+ * @param {object[]} goals - Normalized goals from normalizeGoals
+ * @param {object} opts - Search options
+ * @param {function} opts.costAt - (x, y) => step cost, Infinity (or >= 255) when impassable
+ * @param {number} opts.minCost - Lowest possible step cost, scales the heuristic
+ * @param {boolean} opts.flee - Search for a path out of range of every goal
+ * @param {number} opts.maxOps - Maximum node expansions
+ * @param {number} opts.maxCost - Maximum path cost
+ * @param {number} opts.heuristicWeight - A* heuristic weight
+ * @returns {object} { path, ops, cost, incomplete }
+ */
+export function search(origin, goals, opts) {
+    const { costAt, flee = false } = opts;
+    const minCost = Math.max(1, opts.minCost || 1);
+    const maxOps = opts.maxOps || 50000;
+    const maxCost = opts.maxCost !== undefined ? opts.maxCost : Infinity;
+    const weight = opts.heuristicWeight || 1.2;
+
+    if (goals.length === 0) {
+        return { path: [], ops: 0, cost: 0, incomplete: true };
+    }
+
+    // Distance-to-goal in tiles: 0 means this node satisfies the search
+    const remaining = (x, y) => {
+        if (flee) {
+            let worst = 0;
+            for (const g of goals) {
+                const d = Math.max(Math.abs(x - g.x), Math.abs(y - g.y));
+                worst = Math.max(worst, g.range - d);
+            }
+            return worst;
+        }
+        let best = Infinity;
+        for (const g of goals) {
+            const d = Math.max(Math.abs(x - g.x), Math.abs(y - g.y));
+            best = Math.min(best, Math.max(0, d - g.range));
+        }
+        return best;
+    };
+
+    searchGeneration++;
+    heapSize = 0;
+
+    const start = origin.y * MAP_SIZE + origin.x;
+    gScore[start] = 0;
+    parent[start] = -1;
+    openStamp[start] = searchGeneration;
+    heapPush(start, remaining(origin.x, origin.y) * minCost * weight);
+
+    let ops = 0;
+    let found = -1;
+    let bestNode = start;
+    let bestRemaining = remaining(origin.x, origin.y);
+
+    while (heapSize > 0) {
+        const node = heapPop();
+        if (closedStamp[node] === searchGeneration) continue;
+        closedStamp[node] = searchGeneration;
+
+        const x = node % MAP_SIZE;
+        const y = (node - x) / MAP_SIZE;
+        const h = remaining(x, y);
+
+        if (h === 0) {
+            found = node;
+            break;
+        }
+        if (h < bestRemaining || (h === bestRemaining && gScore[node] < gScore[bestNode])) {
+            bestRemaining = h;
+            bestNode = node;
+        }
+
+        if (++ops > maxOps) break;
+
+        for (let dir = 0; dir < 8; dir++) {
+            const nx = x + DX[dir];
+            const ny = y + DY[dir];
+            if (nx < 0 || ny < 0 || nx >= MAP_SIZE || ny >= MAP_SIZE) continue;
+
+            const next = ny * MAP_SIZE + nx;
+            if (closedStamp[next] === searchGeneration) continue;
+
+            const stepCost = costAt(nx, ny);
+            if (!(stepCost < 255)) continue;
+
+            const g = gScore[node] + stepCost;
+            if (g > maxCost) continue;
+            if (openStamp[next] === searchGeneration && gScore[next] <= g) continue;
+
+            openStamp[next] = searchGeneration;
+            gScore[next] = g;
+            parent[next] = node;
+            heapPush(next, g + remaining(nx, ny) * minCost * weight);
+        }
+    }
+
+    const end = found >= 0 ? found : bestNode;
+    const path = [];
+    for (let node = end; node !== start && node >= 0; node = parent[node]) {
+        const x = node % MAP_SIZE;
+        path.push({ x, y: (node - x) / MAP_SIZE });
+    }
+    path.reverse();
+
+    return {
+        path,
+        ops,
+        cost: gScore[end],
+        incomplete: found < 0
+    };
+}
@@ -0,0 +1,26 @@
+/**
+ * Seeded pseudo-random generator (mulberry32) so simulated matches are reproducible.
+ * @param {number} seed - Integer seed
+ * @returns {function} Generator returning floats in [0, 1)
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Random integer in [min, max]
+ * @param {function} random - Generator from createRandom
+ * @param {number} min - Lower bound (inclusive)
+ * @param {number} max - Upper bound (inclusive)
+ * @returns {number} Random integer
+ */
+export function randomInt(random, min, max) {
+    return min + Math.floor(random() * (max - min + 1));
+}
@@ -0,0 +1,29 @@
+/**
+ * Holds the world the stand-in game modules operate on.
+ * The game/* modules are imported by bot code, so they cannot take the world
+ * as an argument; the runner installs it here before the first tick.
+ */
+
+let activeWorld = null;
+
+/**
+ * Install the world used by the game/* stand-ins
+ * @param {object} world - The World instance
+ */
+export function setWorld(world) {
+    activeWorld = world;
+}
+
+/**
+ * Get the world used by the game/* stand-ins
+ * @returns {object} The active World instance
+ */
+export function getWorld() {
+    if (!activeWorld) {
+        throw new Error('No simulated world is active; game/* modules are only usable inside the simulator');
+    }
+    return activeWorld;
+}
+
+/** Symbol key for engine-only object state (owner, intents) so it stays out of bot-visible enumeration */
+export const INTERNAL = Symbol('internal');
@@ -0,0 +1,847 @@
+/**
+ * Simulated arena state and end-of-tick intent resolution.
+ *
+ * Each tick the runner lets every player's loop() queue intents, then calls
+ * processTick(), which resolves them in fixed phases:
+ *   1. combat (melee, ranged, heals, towers) applied simultaneously
+ *   2. harvesting and building
+ *   3. movement, with collision resolution and fatigue
+ *   4. spawning, regeneration, decay, map events and the arena's own rules
+ * Store operations (transfer, withdraw, pickup, drop) apply immediately when called.
+ */
+
+import { INTERNAL } from './state.mjs';
+import { MAP_SIZE } from './pathfinder.mjs';
+import { createRandom, randomInt } from './random.mjs';
+import {
+    Creep, Structure, OwnedStructure, StructureSpawn, StructureContainer, StructureExtension,
+    StructureTower, StructureRampart, StructureRoad, StructureWall, ConstructionSite, Source,
+    Resource, countActiveParts, createGeneralStore, createLimitedStore, adjustStore
+} from '../game/prototypes.mjs';
+import {
+    MOVE, CARRY, WORK, ATTACK, RANGED_ATTACK, HEAL, RESOURCE_ENERGY,
+    TERRAIN_WALL, TERRAIN_SWAMP, ATTACK_POWER, RANGED_ATTACK_POWER, RANGED_ATTACK_DISTANCE_RATE,
+    HEAL_POWER, RANGED_HEAL_POWER, HARVEST_POWER, BUILD_POWER, CARRY_CAPACITY,
+    TOWER_ENERGY_COST, TOWER_POWER_ATTACK, TOWER_POWER_HEAL, TOWER_OPTIMAL_RANGE,
+    TOWER_FALLOFF_RANGE, TOWER_FALLOFF, TOWER_COOLDOWN, TOWER_HITS, TOWER_CAPACITY,
+    SPAWN_HITS, SPAWN_ENERGY_CAPACITY, EXTENSION_HITS, EXTENSION_ENERGY_CAPACITY,
+    CONTAINER_HITS, CONTAINER_CAPACITY, WALL_HITS, RAMPART_HITS, ROAD_HITS,
+    SOURCE_ENERGY_REGEN, RESOURCE_DECAY
+} from '../game/constants.mjs';
+
+// Direction constant -> [dx, dy]
+const DIRECTION_OFFSETS = {
+    1: [0, -1], 2: [1, -1], 3: [1, 0], 4: [1, 1],
+    5: [0, 1], 6: [-1, 1], 7: [-1, 0], 8: [-1, -1]
+};
+
+const NON_WALKABLE_STRUCTURES = [StructureWall, StructureSpawn, StructureExtension, StructureTower];
+
+/**
+ * Chebyshev range between two positions
+ * @param {object} a - First position
+ * @param {object} b - Second position
+ * @returns {number} Range in tiles
+ */
+function range(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+/**
+ * Scale tower power by distance the way the live arena does
+ * @param {number} power - Power at optimal range
+ * @param {number} distance - Range to target
+ * @returns {number} Effective power
+ */
+export function towerPowerAtRange(power, distance) {
+    if (distance <= TOWER_OPTIMAL_RANGE) return power;
+    const clamped = Math.min(distance, TOWER_FALLOFF_RANGE);
+    const falloff = TOWER_FALLOFF * (clamped - TOWER_OPTIMAL_RANGE) / (TOWER_FALLOFF_RANGE - TOWER_OPTIMAL_RANGE);
+    return Math.floor(power * (1 - falloff));
+}
+
+export class World {
+    /**
+     * @param {object} layout - Layout from a map generator
+     * @param {object} options - World options
+     * @param {number} options.seed - Seed for map events
+     * @param {number} options.playerCount - Number of players
+     */
+    constructor(layout, { seed = 1, playerCount = 2 } = {}) {
+        this.arena = layout.arena;
+        this.terrain = layout.terrain;
+        this.containerSpawns = layout.containerSpawns;
+        this.rules = layout.rules || null; // Arena rules beyond Spawn and Swamp: { populate, runEvents, checkResult, describe }
+        this.random = createRandom(seed ^ 0x5bd1e995);
+
+        this.tick = 0;
+        this.objects = new Map();
+        this.nextId = 1;
+        this.currentPlayer = null;
+        this.intents = new Map();
+        this.version = 0;
+        this.obstacleCache = null;
+        this.cpuStartedAt = 0n;
+        this.result = null;
+        this.stats = Array.from({ length: playerCount }, () => ({
+            creepsSpawned: 0,
+            creepsLost: 0,
+            damageDealt: 0,
+            errors: 0
+        }));
+
+        this.populate(layout);
+    }
+
+    // ===========================
+    // Object Registry
+    // ===========================
+
+    /**
+     * Place the initial objects described by a layout
+     * @param {object} layout - Layout from a map generator
+     */
+    populate(layout) {
+        layout.players.forEach((player, owner) => {
+            if (player.spawn) {
+                const spawn = new StructureSpawn(player.spawn.x, player.spawn.y, SPAWN_HITS,
+                    createLimitedStore(SPAWN_ENERGY_CAPACITY, [RESOURCE_ENERGY], { [RESOURCE_ENERGY]: player.spawn.energy }));
+                this.addObject(spawn, owner);
+            }
+
+            for (const c of player.containers) {
+                this.addContainer(c.x, c.y, c.energy);
+            }
+            for (const w of player.walls) {
+                this.addObject(new StructureWall(w.x, w.y, WALL_HITS));
+            }
+        });
+
+        for (const s of layout.sources) {
+            this.addObject(new Source(s.x, s.y, s.energy, s.energyCapacity));
+        }
+
+        if (this.rules) {
+            this.rules.populate(this, layout);
+        }
+    }
+
+    /**
+     * Register an object in the world
+     * @param {GameObject} object - The object
+     * @param {number} owner - Owning player index, undefined for neutral objects
+     * @returns {GameObject} The object
+     */
+    addObject(object, owner = undefined) {
+        object.id = String(this.nextId++);
+        object.exists = true;
+        object[INTERNAL].owner = owner;
+        this.objects.set(object.id, object);
+        this.version++;
+        return object;
+    }
+
+    /**
+     * Remove an object from the world
+     * @param {GameObject} object - The object
+     */
+    removeObject(object) {
+        object.exists = false;
+        this.objects.delete(object.id);
+        this.version++;
+    }
+
+    /**
+     * Add a neutral container
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} amount - Initial amount of the resource
+     * @param {number} ticksToDecay - Ticks until it disappears, undefined for permanent
+     * @param {string} resourceType - Resource the container starts with
+     * @returns {StructureContainer} The container
+     */
+    addContainer(x, y, amount, ticksToDecay = undefined, resourceType = RESOURCE_ENERGY) {
+        const container = new StructureContainer(x, y, CONTAINER_HITS,
+            createGeneralStore(CONTAINER_CAPACITY, { [resourceType]: amount }));
+        if (ticksToDecay !== undefined) {
+            container.ticksToDecay = ticksToDecay;
+        }
+        return this.addObject(container);
+    }
+
+    /**
+     * Get the owner index of an object
+     * @param {GameObject} object - The object
+     * @returns {number|undefined} Player index or undefined if neutral
+     */
+    ownerOf(object) {
+        return object[INTERNAL].owner;
+    }
+
+    /**
+     * Objects at a tile
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {GameObject[]} Objects at the tile
+     */
+    objectsAt(x, y) {
+        const result = [];
+        for (const object of this.objects.values()) {
+            if (object.x === x && object.y === y) result.push(object);
+        }
+        return result;
+    }
+
+    // ===========================
+    // Terrain and Obstacles
+    // ===========================
+
+    getTerrain(x, y) {
+        if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) return TERRAIN_WALL;
+        return this.terrain[y * MAP_SIZE + x];
+    }
+
+    /**
+     * Whether a structure blocks movement for a player
+     * @param {GameObject} object - The object
+     * @param {number} player - Player index
+     * @returns {boolean} True if the object blocks the tile
+     */
+    blocksMovement(object, player) {
+        if (object instanceof StructureRampart) {
+            return this.ownerOf(object) !== player;
+        }
+        return NON_WALKABLE_STRUCTURES.some(proto => object instanceof proto);
+    }
+
+    /**
+     * Tiles blocked by objects from the current player's point of view
+     * @param {GameObject[]} ignore - Objects not treated as obstacles
+     * @returns {Uint8Array} 1 for blocked tiles
+     */
+    getObstacleGrid(ignore) {
+        const player = this.currentPlayer;
+        const ignored = ignore && ignore.length > 0 ? new Set(ignore.map(o => o.id)) : null;
+
+        if (!ignored && this.obstacleCache &&
+            this.obstacleCache.version === this.version && this.obstacleCache.player === player) {
+            return this.obstacleCache.grid;
+        }
+
+        const grid = new Uint8Array(MAP_SIZE * MAP_SIZE);
+        for (const object of this.objects.values()) {
+            if (ignored && ignored.has(object.id)) continue;
+            const blocking = object instanceof Creep ? !object.spawning : this.blocksMovement(object, player);
+            if (blocking) {
+                grid[object.y * MAP_SIZE + object.x] = 1;
+            }
+        }
+
+        if (!ignored) {
+            this.obstacleCache = { version: this.version, player, grid };
+        }
+        return grid;
+    }
+
+    /**
+     * Whether a creep of the given owner could stand on a tile (ignoring other creeps)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} player - Player index
+     * @returns {boolean} True if the tile is walkable
+     */
+    isWalkable(x, y, player) {
+        if (this.getTerrain(x, y) === TERRAIN_WALL) return false;
+        return !this.objectsAt(x, y).some(o => !(o instanceof Creep) && this.blocksMovement(o, player));
+    }
+
+    /**
+     * Whether a hostile rampart covers the target
+     * @param {GameObject} target - The target object
+     * @returns {boolean} True if protected from the current player
+     */
+    isProtectedByHostileRampart(target) {
+        return this.objectsAt(target.x, target.y).some(o =>
+            o instanceof StructureRampart && o !== target &&
+            this.ownerOf(o) !== undefined && this.ownerOf(o) !== this.currentPlayer
+        );
+    }
+
+    /**
+     * Direction constant for a step between adjacent positions
+     * @param {object} from - Start position
+     * @param {object} to - Adjacent position
+     * @returns {number} Direction constant
+     */
+    directionTo(from, to) {
+        const dx = Math.sign(to.x - from.x);
+        const dy = Math.sign(to.y - from.y);
+        return Number(Object.keys(DIRECTION_OFFSETS).find(d =>
+            DIRECTION_OFFSETS[d][0] === dx && DIRECTION_OFFSETS[d][1] === dy
+        ));
+    }
+
+    // ===========================
+    // Player Turns
+    // ===========================
+
+    /**
+     * Advance the tick counter before players act
+     */
+    beginTick() {
+        this.tick++;
+        this.intents.clear();
+    }
+
+    /**
+     * Run one player's loop with that player's point of view
+     * @param {number} player - Player index
+     * @param {function} loop - The player's exported loop
+     */
+    runPlayer(player, loop) {
+        this.currentPlayer = player;
+        this.cpuStartedAt = process.hrtime.bigint();
+        try {
+            loop();
+        } finally {
+            this.currentPlayer = null;
+        }
+    }
+
+    getCpuTime() {
+        return Number(process.hrtime.bigint() - this.cpuStartedAt);
+    }
+
+    /**
+     * Record an intent; a later intent in the same slot replaces the earlier one
+     * @param {GameObject} object - The acting creep or structure
+     * @param {string} slot - Intent slot
+     * @param {object} payload - Intent data
+     */
+    queueIntent(object, slot, payload) {
+        let slots = this.intents.get(object.id);
+        if (!slots) {
+            slots = {};
+            this.intents.set(object.id, slots);
+        }
+        slots[slot] = payload;
+    }
+
+    // ===========================
+    // Spawning and Construction Helpers
+    // ===========================
+
+    /**
+     * Own spawn and extensions that hold energy for spawning, spawn first
+     * @param {StructureSpawn} spawn - The spawn
+     * @returns {Structure[]} Energy structures
+     */
+    spawnEnergyStructures(spawn) {
+        const owner = this.ownerOf(spawn);
+        const extensions = [...this.objects.values()]
+            .filter(o => o instanceof StructureExtension && this.ownerOf(o) === owner)
+            .sort((a, b) => range(spawn, a) - range(spawn, b));
+        return [spawn, ...extensions];
+    }
+
+    getSpawnEnergyAvailable(spawn) {
+        return this.spawnEnergyStructures(spawn).reduce((sum, s) => sum + (s.store[RESOURCE_ENERGY] || 0), 0);
+    }
+
+    withdrawSpawnEnergy(spawn, amount) {
+        let remaining = amount;
+        for (const structure of this.spawnEnergyStructures(spawn)) {
+            const taken = Math.min(remaining, structure.store[RESOURCE_ENERGY] || 0);
+            adjustStore(structure.store, RESOURCE_ENERGY, -taken);
+            remaining -= taken;
+            if (remaining === 0) break;
+        }
+    }
+
+    cancelSpawning(spawn) {
+        if (spawn.spawning) {
+            this.removeObject(spawn.spawning.creep);
+            spawn.spawning = null;
+        }
+    }
+
+    /**
+     * Whether something prevents a construction site of this prototype at a tile
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {function} prototype - Structure prototype to build
+     * @returns {boolean} True if the tile is taken
+     */
+    hasConstructionBlocker(x, y, prototype) {
+        return this.objectsAt(x, y).some(o => {
+            if (o instanceof ConstructionSite) return true;
+            if (!(o instanceof Structure)) return false;
+            if (o instanceof prototype) return true;
+            if (prototype === StructureRampart) return false;
+            if (prototype === StructureRoad) return this.blocksMovement(o, this.currentPlayer) && !(o instanceof StructureRampart);
+            return !(o instanceof StructureRoad || o instanceof StructureRampart);
+        });
+    }
+
+    countConstructionSites(player) {
+        let count = 0;
+        for (const o of this.objects.values()) {
+            if (o instanceof ConstructionSite && this.ownerOf(o) === player) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Create a construction site for the current player
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {function} prototype - Structure prototype
+     * @param {number} progressTotal - Build points needed
+     * @returns {ConstructionSite} The site
+     */
+    createConstructionSite(x, y, prototype, progressTotal) {
+        const site = new ConstructionSite(x, y, this.makeStructure(prototype, x, y), progressTotal);
+        return this.addObject(site, this.currentPlayer);
+    }
+
+    /**
+     * Instantiate a structure with its standard hits and store
+     * @param {function} prototype - Structure prototype
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Structure} The (unregistered) structure
+     */
+    makeStructure(prototype, x, y) {
+        const energyOnly = capacity => createLimitedStore(capacity, [RESOURCE_ENERGY]);
+        switch (prototype) {
+            case StructureTower: return new StructureTower(x, y, TOWER_HITS, energyOnly(TOWER_CAPACITY));
+            case StructureExtension: return new StructureExtension(x, y, EXTENSION_HITS, energyOnly(EXTENSION_ENERGY_CAPACITY));
+            case StructureSpawn: return new StructureSpawn(x, y, SPAWN_HITS, energyOnly(SPAWN_ENERGY_CAPACITY));
+            case StructureContainer: return new StructureContainer(x, y, CONTAINER_HITS, createGeneralStore(CONTAINER_CAPACITY));
+            case StructureRampart: return new StructureRampart(x, y, RAMPART_HITS);
+            case StructureRoad: return new StructureRoad(x, y, ROAD_HITS);
+            default: return new StructureWall(x, y, WALL_HITS);
+        }
+    }
+
+    /**
+     * Drop a resource at a tile, into a container when one is there
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} resourceType - Resource type
+     * @param {number} amount - Amount dropped
+     */
+    dropResource(x, y, resourceType, amount) {
+        const here = this.objectsAt(x, y);
+        const container = here.find(o => o instanceof StructureContainer);
+        if (container) {
+            const stored = Math.min(amount, container.store.getFreeCapacity(resourceType));
+            adjustStore(container.store, resourceType, stored);
+            amount -= stored;
+        }
+        if (amount <= 0) return;
+
+        const pile = here.find(o => o instanceof Resource && o.resourceType === resourceType);
+        if (pile) {
+            pile.amount += amount;
+        } else {
+            this.addObject(new Resource(x, y, resourceType, amount));
+        }
+    }
+
+    // ===========================
+    // Tick Resolution
+    // ===========================
+
+    /**
+     * Resolve all queued intents and advance world state by one tick
+     */
+    processTick() {
+        this.resolveCombat();
+        this.resolveHarvestAndBuild();
+        this.resolveMovement();
+        this.advanceSpawning();
+        this.regenerateAndDecay();
+        this.runMapEvents();
+        if (this.rules) {
+            this.rules.runEvents(this);
+        }
+        this.checkResult();
+    }
+
+    /**
+     * Iterate queued intents with their acting objects
+     * @param {string} slot - Intent slot
+     * @returns {Array} [actor, payload] pairs for live actors
+     */
+    intentsFor(slot) {
+        const result = [];
+        for (const [id, slots] of this.intents) {
+            const actor = this.objects.get(id);
+            if (actor && slots[slot]) result.push([actor, slots[slot]]);
+        }
+        return result;
+    }
+
+    resolveCombat() {
+        const damage = new Map();
+        const healing = new Map();
+        const add = (map, target, amount) => {
+            if (amount > 0) map.set(target, (map.get(target) || 0) + amount);
+        };
+
+        // Redirect hits on a creep or structure to the owner's rampart covering it
+        const hit = (attacker, target, amount) => {
+            const attackerOwner = this.ownerOf(attacker);
+            const targetOwner = this.ownerOf(target);
+            const rampart = target instanceof StructureRampart ? null : this.objectsAt(target.x, target.y).find(o =>
+                o instanceof StructureRampart && targetOwner !== undefined &&
+                this.ownerOf(o) === targetOwner && targetOwner !== attackerOwner
+            );
+            add(damage, rampart || target, amount);
+            if (attackerOwner !== undefined && amount > 0) {
+                this.stats[attackerOwner].damageDealt += amount;
+            }
+        };
+
+        for (const [creep, intent] of this.intentsFor('attack')) {
+            const target = this.objects.get(intent.targetId);
+            if (!target || range(creep, target) > 1) continue;
+            hit(creep, target, ATTACK_POWER * countActiveParts(creep, ATTACK));
+
+            // Melee targets strike back with their own ATTACK parts
+            if (target instanceof Creep && this.ownerOf(target) !== this.ownerOf(creep)) {
+                hit(target, creep, ATTACK_POWER * countActiveParts(target, ATTACK));
+            }
+        }
+
+        for (const [creep, intent] of this.intentsFor('ranged')) {
+            const parts = countActiveParts(creep, RANGED_ATTACK);
+            if (intent.action === 'rangedMassAttack') {
+                const owner = this.ownerOf(creep);
+                for (const target of this.objects.values()) {
+                    const targetOwner = this.ownerOf(target);
+                    const isHostile = targetOwner !== undefined && targetOwner !== owner &&
+                        (target instanceof Creep || target instanceof OwnedStructure);
+                    const distance = range(creep, target);
+                    if (isHostile && distance <= 3 && !(target instanceof Creep && target.spawning)) {
+                        hit(creep, target, Math.floor(RANGED_ATTACK_POWER * parts * RANGED_ATTACK_DISTANCE_RATE[distance]));
+                    }
+                }
+            } else {
+                const target = this.objects.get(intent.targetId);
+                if (target && range(creep, target) <= 3) {
+                    hit(creep, target, RANGED_ATTACK_POWER * parts);
+                }
+            }
+        }
+
+        for (const [creep, intent] of this.intentsFor('heal')) {
+            const target = this.objects.get(intent.targetId);
+            if (!target) continue;
+            const parts = countActiveParts(creep, HEAL);
+            const isMelee = intent.action === 'heal';
+            if (range(creep, target) <= (isMelee ? 1 : 3)) {
+                add(healing, target, (isMelee ? HEAL_POWER : RANGED_HEAL_POWER) * parts);
+            }
+        }
+
+        for (const [tower, intent] of this.intentsFor('tower')) {
+            const target = this.objects.get(intent.targetId);
+            if (!target || tower.cooldown > 0 || (tower.store[RESOURCE_ENERGY] || 0) < TOWER_ENERGY_COST) continue;
+
+            adjustStore(tower.store, RESOURCE_ENERGY, -TOWER_ENERGY_COST);
+            tower.cooldown = TOWER_COOLDOWN;
+            const distance = range(tower, target);
+            if (intent.action === 'attack') {
+                hit(tower, target, towerPowerAtRange(TOWER_POWER_ATTACK, distance));
+            } else {
+                add(healing, target, towerPowerAtRange(TOWER_POWER_HEAL, distance));
+            }
+        }
+
+        const affected = new Set([...damage.keys(), ...healing.keys()]);
+        for (const target of affected) {
+            if (!target.exists) continue;
+            const dealt = damage.get(target) || 0;
+
+            if (target instanceof Creep) {
+                target.hits = Math.min(target.hitsMax, target.hits - dealt + (healing.get(target) || 0));
+                if (target.hits <= 0) {
+                    this.killCreep(target);
+                } else {
+                    this.distributeBodyHits(target);
+                }
+            } else if (target instanceof Structure && dealt > 0) {
+                target.hits -= dealt;
+                if (target.hits <= 0) {
+                    this.destroyStructure(target);
+                }
+            }
+        }
+    }
+
+    /**
+     * Spread a creep's hits over its body; damage is taken from the front parts first
+     * @param {Creep} creep - The creep
+     */
+    distributeBodyHits(creep) {
+        let remaining = creep.hits;
+        for (let i = creep.body.length - 1; i >= 0; i--) {
+            const partHits = Math.max(0, Math.min(100, remaining));
+            creep.body[i].hits = partHits;
+            remaining -= partHits;
+        }
+    }
+
+    killCreep(creep) {
+        creep.hits = 0;
+        for (const part of creep.body) part.hits = 0;
+        for (const resource in creep.store) {
+            this.dropResource(creep.x, creep.y, resource, creep.store[resource]);
+        }
+        const owner = this.ownerOf(creep);
+        if (owner !== undefined) this.stats[owner].creepsLost++;
+        this.removeObject(creep);
+    }
+
+    destroyStructure(structure) {
+        structure.hits = 0;
+        if (structure.store) {
+            for (const resource in structure.store) {
+                if (structure instanceof StructureContainer) {
+                    this.dropResource(structure.x, structure.y, resource, structure.store[resource]);
+                }
+            }
+        }
+        this.removeObject(structure);
+    }
+
+    resolveHarvestAndBuild() {
+        for (const [creep, intent] of this.intentsFor('harvest')) {
+            const source = this.objects.get(intent.targetId);
+            if (!source || range(creep, source) > 1) continue;
+
+            const amount = Math.min(source.energy, HARVEST_POWER * countActiveParts(creep, WORK));
+            source.energy -= amount;
+            const kept = Math.min(amount, creep.store.getFreeCapacity(RESOURCE_ENERGY));
+            adjustStore(creep.store, RESOURCE_ENERGY, kept);
+            if (amount > kept) {
+                this.dropResource(creep.x, creep.y, RESOURCE_ENERGY, amount - kept);
+            }
+        }
+
+        for (const [creep, intent] of this.intentsFor('build')) {
+            const site = this.objects.get(intent.targetId);
+            if (!site || range(creep, site) > 3) continue;
+
+            const structure = site.structure;
+            const owner = this.ownerOf(site);
+            const occupied = this.blocksMovement(structure, owner) &&
+                this.objectsAt(site.x, site.y).some(o => o instanceof Creep && !o.spawning);
+            if (occupied) continue;
+
+            const amount = Math.min(
+                BUILD_POWER * countActiveParts(creep, WORK),
+                creep.store[RESOURCE_ENERGY] || 0,
+                site.progressTotal - site.progress
+            );
+            adjustStore(creep.store, RESOURCE_ENERGY, -amount);
+            site.progress += amount;
+
+            if (site.progress >= site.progressTotal) {
+                this.removeObject(site);
+                this.addObject(structure, structure instanceof OwnedStructure ? owner : undefined);
+            }
+        }
+    }
+
+    /**
+     * Fatigue a creep generates for one step onto a tile
+     * @param {Creep} creep - The moving creep
+     * @param {number} x - Destination X
+     * @param {number} y - Destination Y
+     * @returns {number} Fatigue added
+     */
+    moveFatigue(creep, x, y) {
+        const onRoad = this.objectsAt(x, y).some(o => o instanceof StructureRoad);
+        const tileCost = onRoad ? 1 : this.getTerrain(x, y) === TERRAIN_SWAMP ? 10 : 2;
+
+        // Empty CARRY parts weigh nothing; loaded ones count like any other part
+        let loadedCarry = Math.ceil(creep.store.getUsedCapacity() / CARRY_CAPACITY);
+        let weight = 0;
+        for (const part of creep.body) {
+            if (part.type === MOVE) continue;
+            if (part.type === CARRY) {
+                if (loadedCarry > 0) {
+                    loadedCarry--;
+                    weight++;
+                }
+                continue;
+            }
+            weight++;
+        }
+        return weight * tileCost;
+    }
+
+    resolveMovement() {
+        const movers = new Map();
+
+        for (const [creep, intent] of this.intentsFor('move')) {
+            if (!(creep instanceof Creep) || creep.spawning || creep.fatigue > 0) continue;
+            const [dx, dy] = DIRECTION_OFFSETS[intent.direction];
+            const x = creep.x + dx;
+            const y = creep.y + dy;
+            if (this.isWalkable(x, y, this.ownerOf(creep))) {
+                movers.set(creep, { x, y, pulledBy: null });
+            }
+        }
+
+        // A pulled creep follows its puller into the tile the puller leaves
+        for (const [puller, intent] of this.intentsFor('pull')) {
+            const target = this.objects.get(intent.targetId);
+            if (movers.has(puller) && target && !movers.has(target) && range(puller, target) <= 1) {
+                movers.set(target, { x: puller.x, y: puller.y, pulledBy: puller });
+            }
+        }
+
+        const stationaryAt = new Map();
+        for (const object of this.objects.values()) {
+            if (object instanceof Creep && !object.spawning) {
+                stationaryAt.set(object.y * MAP_SIZE + object.x, object);
+            }
+        }
+
+        // Drop moves until the set is consistent: no mover enters a tile held by a creep
+        // that stays put, no two movers share a destination, no pull without its puller
+        let changed = true;
+        while (changed) {
+            changed = false;
+            const destinations = new Map();
+
+            for (const [creep, move] of movers) {
+                const occupant = stationaryAt.get(move.y * MAP_SIZE + move.x);
+                const blockedByStationary = occupant && occupant !== creep && !movers.has(occupant);
+                const lostPuller = move.pulledBy && !movers.has(move.pulledBy);
+                const key = move.y * MAP_SIZE + move.x;
+
+                if (blockedByStationary || lostPuller || destinations.has(key)) {
+                    movers.delete(creep);
+                    changed = true;
+                } else {
+                    destinations.set(key, creep);
+                }
+            }
+        }
+
+        for (const [creep, move] of movers) {
+            const fatigue = this.moveFatigue(creep, move.x, move.y);
+            if (move.pulledBy) {
+                move.pulledBy.fatigue += fatigue;
+            } else {
+                creep.fatigue += fatigue;
+            }
+        }
+        for (const [creep, move] of movers) {
+            creep.x = move.x;
+            creep.y = move.y;
+        }
+        if (movers.size > 0) this.version++;
+    }
+
+    advanceSpawning() {
+        for (const spawn of this.objects.values()) {
+            if (!(spawn instanceof StructureSpawn) || !spawn.spawning) continue;
+
+            const spawning = spawn.spawning;
+            if (!spawning.creep.exists) {
+                spawn.spawning = null;
+                continue;
+            }
+            if (spawning.remainingTime > 0) {
+                spawning.remainingTime--;
+            }
+            if (spawning.remainingTime > 0) continue;
+
+            const owner = this.ownerOf(spawn);
+            const exit = spawn.directions
+                .map(d => ({ x: spawn.x + DIRECTION_OFFSETS[d][0], y: spawn.y + DIRECTION_OFFSETS[d][1] }))
+                .find(pos => this.isWalkable(pos.x, pos.y, owner) &&
+                    !this.objectsAt(pos.x, pos.y).some(o => o instanceof Creep && !o.spawning));
+
+            if (exit) {
+                spawning.creep.x = exit.x;
+                spawning.creep.y = exit.y;
+                spawning.creep.spawning = false;
+                spawn.spawning = null;
+                this.version++;
+            }
+        }
+    }
+
+    regenerateAndDecay() {
+        for (const object of [...this.objects.values()]) {
+            if (object instanceof Creep) {
+                if (!object.spawning) {
+                    object.fatigue = Math.max(0, object.fatigue - 2 * countActiveParts(object, MOVE));
+                }
+            } else if (object instanceof StructureTower) {
+                object.cooldown = Math.max(0, object.cooldown - 1);
+            } else if (object instanceof Source) {
+                object.energy = Math.min(object.energyCapacity, object.energy + SOURCE_ENERGY_REGEN);
+            } else if (object instanceof Resource) {
+                object.amount -= Math.ceil(object.amount / RESOURCE_DECAY);
+                if (object.amount <= 0) this.removeObject(object);
+            }
+
+            if (object.exists && object.ticksToDecay !== undefined) {
+                object.ticksToDecay--;
+                if (object.ticksToDecay <= 0) this.removeObject(object);
+            }
+        }
+    }
+
+    /**
+     * Spawn mirrored pairs of neutral energy containers on the schedule from the layout
+     */
+    runMapEvents() {
+        const schedule = this.containerSpawns;
+        if (!schedule || this.tick < schedule.firstTick || (this.tick - schedule.firstTick) % schedule.interval !== 0) {
+            return;
+        }
+
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const x = randomInt(this.random, schedule.minX, schedule.maxX);
+            const y = randomInt(this.random, 1, MAP_SIZE - 2);
+            const mx = MAP_SIZE - 1 - x;
+            const my = MAP_SIZE - 1 - y;
+            const free = (px, py) => this.getTerrain(px, py) !== TERRAIN_WALL && this.objectsAt(px, py).length === 0;
+
+            if ((x !== mx || y !== my) && free(x, y) && free(mx, my)) {
+                this.addContainer(x, y, schedule.energy, schedule.ticksToDecay);
+                this.addContainer(mx, my, schedule.energy, schedule.ticksToDecay);
+                return;
+            }
+        }
+    }
+
+    checkResult() {
+        if (this.rules) {
+            this.result = this.rules.checkResult(this);
+            return;
+        }
+
+        const alive = this.stats.map((_, owner) => [...this.objects.values()].some(o =>
+            o instanceof StructureSpawn && this.ownerOf(o) === owner
+        ));
+
+        const survivors = alive.map((isAlive, owner) => isAlive ? owner : null).filter(o => o !== null);
+        if (survivors.length === 0) {
+            this.result = { winner: null, reason: 'all spawns destroyed', tick: this.tick };
+        } else if (survivors.length === 1 && alive.length > 1) {
+            this.result = { winner: survivors[0], reason: 'enemy spawn destroyed', tick: this.tick };
+        } else if (this.tick >= this.arena.ticksLimit) {
+            this.result = { winner: null, reason: 'tick limit reached', tick: this.tick };
+        }
+    }
+}
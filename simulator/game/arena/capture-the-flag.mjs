@@ -0,0 +1,22 @@
+/**
+ * Stand-in for the 'arena/season_beta/capture_the_flag/basic' module.
+ * Capturing and body part pickups are applied by the engine's capture the flag rules.
+ */
+
+import { GameObject, ownedByCurrentPlayer } from '../prototypes.mjs';
+
+export { StructureTower } from '../prototypes.mjs';
+
+export class Flag extends GameObject {
+    get my() {
+        return ownedByCurrentPlayer(this);
+    }
+}
+
+export class BodyPart extends GameObject {
+    constructor(x, y, type, ticksToDecay) {
+        super(x, y);
+        this.type = type;
+        this.ticksToDecay = ticksToDecay;
+    }
+}
@@ -0,0 +1,51 @@
+/**
+ * Stand-in for the 'arena/season_beta/collect_and_control/basic' module.
+ * Area effects and the match result are applied by the engine's collect and control rules.
+ */
+
+import { getWorld, INTERNAL } from '../../engine/state.mjs';
+import { GameObject, ownedByCurrentPlayer } from '../prototypes.mjs';
+import { RESOURCES_ALL } from '../constants.mjs';
+
+export const EFFECT_DAMAGE = 'damage';
+export const EFFECT_FREEZE = 'freeze';
+export const EFFECT_HEAL = 'heal';
+
+export const RESOURCE_SCORE = 'score';
+export const RESOURCE_SCORE_X = 'score_x';
+export const RESOURCE_SCORE_Y = 'score_y';
+export const RESOURCE_SCORE_Z = 'score_z';
+
+// Score resources are carried, dropped and transferred like energy once this arena is loaded
+RESOURCES_ALL.push(RESOURCE_SCORE, RESOURCE_SCORE_X, RESOURCE_SCORE_Y, RESOURCE_SCORE_Z);
+
+export class AreaEffect extends GameObject {
+    constructor(x, y, effect) {
+        super(x, y);
+        this.effect = effect;
+    }
+}
+
+export class ScoreCollector extends GameObject {
+    constructor(x, y, resourceType, scoreTotal) {
+        super(x, y);
+        this.resourceType = resourceType;
+        this.scoreTotal = scoreTotal;
+        this[INTERNAL].scores = {};
+        this[INTERNAL].deposit = (resource, amount) => {
+            if (resource !== this.resourceType) return false;
+            const player = getWorld().currentPlayer;
+            this[INTERNAL].scores[player] = (this[INTERNAL].scores[player] || 0) + amount;
+            return true;
+        };
+    }
+
+    get my() {
+        return ownedByCurrentPlayer(this);
+    }
+
+    /** Score delivered here by the player whose loop is running */
+    get score() {
+        return this[INTERNAL].scores[getWorld().currentPlayer] || 0;
+    }
+}
@@ -0,0 +1,26 @@
+/**
+ * Stand-in for the 'game' module.
+ */
+
+import { getWorld } from '../engine/state.mjs';
+
+export const arenaInfo = {
+    get name() {
+        return getWorld().arena.name;
+    },
+    get level() {
+        return getWorld().arena.level;
+    },
+    get season() {
+        return getWorld().arena.season;
+    },
+    get ticksLimit() {
+        return getWorld().arena.ticksLimit;
+    },
+    get cpuTimeLimit() {
+        return getWorld().arena.cpuTimeLimit;
+    },
+    get cpuTimeLimitFirstTick() {
+        return getWorld().arena.cpuTimeLimitFirstTick;
+    }
+};
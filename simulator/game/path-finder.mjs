@@ -0,0 +1,62 @@
+/**
+ * Stand-in for the 'game/path-finder' module.
+ */
+
+import { getWorld } from '../engine/state.mjs';
+import { search, normalizeGoals, MAP_SIZE } from '../engine/pathfinder.mjs';
+import { TERRAIN_WALL, TERRAIN_SWAMP } from './constants.mjs';
+
+export class CostMatrix {
+    constructor() {
+        this._bits = new Uint8Array(MAP_SIZE * MAP_SIZE);
+    }
+
+    get(x, y) {
+        if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) return 0;
+        return this._bits[y * MAP_SIZE + x];
+    }
+
+    set(x, y, cost) {
+        if (x < 0 || y < 0 || x >= MAP_SIZE || y >= MAP_SIZE) return;
+        this._bits[y * MAP_SIZE + x] = Math.max(0, Math.min(255, cost | 0));
+    }
+
+    clone() {
+        const copy = new CostMatrix();
+        copy._bits.set(this._bits);
+        return copy;
+    }
+}
+
+/**
+ * Build the per-tile cost function used by searchPath and findPath
+ * @param {object} options - Search options (costMatrix, plainCost, swampCost)
+ * @param {Uint8Array|null} obstacles - Tiles blocked by objects, or null to use terrain only
+ * @returns {object} { costAt, minCost }
+ */
+export function buildCostFunction(options = {}, obstacles = null) {
+    const terrain = getWorld().terrain;
+    const plainCost = options.plainCost || 2;
+    const swampCost = options.swampCost || 10;
+    const matrix = options.costMatrix;
+
+    const costAt = (x, y) => {
+        const index = y * MAP_SIZE + x;
+        if (matrix) {
+            const value = matrix._bits[index];
+            if (value > 0) return value;
+        }
+        if (obstacles && obstacles[index]) return 255;
+        const tile = terrain[index];
+        if (tile === TERRAIN_WALL) return 255;
+        return tile === TERRAIN_SWAMP ? swampCost : plainCost;
+    };
+
+    return { costAt, minCost: matrix ? 1 : Math.min(plainCost, swampCost) };
+}
+
+export function searchPath(origin, goal, options = {}) {
+    const goals = normalizeGoals(goal);
+    const { costAt, minCost } = buildCostFunction(options);
+    return search(origin, goals, { ...options, costAt, minCost });
+}
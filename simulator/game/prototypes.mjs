@@ -0,0 +1,567 @@
+/**
+ * Stand-in for the 'game/prototypes' module.
+ * Creep and structure methods validate their arguments here and either apply
+ * immediately (store transfers) or queue an intent that the engine resolves at
+ * the end of the tick (movement, combat, harvesting, building).
+ */
+
+import { getWorld, INTERNAL } from '../engine/state.mjs';
+import {
+    findClosestByPath, findClosestByRange, findInRange, findPath, getRange
+} from './utils.mjs';
+import {
+    OK, ERR_NOT_OWNER, ERR_NO_PATH, ERR_BUSY, ERR_NOT_ENOUGH_RESOURCES, ERR_NOT_ENOUGH_ENERGY,
+    ERR_INVALID_TARGET, ERR_FULL, ERR_NOT_IN_RANGE, ERR_INVALID_ARGS, ERR_TIRED, ERR_NO_BODYPART,
+    MOVE, WORK, CARRY, ATTACK, RANGED_ATTACK, HEAL, TOUGH,
+    BODYPART_COST, BODYPART_HITS, CARRY_CAPACITY, MAX_CREEP_SIZE, CREEP_SPAWN_TIME,
+    TOWER_ENERGY_COST, TOWER_RANGE, STRUCTURE_PROTOTYPES, RESOURCES_ALL,
+    TOP, TOP_LEFT
+} from './constants.mjs';
+
+const BODY_PART_TYPES = new Set([MOVE, WORK, CARRY, ATTACK, RANGED_ATTACK, HEAL, TOUGH]);
+
+// ===========================
+// Store
+// ===========================
+
+/**
+ * Resource cargo of a creep or structure.
+ * General stores (creeps, containers) accept any resource up to a shared capacity;
+ * limited stores (spawn, extension, tower) only hold the resources they were created with.
+ */
+class Store {
+    /**
+     * @param {number} capacity - Total capacity (general) or per-resource capacity (limited)
+     * @param {object} contents - Initial resource amounts
+     * @param {string[]|null} limitedTo - Accepted resources for a limited store, null for general
+     */
+    constructor(capacity, contents = {}, limitedTo = null) {
+        Object.defineProperty(this, INTERNAL, { value: { capacity, limitedTo }, writable: true });
+        for (const resource in contents) {
+            if (contents[resource] > 0) {
+                this[resource] = contents[resource];
+            }
+        }
+    }
+
+    getCapacity(resource) {
+        const { capacity, limitedTo } = this[INTERNAL];
+        if (!limitedTo) return capacity;
+        return resource && limitedTo.includes(resource) ? capacity : null;
+    }
+
+    getUsedCapacity(resource) {
+        const { limitedTo } = this[INTERNAL];
+        if (resource) return this[resource] || 0;
+        if (limitedTo) return null;
+        let total = 0;
+        for (const key in this) {
+            total += this[key];
+        }
+        return total;
+    }
+
+    getFreeCapacity(resource) {
+        const { capacity, limitedTo } = this[INTERNAL];
+        if (limitedTo) {
+            if (!resource || !limitedTo.includes(resource)) return null;
+            return capacity - (this[resource] || 0);
+        }
+        return capacity - this.getUsedCapacity();
+    }
+}
+
+/**
+ * Add or remove an amount of a resource, dropping empty keys
+ * @param {Store} store - The store to change
+ * @param {string} resource - Resource type
+ * @param {number} delta - Amount to add (negative to remove)
+ */
+export function adjustStore(store, resource, delta) {
+    const amount = (store[resource] || 0) + delta;
+    if (amount > 0) {
+        store[resource] = amount;
+    } else {
+        delete store[resource];
+    }
+}
+
+/**
+ * Create a store accepting any resource
+ * @param {number} capacity - Total capacity
+ * @param {object} contents - Initial contents
+ * @returns {Store} The store
+ */
+export function createGeneralStore(capacity, contents) {
+    return new Store(capacity, contents, null);
+}
+
+/**
+ * Create a store that only accepts the given resources
+ * @param {number} capacity - Capacity per resource
+ * @param {string[]} resources - Accepted resource types
+ * @param {object} contents - Initial contents
+ * @returns {Store} The store
+ */
+export function createLimitedStore(capacity, resources, contents) {
+    return new Store(capacity, contents, resources);
+}
+
+/**
+ * Change the capacity of a store (creep CARRY capacity)
+ * @param {Store} store - The store
+ * @param {number} capacity - New capacity
+ */
+export function setStoreCapacity(store, capacity) {
+    store[INTERNAL].capacity = capacity;
+}
+
+// ===========================
+// Base Prototypes
+// ===========================
+
+export class GameObject {
+    constructor(x, y) {
+        this.id = undefined;
+        this.x = x;
+        this.y = y;
+        this.exists = false;
+        Object.defineProperty(this, INTERNAL, { value: { owner: undefined }, writable: true });
+    }
+
+    findClosestByPath(positions, options) {
+        return findClosestByPath(this, positions, options);
+    }
+
+    findClosestByRange(positions) {
+        return findClosestByRange(this, positions);
+    }
+
+    findInRange(positions, range) {
+        return findInRange(this, positions, range);
+    }
+
+    findPathTo(pos, options) {
+        return findPath(this, pos, options);
+    }
+
+    getRangeTo(pos) {
+        return getRange(this, pos);
+    }
+}
+
+/**
+ * Whether the object belongs to the player whose loop is running
+ * @param {GameObject} object - The object to check
+ * @returns {boolean|undefined} true/false for owned objects, undefined for neutral ones
+ */
+export function ownedByCurrentPlayer(object) {
+    const owner = object[INTERNAL].owner;
+    if (owner === undefined) return undefined;
+    return owner === getWorld().currentPlayer;
+}
+
+export class Structure extends GameObject {
+    constructor(x, y, hits) {
+        super(x, y);
+        this.hits = hits;
+        this.hitsMax = hits;
+    }
+}
+
+export class OwnedStructure extends Structure {
+    get my() {
+        return ownedByCurrentPlayer(this);
+    }
+}
+
+// ===========================
+// Structures
+// ===========================
+
+export class StructureWall extends Structure {
+}
+
+export class StructureRoad extends Structure {
+}
+
+export class StructureContainer extends OwnedStructure {
+    constructor(x, y, hits, store) {
+        super(x, y, hits);
+        this.store = store;
+    }
+}
+
+export class StructureRampart extends OwnedStructure {
+}
+
+export class StructureExtension extends OwnedStructure {
+    constructor(x, y, hits, store) {
+        super(x, y, hits);
+        this.store = store;
+    }
+}
+
+export class StructureTower extends OwnedStructure {
+    constructor(x, y, hits, store) {
+        super(x, y, hits);
+        this.store = store;
+        this.cooldown = 0;
+    }
+
+    attack(target) {
+        return towerIntent(this, 'attack', target, t => t instanceof Creep || t instanceof Structure);
+    }
+
+    heal(target) {
+        return towerIntent(this, 'heal', target, t => t instanceof Creep);
+    }
+}
+
+/**
+ * Validate and queue a tower action
+ * @param {StructureTower} tower - The tower
+ * @param {string} action - 'attack' or 'heal'
+ * @param {GameObject} target - The target
+ * @param {function} isValidTarget - Target type check
+ * @returns {number} OK or an ERR_* code
+ */
+function towerIntent(tower, action, target, isValidTarget) {
+    if (!tower.my) return ERR_NOT_OWNER;
+    if (tower.cooldown > 0) return ERR_TIRED;
+    if ((tower.store.energy || 0) < TOWER_ENERGY_COST) return ERR_NOT_ENOUGH_ENERGY;
+    if (!target || !target.exists || !isValidTarget(target)) return ERR_INVALID_TARGET;
+    if (getRange(tower, target) > TOWER_RANGE) return ERR_NOT_IN_RANGE;
+
+    getWorld().queueIntent(tower, 'tower', { action, targetId: target.id });
+    return OK;
+}
+
+export class Spawning {
+    constructor(spawn, creep, needTime) {
+        this.needTime = needTime;
+        this.remainingTime = needTime;
+        this.creep = creep;
+        Object.defineProperty(this, INTERNAL, { value: { spawn } });
+    }
+
+    cancel() {
+        const spawn = this[INTERNAL].spawn;
+        if (!spawn.my) return ERR_NOT_OWNER;
+        getWorld().cancelSpawning(spawn);
+        return OK;
+    }
+}
+
+export class StructureSpawn extends OwnedStructure {
+    constructor(x, y, hits, store) {
+        super(x, y, hits);
+        this.store = store;
+        this.spawning = null;
+        this.directions = [1, 2, 3, 4, 5, 6, 7, 8];
+    }
+
+    setDirections(directions) {
+        if (!this.my) return ERR_NOT_OWNER;
+        if (!Array.isArray(directions) || directions.length === 0 ||
+            directions.some(d => !Number.isInteger(d) || d < TOP || d > TOP_LEFT)) {
+            return ERR_INVALID_ARGS;
+        }
+        this.directions = [...new Set(directions)];
+        return OK;
+    }
+
+    spawnCreep(body) {
+        if (!this.my) return { error: ERR_NOT_OWNER };
+        if (this.spawning) return { error: ERR_BUSY };
+        if (!Array.isArray(body) || body.length === 0 || body.length > MAX_CREEP_SIZE ||
+            body.some(part => !BODY_PART_TYPES.has(part))) {
+            return { error: ERR_INVALID_ARGS };
+        }
+
+        const world = getWorld();
+        const cost = body.reduce((sum, part) => sum + BODYPART_COST[part], 0);
+        if (world.getSpawnEnergyAvailable(this) < cost) {
+            return { error: ERR_NOT_ENOUGH_ENERGY };
+        }
+
+        world.withdrawSpawnEnergy(this, cost);
+        const creep = new Creep(this.x, this.y, body);
+        creep.spawning = true;
+        world.addObject(creep, world.currentPlayer);
+        this.spawning = new Spawning(this, creep, body.length * CREEP_SPAWN_TIME);
+        world.stats[world.currentPlayer].creepsSpawned++;
+        return { object: creep };
+    }
+}
+
+// ===========================
+// Other Game Objects
+// ===========================
+
+export class ConstructionSite extends GameObject {
+    constructor(x, y, structure, progressTotal) {
+        super(x, y);
+        this.progress = 0;
+        this.progressTotal = progressTotal;
+        this.structure = structure;
+    }
+
+    get my() {
+        return ownedByCurrentPlayer(this);
+    }
+
+    remove() {
+        if (!this.my) return ERR_NOT_OWNER;
+        getWorld().removeObject(this);
+        return OK;
+    }
+}
+
+export class Source extends GameObject {
+    constructor(x, y, energy, energyCapacity) {
+        super(x, y);
+        this.energy = energy;
+        this.energyCapacity = energyCapacity;
+    }
+}
+
+export class Resource extends GameObject {
+    constructor(x, y, resourceType, amount) {
+        super(x, y);
+        this.resourceType = resourceType;
+        this.amount = amount;
+    }
+}
+
+// ===========================
+// Creep
+// ===========================
+
+/**
+ * Count body parts of a type that still have hits
+ * @param {Creep} creep - The creep
+ * @param {string} type - Body part type
+ * @returns {number} Number of active parts
+ */
+export function countActiveParts(creep, type) {
+    let count = 0;
+    for (const part of creep.body) {
+        if (part.type === type && part.hits > 0) count++;
+    }
+    return count;
+}
+
+export class Creep extends GameObject {
+    constructor(x, y, body) {
+        super(x, y);
+        this.body = body.map(type => ({ type, hits: BODYPART_HITS }));
+        this.fatigue = 0;
+        this.hits = body.length * BODYPART_HITS;
+        this.hitsMax = this.hits;
+        this.spawning = false;
+        this.store = createGeneralStore(body.filter(p => p === CARRY).length * CARRY_CAPACITY);
+    }
+
+    get my() {
+        return ownedByCurrentPlayer(this);
+    }
+
+    attack(target) {
+        return this._targetedIntent('attack', target, ATTACK, 1, t => t instanceof Creep || t instanceof Structure);
+    }
+
+    rangedAttack(target) {
+        return this._targetedIntent('ranged', target, RANGED_ATTACK, 3, t => t instanceof Creep || t instanceof Structure);
+    }
+
+    rangedMassAttack() {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (countActiveParts(this, RANGED_ATTACK) === 0) return ERR_NO_BODYPART;
+        getWorld().queueIntent(this, 'ranged', { action: 'rangedMassAttack' });
+        return OK;
+    }
+
+    heal(target) {
+        return this._targetedIntent('heal', target, HEAL, 1, t => t instanceof Creep);
+    }
+
+    rangedHeal(target) {
+        return this._targetedIntent('heal', target, HEAL, 3, t => t instanceof Creep, 'rangedHeal');
+    }
+
+    harvest(target) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (countActiveParts(this, WORK) === 0) return ERR_NO_BODYPART;
+        if (!(target instanceof Source) || !target.exists) return ERR_INVALID_TARGET;
+        if (target.energy <= 0) return ERR_NOT_ENOUGH_RESOURCES;
+        if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+        getWorld().queueIntent(this, 'harvest', { action: 'harvest', targetId: target.id });
+        return OK;
+    }
+
+    build(target) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (countActiveParts(this, WORK) === 0 || countActiveParts(this, CARRY) === 0) return ERR_NO_BODYPART;
+        if (!(target instanceof ConstructionSite) || !target.exists || !target.my) return ERR_INVALID_TARGET;
+        if (!this.store.energy) return ERR_NOT_ENOUGH_RESOURCES;
+        if (getRange(this, target) > 3) return ERR_NOT_IN_RANGE;
+        getWorld().queueIntent(this, 'build', { action: 'build', targetId: target.id });
+        return OK;
+    }
+
+    move(direction) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!Number.isInteger(direction) || direction < TOP || direction > TOP_LEFT) return ERR_INVALID_ARGS;
+        if (countActiveParts(this, MOVE) === 0) return ERR_NO_BODYPART;
+        if (this.fatigue > 0) return ERR_TIRED;
+        getWorld().queueIntent(this, 'move', { action: 'move', direction });
+        return OK;
+    }
+
+    moveTo(target, options) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!target) return ERR_INVALID_ARGS;
+        const path = findPath(this, target, options);
+        if (!path || path.length === 0) return ERR_NO_PATH;
+        const next = path[0];
+        return this.move(getWorld().directionTo(this, next));
+    }
+
+    pull(target) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (countActiveParts(this, MOVE) === 0) return ERR_NO_BODYPART;
+        if (this.fatigue > 0) return ERR_TIRED;
+        if (!(target instanceof Creep) || !target.exists || target === this || target.spawning) return ERR_INVALID_TARGET;
+        if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+        getWorld().queueIntent(this, 'pull', { action: 'pull', targetId: target.id });
+        return OK;
+    }
+
+    transfer(target, resource, amount) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!RESOURCES_ALL.includes(resource)) return ERR_INVALID_ARGS;
+        // Arena objects without a store (score collectors) take deliveries through an engine-side deposit hook
+        const deposit = target && target[INTERNAL] && target[INTERNAL].deposit;
+        if (!target || !target.exists || !(target.store || deposit) || target === this) return ERR_INVALID_TARGET;
+        if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+
+        const carried = this.store[resource] || 0;
+        const requested = amount === undefined ? carried : amount;
+        if (!(requested > 0) || carried < requested) return ERR_NOT_ENOUGH_RESOURCES;
+
+        if (deposit) {
+            if (!deposit(resource, requested)) return ERR_INVALID_TARGET;
+            adjustStore(this.store, resource, -requested);
+            return OK;
+        }
+
+        const free = target.store.getFreeCapacity(resource);
+        if (!free) return free === null ? ERR_INVALID_TARGET : ERR_FULL;
+        if (amount !== undefined && amount > free) return ERR_FULL;
+
+        const moved = Math.min(requested, free);
+        adjustStore(this.store, resource, -moved);
+        adjustStore(target.store, resource, moved);
+        return OK;
+    }
+
+    withdraw(target, resource, amount) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!RESOURCES_ALL.includes(resource)) return ERR_INVALID_ARGS;
+        if (!(target instanceof Structure) || !target.exists || !target.store) return ERR_INVALID_TARGET;
+        if (getWorld().isProtectedByHostileRampart(target)) return ERR_NOT_OWNER;
+        if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+
+        const available = target.store[resource] || 0;
+        const free = this.store.getFreeCapacity(resource);
+        if (!available || (amount !== undefined && amount > available)) return ERR_NOT_ENOUGH_RESOURCES;
+        if (!free || (amount !== undefined && amount > free)) return ERR_FULL;
+
+        const moved = Math.min(amount === undefined ? available : amount, free);
+        adjustStore(target.store, resource, -moved);
+        adjustStore(this.store, resource, moved);
+        return OK;
+    }
+
+    pickup(target) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!(target instanceof Resource) || !target.exists) return ERR_INVALID_TARGET;
+        if (getRange(this, target) > 1) return ERR_NOT_IN_RANGE;
+
+        const free = this.store.getFreeCapacity(target.resourceType);
+        if (!free) return ERR_FULL;
+
+        const moved = Math.min(free, target.amount);
+        adjustStore(this.store, target.resourceType, moved);
+        target.amount -= moved;
+        if (target.amount <= 0) {
+            getWorld().removeObject(target);
+        }
+        return OK;
+    }
+
+    drop(resource, amount) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (!RESOURCES_ALL.includes(resource)) return ERR_INVALID_ARGS;
+
+        const carried = this.store[resource] || 0;
+        const dropped = amount === undefined ? carried : amount;
+        if (!(dropped > 0) || carried < dropped) return ERR_NOT_ENOUGH_RESOURCES;
+
+        adjustStore(this.store, resource, -dropped);
+        getWorld().dropResource(this.x, this.y, resource, dropped);
+        return OK;
+    }
+
+    /**
+     * Common ownership and state checks for creep actions
+     * @returns {number} OK when the current player may command this creep
+     */
+    _checkControllable() {
+        if (!this.exists) return ERR_INVALID_TARGET;
+        if (!this.my) return ERR_NOT_OWNER;
+        if (this.spawning) return ERR_BUSY;
+        return OK;
+    }
+
+    /**
+     * Validate and queue an action against a single target
+     * @param {string} slot - Intent slot; a later call in the same slot replaces the earlier one
+     * @param {GameObject} target - The target
+     * @param {string} part - Required body part
+     * @param {number} range - Maximum range
+     * @param {function} isValidTarget - Target type check
+     * @param {string} action - Action name (defaults to slot)
+     * @returns {number} OK or an ERR_* code
+     */
+    _targetedIntent(slot, target, part, range, isValidTarget, action = slot === 'ranged' ? 'rangedAttack' : slot) {
+        const status = this._checkControllable();
+        if (status !== OK) return status;
+        if (countActiveParts(this, part) === 0) return ERR_NO_BODYPART;
+        if (!target || !target.exists || !isValidTarget(target)) return ERR_INVALID_TARGET;
+        if (getRange(this, target) > range) return ERR_NOT_IN_RANGE;
+        getWorld().queueIntent(this, slot, { action, targetId: target.id });
+        return OK;
+    }
+}
+
+Object.assign(STRUCTURE_PROTOTYPES, {
+    StructureContainer,
+    StructureExtension,
+    StructureRampart,
+    StructureRoad,
+    StructureSpawn,
+    StructureTower,
+    StructureWall
+});
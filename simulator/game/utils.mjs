@@ -0,0 +1,149 @@
+/**
+ * Stand-in for the 'game/utils' module.
+ */
+
+import v8 from 'node:v8';
+import { getWorld } from '../engine/state.mjs';
+import { search, normalizeGoals, MAP_SIZE } from '../engine/pathfinder.mjs';
+import { buildCostFunction } from './path-finder.mjs';
+import {
+    TOP, TOP_RIGHT, RIGHT, BOTTOM_RIGHT, BOTTOM, BOTTOM_LEFT, LEFT, TOP_LEFT,
+    TERRAIN_WALL, TERRAIN_SWAMP, ERR_INVALID_ARGS, ERR_INVALID_TARGET, ERR_FULL,
+    MAX_CONSTRUCTION_SITES, CONSTRUCTION_COST, STRUCTURE_PROTOTYPES,
+    CONSTRUCTION_COST_ROAD_SWAMP_RATIO, CONSTRUCTION_COST_ROAD_WALL_RATIO
+} from './constants.mjs';
+
+/**
+ * Build the cost function for obstacle-aware searches (findPath, findClosestByPath).
+ * Goal tiles stay enterable when only an object blocks them, so paths to a
+ * spawn or creep end on the target itself.
+ * @param {object} options - FindPathOptions
+ * @param {object[]} goals - Normalized goals
+ * @returns {object} { costAt, minCost }
+ */
+function obstacleAwareCost(options, goals) {
+    const world = getWorld();
+    const obstacles = options.costMatrix ? null : world.getObstacleGrid(options.ignore);
+    const base = buildCostFunction(options, obstacles);
+    const terrainOnly = buildCostFunction(options, null);
+    const goalTiles = new Set(goals.filter(g => g.range === 0).map(g => g.y * MAP_SIZE + g.x));
+
+    return {
+        minCost: base.minCost,
+        costAt: (x, y) => goalTiles.has(y * MAP_SIZE + x) ? terrainOnly.costAt(x, y) : base.costAt(x, y)
+    };
+}
+
+export function createConstructionSite(pos, structurePrototype) {
+    const world = getWorld();
+    const prototypeName = Object.keys(STRUCTURE_PROTOTYPES).find(name => STRUCTURE_PROTOTYPES[name] === structurePrototype);
+
+    if (!pos || !Number.isInteger(pos.x) || !Number.isInteger(pos.y) ||
+        pos.x < 0 || pos.y < 0 || pos.x >= MAP_SIZE || pos.y >= MAP_SIZE ||
+        !prototypeName || CONSTRUCTION_COST[prototypeName] === undefined) {
+        return { error: ERR_INVALID_ARGS };
+    }
+
+    const terrain = getTerrainAt(pos);
+    const isRoad = prototypeName === 'StructureRoad';
+    if (terrain === TERRAIN_WALL && !isRoad) {
+        return { error: ERR_INVALID_TARGET };
+    }
+    if (world.hasConstructionBlocker(pos.x, pos.y, structurePrototype)) {
+        return { error: ERR_INVALID_TARGET };
+    }
+    if (world.countConstructionSites(world.currentPlayer) >= MAX_CONSTRUCTION_SITES) {
+        return { error: ERR_FULL };
+    }
+
+    let progressTotal = CONSTRUCTION_COST[prototypeName];
+    if (isRoad && terrain === TERRAIN_SWAMP) progressTotal *= CONSTRUCTION_COST_ROAD_SWAMP_RATIO;
+    if (isRoad && terrain === TERRAIN_WALL) progressTotal *= CONSTRUCTION_COST_ROAD_WALL_RATIO;
+
+    return { object: world.createConstructionSite(pos.x, pos.y, structurePrototype, progressTotal) };
+}
+
+export function findClosestByPath(fromPos, positions, options = {}) {
+    if (!positions || positions.length === 0) return null;
+
+    const goals = normalizeGoals(positions);
+    const { costAt, minCost } = obstacleAwareCost(options, goals);
+    const result = search(fromPos, goals, { ...options, costAt, minCost, flee: false });
+    if (result.incomplete) return null;
+
+    const end = result.path.length > 0 ? result.path[result.path.length - 1] : fromPos;
+    return positions.find(p => p.x === end.x && p.y === end.y) || null;
+}
+
+export function findClosestByRange(fromPos, positions) {
+    let closest = null;
+    let closestRange = Infinity;
+    for (const pos of positions || []) {
+        const range = getRange(fromPos, pos);
+        if (range < closestRange) {
+            closestRange = range;
+            closest = pos;
+        }
+    }
+    return closest;
+}
+
+export function findInRange(fromPos, positions, range) {
+    return (positions || []).filter(pos => getRange(fromPos, pos) <= range);
+}
+
+export function findPath(fromPos, toPos, options = {}) {
+    const goals = normalizeGoals(toPos);
+    const { costAt, minCost } = obstacleAwareCost(options, goals);
+    return search(fromPos, goals, { ...options, costAt, minCost }).path;
+}
+
+export function getCpuTime() {
+    return getWorld().getCpuTime();
+}
+
+export function getDirection(dx, dy) {
+    const sx = Math.sign(dx);
+    const sy = Math.sign(dy);
+    if (sx === 0 && sy < 0) return TOP;
+    if (sx > 0 && sy < 0) return TOP_RIGHT;
+    if (sx > 0 && sy === 0) return RIGHT;
+    if (sx > 0 && sy > 0) return BOTTOM_RIGHT;
+    if (sx === 0 && sy > 0) return BOTTOM;
+    if (sx < 0 && sy > 0) return BOTTOM_LEFT;
+    if (sx < 0 && sy === 0) return LEFT;
+    if (sx < 0 && sy < 0) return TOP_LEFT;
+    return undefined;
+}
+
+export function getHeapStatistics() {
+    return { ...v8.getHeapStatistics(), externally_allocated_size: 0 };
+}
+
+export function getObjectById(id) {
+    return getWorld().objects.get(id) || null;
+}
+
+export function getObjects() {
+    return [...getWorld().objects.values()];
+}
+
+export function getObjectsByPrototype(prototype) {
+    const result = [];
+    for (const object of getWorld().objects.values()) {
+        if (object instanceof prototype) result.push(object);
+    }
+    return result;
+}
+
+export function getRange(a, b) {
+    return Math.max(Math.abs(a.x - b.x), Math.abs(a.y - b.y));
+}
+
+export function getTerrainAt(pos) {
+    return getWorld().getTerrain(pos.x, pos.y);
+}
+
+export function getTicks() {
+    return getWorld().tick;
+}
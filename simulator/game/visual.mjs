@@ -0,0 +1,46 @@
+/**
+ * Stand-in for the 'game/visual' module.
+ * Calls are accepted and counted but nothing is drawn.
+ */
+
+export class Visual {
+    constructor(layer = 0, persistent = false) {
+        this.layer = layer;
+        this.persistent = persistent;
+        this._shapes = 0;
+    }
+
+    clear() {
+        this._shapes = 0;
+        return this;
+    }
+
+    circle() {
+        this._shapes++;
+        return this;
+    }
+
+    line() {
+        this._shapes++;
+        return this;
+    }
+
+    poly() {
+        this._shapes++;
+        return this;
+    }
+
+    rect() {
+        this._shapes++;
+        return this;
+    }
+
+    text() {
+        this._shapes++;
+        return this;
+    }
+
+    size() {
+        return this._shapes;
+    }
+}
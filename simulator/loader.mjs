@@ -0,0 +1,53 @@
+/**
+ * Module resolution hook: maps the arena's bare 'game', 'game/*' and 'arena/*' specifiers
+ * onto the stand-in modules in ./game so bot code runs unmodified under Node.
+ * The runner imports each player's bot with a `?player=N` query; relative imports
+ * made by bot code inherit that query so every player gets its own module state.
+ */
+
+const GAME_MODULES = {
+    'game': './game/index.mjs',
+    'game/constants': './game/constants.mjs',
+    'game/path-finder': './game/path-finder.mjs',
+    'game/prototypes': './game/prototypes.mjs',
+    'game/utils': './game/utils.mjs',
+    'game/visual': './game/visual.mjs',
+    'arena/season_beta/capture_the_flag/basic': './game/arena/capture-the-flag.mjs',
+    'arena/season_beta/collect_and_control/basic': './game/arena/collect-and-control.mjs'
+};
+
+/**
+ * Node resolve hook: game specifiers go to the stand-ins, everything else resolves normally
+ * @param {string} specifier - Import specifier
+ * @param {object} context - Resolve context, including parentURL
+ * @param {function} nextResolve - Next resolve hook in the chain
+ * @returns {Promise<object>} { url, shortCircuit? }
+ */
+export async function resolve(specifier, context, nextResolve) {
+    const target = GAME_MODULES[specifier];
+    if (target) {
+        return { url: new URL(target, import.meta.url).href, shortCircuit: true };
+    }
+    const resolved = await nextResolve(specifier, context);
+    return inheritPlayerQuery(resolved, context.parentURL);
+}
+
+/**
+ * Copy the importing module's ?player=N query onto a file module it imports, unless the
+ * import already carries a query of its own
+ * @param {object} resolved - Result of the default resolver
+ * @param {string} [parentURL] - URL of the importing module
+ * @returns {object} The resolved result, with the player query added when it applies
+ */
+function inheritPlayerQuery(resolved, parentURL) {
+    if (!parentURL || !resolved.url.startsWith('file:')) {
+        return resolved;
+    }
+    const parent = new URL(parentURL);
+    const url = new URL(resolved.url);
+    if (!parent.searchParams.has('player') || url.search) {
+        return resolved;
+    }
+    url.searchParams.set('player', parent.searchParams.get('player'));
+    return { ...resolved, url: url.href };
+}
@@ -0,0 +1,157 @@
+/**
+ * Headless match runner.
+ *
+ * Usage: node run.mjs [--arena <name>] [--bot <path>] [--opponent <path|idle>] [--seed <n>] [--ticks <n>]
+ *                     [--report-every <n>] [--with-sources] [--quiet] [--strict]
+ */
+
+import { register } from 'node:module';
+import path from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+register('./loader.mjs', import.meta.url);
+
+const { World } = await import('./engine/world.mjs');
+const { setWorld } = await import('./engine/state.mjs');
+const { generateSpawnAndSwamp } = await import('./engine/map.mjs');
+const { generateCaptureTheFlag } = await import('./engine/capture-the-flag.mjs');
+const { generateCollectAndControl } = await import('./engine/collect-and-control.mjs');
+const { Creep, StructureSpawn } = await import('./game/prototypes.mjs');
+const { RESOURCE_ENERGY } = await import('./game/constants.mjs');
+
+const SIMULATOR_DIR = path.dirname(fileURLToPath(import.meta.url));
+
+// Map generator per --arena name; each arena's default bot lives in ../beta-<name>/main.mjs
+const ARENA_GENERATORS = {
+    spawn_and_swamp: generateSpawnAndSwamp,
+    capture_the_flag: generateCaptureTheFlag,
+    collect_and_control: generateCollectAndControl
+};
+
+/**
+ * Parse --key value / --key=value / --flag arguments
+ * @param {string[]} argv - Raw arguments
+ * @returns {object} Parsed options
+ */
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+
+        const [key, inlineValue] = arg.slice(2).split('=');
+        if (inlineValue !== undefined) {
+            options[key] = inlineValue;
+        } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+            options[key] = argv[++i];
+        } else {
+            options[key] = true;
+        }
+    }
+    return options;
+}
+
+/**
+ * Load a bot module; each player gets its own module instance so module-level state is not shared
+ * @param {string} botPath - Path to the bot's main.mjs, or 'idle'
+ * @param {number} player - Player index
+ * @returns {object} { name, loop }
+ */
+async function loadBot(botPath, player) {
+    if (botPath === 'idle') {
+        return { name: 'idle', loop: () => {} };
+    }
+    const resolved = path.resolve(botPath);
+    const module = await import(`${pathToFileURL(resolved).href}?player=${player}`);
+    if (typeof module.loop !== 'function') {
+        throw new Error(`${botPath} does not export a loop() function`);
+    }
+    return { name: path.relative(process.cwd(), resolved), loop: module.loop };
+}
+
+/**
+ * One-line status per player
+ * @param {World} world - The world
+ * @returns {string} Summary line
+ */
+function describeTick(world) {
+    const parts = world.stats.map((stats, player) => {
+        if (world.rules) {
+            const creeps = [...world.objects.values()].filter(o => o instanceof Creep && world.ownerOf(o) === player).length;
+            return `P${player} ${world.rules.describe(world, player)} creeps ${creeps} lost ${stats.creepsLost}`;
+        }
+
+        let spawn = null;
+        let creeps = 0;
+        for (const object of world.objects.values()) {
+            if (world.ownerOf(object) !== player) continue;
+            if (object instanceof StructureSpawn) spawn = object;
+            if (object instanceof Creep) creeps++;
+        }
+        const spawnInfo = spawn
+            ? `spawn ${spawn.hits}/${spawn.hitsMax} energy ${world.getSpawnEnergyAvailable(spawn)}`
+            : 'spawn destroyed';
+        return `P${player} ${spawnInfo} creeps ${creeps} lost ${stats.creepsLost}`;
+    });
+    return `[tick ${world.tick}] ${parts.join(' | ')}`;
+}
+
+const options = parseArgs(process.argv.slice(2));
+const seed = Number(options.seed || 1);
+const reportEvery = options['report-every'] !== undefined ? Number(options['report-every']) : 100;
+const arenaName = options.arena || 'spawn_and_swamp';
+const generateLayout = ARENA_GENERATORS[arenaName];
+if (!generateLayout) {
+    console.error(`Unknown arena '${arenaName}'; expected one of ${Object.keys(ARENA_GENERATORS).join(', ')}`);
+    process.exit(1);
+}
+const botPath = options.bot || path.join(SIMULATOR_DIR, '..', `beta-${arenaName}`, 'main.mjs');
+const opponentPath = options.opponent || botPath;
+
+const layout = generateLayout(seed, { withSources: Boolean(options['with-sources']) });
+if (options.ticks) {
+    layout.arena.ticksLimit = Number(options.ticks);
+}
+
+const world = new World(layout, { seed, playerCount: 2 });
+setWorld(world);
+
+const players = [await loadBot(botPath, 0), await loadBot(opponentPath, 1)];
+const originalLog = console.log;
+
+while (!world.result) {
+    world.beginTick();
+
+    // Alternate turn order so neither side always acts first on shared state
+    const order = world.tick % 2 === 1 ? [0, 1] : [1, 0];
+    for (const player of order) {
+        if (options.quiet) console.log = () => {};
+        try {
+            world.runPlayer(player, players[player].loop);
+        } catch (error) {
+            world.stats[player].errors++;
+            console.error(`[tick ${world.tick}] P${player} loop() threw: ${error && error.stack || error}`);
+            if (options.strict) {
+                process.exit(1);
+            }
+        } finally {
+            console.log = originalLog;
+        }
+    }
+
+    world.processTick();
+
+    if (reportEvery > 0 && world.tick % reportEvery === 0) {
+        console.log(describeTick(world));
+    }
+}
+
+console.log(describeTick(world));
+const { winner, reason, tick } = world.result;
+console.log(winner === null
+    ? `Result: draw (${reason}) at tick ${tick}`
+    : `Result: P${winner} (${players[winner].name}) wins (${reason}) at tick ${tick}`);
+world.stats.forEach((stats, player) => {
+    console.log(`P${player} ${players[player].name}: spawned ${stats.creepsSpawned}, lost ${stats.creepsLost}, ` +
+        `damage dealt ${stats.damageDealt}, loop errors ${stats.errors}`);
+});